@@ -17,6 +17,19 @@ module.exports = {
 		indent: ['error', 'tab']
 	},
 	overrides: [
+		{
+			files: ['src/*.js'],
+			globals: {
+				setTimeout: 'readonly',
+				clearTimeout: 'readonly'
+			}
+		},
+		{
+			files: ['src/posix-path.js'],
+			globals: {
+				process: 'readonly'
+			}
+		},
 		{
 			files: ['tests/*.js'],
 			env: {
@@ -24,6 +37,12 @@ module.exports = {
 				node: true
 			}
 		},
+		{
+			files: ['benchmarks/*.js'],
+			env: {
+				node: true
+			}
+		},
 		{
 			files: ['*.config.js'],
 			parserOptions: {
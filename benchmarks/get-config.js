@@ -0,0 +1,148 @@
+/**
+ * @fileoverview Benchmark for ConfigArray#getConfig() and
+ *      ConfigArray#getConfigs() with many configs.
+ * @author Nicholas C. Zakas
+ */
+
+//-----------------------------------------------------------------------------
+// Imports
+//-----------------------------------------------------------------------------
+
+import { ConfigArray } from '../src/config-array.js';
+import minimatch from 'minimatch';
+import path from 'path';
+
+//-----------------------------------------------------------------------------
+// Helpers
+//-----------------------------------------------------------------------------
+
+const basePath = path.resolve(__dirname, '..');
+const CONFIG_COUNT = 300;
+const FILE_COUNT = 5000;
+const extensions = ['js', 'ts', 'jsx', 'tsx', 'json', 'md', 'css', 'yml', 'html', 'vue'];
+const directories = ['src', 'lib', 'tests', 'docs', 'packages', 'scripts', 'tools', 'config'];
+
+const schema = {
+	settings: {
+		required: false,
+		merge(a, b) {
+			return { ...a, ...b };
+		},
+		validate() {}
+	}
+};
+
+/**
+ * A glob matcher with the same behavior as the default one. Using a custom
+ * glob matcher disables the config index, which provides the baseline.
+ */
+const unindexedGlobMatcher = {
+	compile(pattern) {
+		const matcher = new minimatch.Minimatch(pattern, { dot: true, flipNegate: true });
+
+		return {
+			negated: Boolean(matcher.negate),
+			test: filePath => matcher.match(filePath)
+		};
+	}
+};
+
+/**
+ * Creates config objects similar to those generated by plugins.
+ * @returns {Array<Object>} The config objects.
+ */
+function createConfigs() {
+	const configs = [
+		{
+			ignores: ['**/node_modules/**']
+		},
+		{
+			settings: { base: true }
+		}
+	];
+
+	for (let i = 0; i < CONFIG_COUNT; i++) {
+		const extension = extensions[i % extensions.length];
+		const directory = directories[i % directories.length];
+
+		configs.push(i % 3 === 0
+			? {
+				files: [`${directory}/**/*.${extension}`],
+				settings: { [`config${i}`]: true }
+			}
+			: {
+				files: [`**/*.${extension}`],
+				settings: { [`config${i}`]: true }
+			});
+	}
+
+	return configs;
+}
+
+/**
+ * Creates file paths to get configs for.
+ * @returns {Array<string>} The file paths.
+ */
+function createFilePaths() {
+	const filePaths = [];
+
+	for (let i = 0; i < FILE_COUNT; i++) {
+		const extension = extensions[i % extensions.length];
+		const directory = directories[(i * 7) % directories.length];
+
+		filePaths.push(path.join(basePath, directory, `dir${i % 50}`, `file${i}.${extension}`));
+	}
+
+	return filePaths;
+}
+
+/**
+ * Gets the config for every file path by calling `getConfig()` for each one.
+ * @param {ConfigArray} configs The normalized config array.
+ * @param {Array<string>} filePaths The file paths.
+ * @returns {void}
+ */
+function getConfigEach(configs, filePaths) {
+	for (const filePath of filePaths) {
+		configs.getConfig(filePath);
+	}
+}
+
+/**
+ * Measures the time to get the config for every file path.
+ * @param {string} title The title of the benchmark.
+ * @param {Object} options The options for the `ConfigArray`.
+ * @param {Function} [getConfigs] The function that gets the configs for
+ *      the file paths. Defaults to calling `getConfig()` for each one.
+ * @returns {number} The elapsed time in milliseconds.
+ */
+function run(title, options, getConfigs = getConfigEach) {
+	const configs = new ConfigArray(createConfigs(), { basePath, schema, ...options });
+	const filePaths = createFilePaths();
+
+	const start = process.hrtime.bigint();
+
+	configs.normalizeSync();
+	getConfigs(configs, filePaths);
+
+	const elapsed = Number(process.hrtime.bigint() - start) / 1e6;
+
+	console.log(`${title}: ${elapsed.toFixed(1)}ms`);
+
+	return elapsed;
+}
+
+//-----------------------------------------------------------------------------
+// Main
+//-----------------------------------------------------------------------------
+
+console.log(`Getting configs for ${FILE_COUNT} files with ${CONFIG_COUNT + 2} config objects.`);
+
+const unindexed = run('Without index', { globMatcher: unindexedGlobMatcher });
+const indexed = run('With index', {});
+
+console.log(`Speedup: ${(unindexed / indexed).toFixed(1)}x`);
+
+const batched = run('With index and getConfigs()', {}, (configs, filePaths) => configs.getConfigs(filePaths));
+
+console.log(`Speedup of getConfigs(): ${(indexed / batched).toFixed(1)}x`);
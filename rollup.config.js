@@ -1,7 +1,43 @@
-module.exports = {
-	input: 'src/index.js',
-	output: {
-		file: 'api.js',
-		format: 'cjs'
+const path = require('path');
+
+/**
+ * Replaces the Node.js file system and path implementations with
+ * platform-neutral ones and fails the build if a Node.js module is still
+ * imported.
+ * @returns {Object} The rollup plugin.
+ */
+function platformNeutral() {
+	return {
+		name: 'platform-neutral',
+		resolveId(source, importer) {
+
+			if (source === 'fs' || source === 'path') {
+				this.error(`The platform-neutral build can't import "${source}" (imported by "${importer}").`);
+			}
+
+			if (source === './platform.js') {
+				return path.resolve(__dirname, 'src/platform-neutral.js');
+			}
+
+			return null;
+		}
+	};
+}
+
+module.exports = [
+	{
+		input: 'src/index.js',
+		output: {
+			file: 'api.js',
+			format: 'cjs'
+		}
+	},
+	{
+		input: 'src/index.js',
+		output: {
+			file: 'api.neutral.mjs',
+			format: 'esm'
+		},
+		plugins: [platformNeutral()]
 	}
-};
+];
@@ -0,0 +1,36 @@
+/*
+ * Bundles the tests with the platform-neutral build instead of the source
+ * files, which makes it possible to run the same tests against that build.
+ * The build is bundled rather than imported because the test runner loads
+ * `.mjs` files as strict ES modules, which can't use named imports from
+ * CommonJS dependencies.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const testsPath = path.resolve(__dirname, 'tests');
+const sourcePath = path.resolve(__dirname, 'src');
+
+module.exports = {
+	input: fs.readdirSync(testsPath)
+		.filter(fileName => fileName.endsWith('.test.js'))
+		.map(fileName => path.join(testsPath, fileName)),
+	external: id => !id.startsWith('.') && !path.isAbsolute(id),
+	output: {
+		dir: 'neutral-tests',
+		format: 'esm'
+	},
+	plugins: [
+		{
+			name: 'neutral-build',
+			resolveId(source, importer) {
+				if (importer && path.resolve(path.dirname(importer), source).startsWith(sourcePath + path.sep)) {
+					return path.resolve(__dirname, 'api.neutral.mjs');
+				}
+
+				return null;
+			}
+		}
+	]
+};
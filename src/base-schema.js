@@ -26,6 +26,9 @@ const NOOP_STRATEGY = {
 export const baseSchema = Object.freeze({
 	name: {
 		required: false,
+		expected: 'a string',
+		jsonSchema: { type: 'string' },
+		tsType: 'string',
 		merge() {
 			return undefined;
 		},
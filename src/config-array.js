@@ -7,21 +7,27 @@
 // Imports
 //------------------------------------------------------------------------------
 
-import path from 'path';
 import minimatch from 'minimatch';
 import createDebug from 'debug';
 
 import { ObjectSchema } from '@humanwhocodes/object-schema';
 import { baseSchema } from './base-schema.js';
 import { filesAndIgnoresSchema } from './files-and-ignores-schema.js';
+import { LRUCache } from './lru-cache.js';
+import { createConfigIndex, getCandidateIndices, getFileGroup, isGroupPattern } from './config-index.js';
+import { getConfigFile, createConfigOrigin, formatConfigPath, isInformativeOrigin } from './config-origin.js';
+import { createJSONSchema } from './json-schema.js';
+import { serializeValue } from './serialize.js';
+import { isPlainObject } from './utils.js';
+import { walkFiles, walkFilesSync } from './file-walker.js';
+import { assertValidPath } from './file-system.js';
+import { platformFileSystem, platformPath } from './platform.js';
 
 //------------------------------------------------------------------------------
 // Helpers
 //------------------------------------------------------------------------------
 
 const Minimatch = minimatch.Minimatch;
-const minimatchCache = new Map();
-const negatedMinimatchCache = new Map();
 const debug = createDebug('@hwc/config-array');
 
 const MINIMATCH_OPTIONS = {
@@ -31,6 +37,31 @@ const MINIMATCH_OPTIONS = {
 
 const CONFIG_TYPES = new Set(['array', 'function']);
 
+/**
+ * An engine for matching file paths against glob patterns.
+ * @typedef {Object} GlobMatcher
+ * @property {(pattern:string) => {negated:boolean,test:(filePath:string) => boolean}} compile
+ *      Compiles a pattern into an object indicating if the pattern is negated
+ *      and with a `test()` method that returns true when the file path matches
+ *      the pattern, ignoring any negation.
+ */
+
+/**
+ * Matches `files` patterns that apply to every file in a directory.
+ */
+const UNIVERSAL_PATTERN = /\/\*{1,2}$/;
+
+/**
+ * Config match statuses that result in the config being merged into the
+ * final config for a file (as long as at least one config is `"matched"`).
+ */
+const APPLIED_STATUSES = new Set(['matched', 'universal', 'anonymous']);
+
+/**
+ * The caches that can be limited using the `cacheLimits` option.
+ */
+const CACHE_NAMES = new Set(['configs', 'explicitMatches', 'directoryMatches', 'patterns']);
+
 /**
  * Fields that are considered metadata and not part of the config object.
  */
@@ -38,24 +69,242 @@ const META_FIELDS = new Set(['name']);
 
 const FILES_AND_IGNORES_SCHEMA = new ObjectSchema(filesAndIgnoresSchema);
 
+// used to store the universal and non-universal `files` of each config
+const filesPartitionCache = new WeakMap();
+
+/**
+ * The codes used for the `code` property of a `ConfigError`.
+ */
+export const ConfigErrorCode = Object.freeze({
+	invalidConfig: 'INVALID_CONFIG',
+	unexpectedKey: 'UNEXPECTED_KEY',
+	missingKey: 'MISSING_KEY',
+	missingDependentKeys: 'MISSING_DEPENDENT_KEYS',
+	invalidValue: 'INVALID_VALUE',
+	mergeFailed: 'MERGE_FAILED',
+	circularReference: 'CIRCULAR_REFERENCE',
+	maxDepthExceeded: 'MAX_DEPTH_EXCEEDED',
+	aborted: 'ABORTED',
+	timedOut: 'TIMED_OUT',
+	duplicateName: 'DUPLICATE_NAME'
+});
+
+// the default maximum nesting of arrays and config functions
+const DEFAULT_MAX_DEPTH = 100;
+
+/**
+ * Patterns for the error messages thrown by `ObjectSchema`. The first
+ * pattern matches an error wrapping an error for a nested key, the others
+ * match errors that end a key path.
+ */
+const WRAPPED_KEY_ERROR = /^Key "([^"]+)": /;
+const KEY_ERRORS = [
+	{ pattern: /^Unexpected key "([^"]+)" found\./, code: ConfigErrorCode.unexpectedKey },
+	{ pattern: /^Missing required key "([^"]+)"\./, code: ConfigErrorCode.missingKey },
+	{ pattern: /^Key "([^"]+)" requires keys /, code: ConfigErrorCode.missingDependentKeys }
+];
+
+/**
+ * Descriptions of the values expected by the built-in validation strategies
+ * of `ObjectSchema`.
+ */
+const VALIDATION_STRATEGY_DESCRIPTIONS = Object.freeze({
+	array: 'an array',
+	boolean: 'a boolean',
+	number: 'a number',
+	object: 'an object',
+	'object?': 'an object or null',
+	string: 'a string',
+	'string!': 'a non-empty string'
+});
+
+// the longest string value to include in a summary
+const MAX_SUMMARY_STRING_LENGTH = 40;
+
+/**
+ * Determines the path of keys to the value that caused a schema error and
+ * the kind of error it is.
+ * @param {Error} [error] The error thrown by `ObjectSchema`.
+ * @returns {{keyPath:Array<string>,code:string|undefined}} The key path,
+ *      which is empty if the error doesn't reference a key, and the error
+ *      code, which is `undefined` if the error isn't a schema error.
+ */
+function getErrorDetails(error) {
+	const keyPath = [];
+	let current = error;
+
+	while (current && typeof current.message === 'string') {
+		const wrapped = WRAPPED_KEY_ERROR.exec(current.message);
+
+		if (wrapped) {
+			keyPath.push(wrapped[1]);
+
+			// older runtimes ignore the cause option, so read the rest of the message
+			current = current.cause || { message: current.message.slice(wrapped[0].length) };
+			continue;
+		}
+
+		for (const { pattern, code } of KEY_ERRORS) {
+			const match = pattern.exec(current.message);
+
+			if (match) {
+				keyPath.push(match[1]);
+				return { keyPath, code };
+			}
+		}
+
+		break;
+	}
+
+	return {
+		keyPath,
+		code: keyPath.length ? ConfigErrorCode.invalidValue : undefined
+	};
+}
+
+/**
+ * Creates a short description of a value that is safe to display and
+ * serialize, no matter how large or complex the value is.
+ * @param {any} value The value to summarize.
+ * @returns {string} The summary of the value.
+ */
+function summarizeValue(value) {
+
+	if (typeof value === 'string') {
+		return JSON.stringify(
+			value.length > MAX_SUMMARY_STRING_LENGTH
+				? `${value.slice(0, MAX_SUMMARY_STRING_LENGTH)}...`
+				: value
+		);
+	}
+
+	if (typeof value === 'function') {
+		return value.name ? `[Function ${value.name}]` : '[Function]';
+	}
+
+	if (value === null || typeof value !== 'object') {
+		return String(value);
+	}
+
+	if (Array.isArray(value)) {
+		return `[Array(${value.length})]`;
+	}
+
+	return `[${(value.constructor && value.constructor.name) || 'Object'}]`;
+}
+
+/**
+ * Gets the value at a key path in a config object.
+ * @param {Object} config The config object.
+ * @param {Array<string>} keyPath The keys to follow.
+ * @returns {any} The value or `undefined` if there is no value at the path.
+ */
+function getValueAtKeyPath(config, keyPath) {
+	let value = config;
+
+	for (const key of keyPath) {
+		if (!value || typeof value !== 'object' || !(key in value)) {
+			return undefined;
+		}
+
+		value = value[key];
+	}
+
+	return value;
+}
+
+/**
+ * Copies schema definitions, including any nested schemas. `ObjectSchema`
+ * replaces the definitions in nested schemas as it normalizes them, so it
+ * needs its own copy to leave the original definitions intact.
+ * @param {Object} definitions The schema definitions to copy.
+ * @returns {Object} The copied definitions.
+ */
+function copySchemaDefinitions(definitions) {
+	const result = {};
+
+	for (const key of Object.keys(definitions)) {
+		const definition = definitions[key];
+
+		result[key] = definition && typeof definition.schema === 'object'
+			? { ...definition, schema: copySchemaDefinitions(definition.schema) }
+			: definition;
+	}
+
+	return result;
+}
+
+/**
+ * Gets a description of the value a schema expects at a key path.
+ * @param {Object} definitions The schema definitions.
+ * @param {Array<string>} keyPath The keys to follow, descending into
+ *      subschemas as necessary.
+ * @returns {string|undefined} The description or `undefined` if the schema
+ *      doesn't describe the expected value.
+ */
+function getExpectedDescription(definitions, keyPath) {
+	let definition;
+	let currentDefinitions = definitions;
+
+	for (const key of keyPath) {
+		if (!currentDefinitions || !Object.hasOwnProperty.call(currentDefinitions, key)) {
+			return undefined;
+		}
+
+		definition = currentDefinitions[key];
+		currentDefinitions = definition.schema;
+	}
+
+	if (!definition) {
+		return undefined;
+	}
+
+	if (typeof definition.expected === 'string') {
+		return definition.expected;
+	}
+
+	if (typeof definition.validate === 'string') {
+		return VALIDATION_STRATEGY_DESCRIPTIONS[definition.validate];
+	}
+
+	if (definition.schema) {
+		return 'an object';
+	}
+
+	return undefined;
+}
+
 /**
  * Wrapper error for config validation errors that adds a name to the front of the
  * error message.
  */
-class ConfigError extends Error {
+export class ConfigError extends Error {
 
 	/**
 	 * Creates a new instance.
-	 * @param {string} name The config object name causing the error.
+	 * @param {Object} config The config object causing the error.
 	 * @param {number} index The index of the config object in the array.
 	 * @param {Error} source The source error. 
+	 * @param {Object} [options] Additional information about the error.
+	 * @param {Object} [options.schemaDefinitions] The schema definitions used
+	 *      to describe the expected value.
+	 * @param {ConfigOrigin} [options.origin] Where the config object came from.
 	 */
-	constructor(name, index, { cause, message }) {
+	constructor(config, index, { cause, message, code }, {
+		schemaDefinitions = filesAndIgnoresSchema,
+		origin
+	} = {}) {
 
 
 		const finalMessage = message || cause.message;
+		const originText = isInformativeOrigin(origin, index) ? ` (${origin.description})` : '';
 
-		super(`Config ${name}: ${finalMessage}`, { cause });
+		super(`Config ${getConfigName(config)}${originText}: ${finalMessage}`, { cause });
+
+		// older runtimes ignore the cause option
+		if (cause !== undefined && this.cause === undefined) {
+			this.cause = cause;
+		}
 
 		// copy over custom properties that aren't represented
 		if (cause) {
@@ -79,6 +328,91 @@ class ConfigError extends Error {
 		 * @readonly
 		 */
 		this.index = index;
+
+		/**
+		 * The name of the config object or `undefined` if it doesn't have one.
+		 * @type {string|undefined}
+		 * @readonly
+		 */
+		this.configName = config && typeof config.name === 'string' ? config.name : undefined;
+
+		/**
+		 * Where the config object came from in the original input or
+		 * `undefined` if it isn't known.
+		 * @type {ConfigOrigin|undefined}
+		 * @readonly
+		 */
+		this.origin = origin;
+
+		/**
+		 * The path of keys to the value in the config object that caused the
+		 * error. This is empty when the error isn't related to a specific key.
+		 * @type {Array<string>}
+		 * @readonly
+		 */
+		this.keyPath = [];
+
+		/**
+		 * A stable code for the kind of error, which is one of the values
+		 * of `ConfigErrorCode` unless the cause has its own code.
+		 * @type {string|undefined}
+		 * @readonly
+		 */
+		this.code = code || this.code;
+
+		/**
+		 * A summary of the value at the key path.
+		 * @type {string}
+		 * @readonly
+		 */
+		this.received = summarizeValue(config);
+
+		/**
+		 * A description of the value the schema expects at the key path
+		 * or `undefined` if the schema doesn't describe it.
+		 * @type {string|undefined}
+		 * @readonly
+		 */
+		this.expected = code === ConfigErrorCode.invalidConfig ? 'an object' : undefined;
+
+		if (cause) {
+			const details = getErrorDetails(cause);
+
+			this.keyPath = details.keyPath;
+			this.code = this.code || details.code;
+			this.received = summarizeValue(getValueAtKeyPath(config, this.keyPath));
+			this.expected = getExpectedDescription(schemaDefinitions, this.keyPath);
+		}
+	}
+}
+
+/**
+ * Error thrown when validation finds one or more invalid config objects.
+ * It has the same `errors` property as `AggregateError`, which isn't
+ * available in every supported version of Node.js.
+ */
+export class ConfigValidationError extends Error {
+
+	/**
+	 * Creates a new instance.
+	 * @param {Array<ConfigError>} errors The errors found during validation.
+	 */
+	constructor(errors) {
+		super(`Found ${errors.length} config error${errors.length === 1 ? '' : 's'}:\n${errors.map(error => `- ${error.message}`).join('\n')}`);
+
+		/**
+		 * The name of the error.
+		 * @type {string}
+		 * @readonly
+		 */
+		this.name = 'ConfigValidationError';
+
+		/**
+		 * The errors found during validation.
+		 * @type {Array<ConfigError>}
+		 * @readonly
+		 */
+		this.errors = errors;
 	}
 }
 
@@ -100,11 +434,14 @@ function getConfigName(config) {
  * @param {object} config The config object to get the name of. 
  * @param {number} index The index of the config object in the array.
  * @param {Error} error The error to rethrow.
+ * @param {Object} [options] Additional information about the error.
+ * @param {Object} [options.schemaDefinitions] The schema definitions used
+ *      to describe the expected value.
+ * @param {ConfigOrigin} [options.origin] Where the config object came from.
  * @throws {ConfigError} When the error is rethrown for a config.
  */
-function rethrowConfigError(config, index, error) {
-	const configName = getConfigName(config);
-	throw new ConfigError(configName, index, error);
+function rethrowConfigError(config, index, error, options) {
+	throw new ConfigError(config, index, error, options);
 }
 
 /**
@@ -116,27 +453,135 @@ function isString(value) {
 	return typeof value === 'string';
 }
 
+/**
+ * Determines how the values of a key are merged.
+ * @param {Object|null} definitions The schema definitions for the keys of
+ *      the object containing the key, an empty object if the values of each
+ *      key in the object are replaced, or `null` if the object is merged by a
+ *      function.
+ * @param {string} key The key.
+ * @returns {string} `"schema"` when the values are merged by a nested schema,
+ *      `"assign"` when the properties of the values are combined, `"replace"`
+ *      when a later value replaces an earlier one, or `"function"` when the
+ *      values are merged by a function.
+ */
+function getMergeKind(definitions, key) {
+
+	// a merge function could do anything, so assume it merges objects
+	if (!definitions) {
+		return 'function';
+	}
+
+	const definition = Object.hasOwnProperty.call(definitions, key) ? definitions[key] : undefined;
+
+	if (!definition) {
+		return 'replace';
+	}
+
+	if (definition.schema) {
+		return 'schema';
+	}
+
+	if (definition.merge === 'assign') {
+		return 'assign';
+	}
+
+	return typeof definition.merge === 'string' ? 'replace' : 'function';
+}
+
+/**
+ * Records which config object contributed each key (and nested key, when
+ * the schema merges the values as objects) of a config. Keys that aren't in
+ * the merged value are skipped, and a key whose value is replaced rather
+ * than merged only keeps the config object that supplied its final value.
+ * @param {Map<string,Array<{index:number,name:string|undefined}>>} provenance
+ *      The map to add contributions to.
+ * @param {Object} value The value from the contributing config object.
+ * @param {Object} mergedValue The merged value at the same location.
+ * @param {Array<string>} parentPath The path of keys leading to `value`.
+ * @param {{index:number,name:string|undefined}} contributor The index and
+ *      name of the contributing config object.
+ * @param {Object|null} definitions The schema definitions for the keys of
+ *      `value`, as described in `getMergeKind()`.
+ * @returns {void}
+ */
+function recordProvenance(provenance, value, mergedValue, parentPath, contributor, definitions) {
+	for (const key of Object.keys(value)) {
+
+		// metadata, files, and ignores are never part of the final config
+		if (!parentPath.length && (META_FIELDS.has(key) || key === 'files' || key === 'ignores')) {
+			continue;
+		}
+
+		if (!(key in mergedValue)) {
+			continue;
+		}
+
+		const mergeKind = getMergeKind(definitions, key);
+		const keyPath = [...parentPath, key];
+		const pathKey = keyPath.join('.');
+
+		if (mergeKind === 'replace') {
+
+			// an undefined value doesn't replace the earlier value
+			if (value[key] !== undefined) {
+				provenance.set(pathKey, [contributor]);
+			}
+
+			continue;
+		}
+
+		if (!provenance.has(pathKey)) {
+			provenance.set(pathKey, []);
+		}
+
+		provenance.get(pathKey).push(contributor);
+
+		if (isPlainObject(value[key]) && isPlainObject(mergedValue[key])) {
+			let childDefinitions = null;
+
+			if (mergeKind === 'schema') {
+				childDefinitions = definitions[key].schema;
+			} else if (mergeKind === 'assign') {
+				childDefinitions = {};
+			}
+
+			recordProvenance(provenance, value[key], mergedValue[key], keyPath, contributor, childDefinitions);
+		}
+	}
+}
+
 /**
  * Creates a function that asserts that the config is valid
  * during normalization. This checks that the config is not nullish
  * and that files and ignores keys  of a config object are valid as per base schema.
  * @param {Object} config The config object to check.
  * @param {number} index The index of the config object in the array.
+ * @param {ConfigOrigin} [origin] Where the config object came from.
  * @returns {void}
  * @throws {ConfigError} If the files and ignores keys of a config object are not valid.
  */
-function assertValidBaseConfig(config, index) {
+function assertValidBaseConfig(config, index, origin) {
 
 	if (config === null) {
-		throw new ConfigError(getConfigName(config), index, { message: 'Unexpected null config.' });
+		throw new ConfigError(config, index, {
+			message: 'Unexpected null config.',
+			code: ConfigErrorCode.invalidConfig
+		}, { origin });
 	}
 
 	if (config === undefined) {
-		throw new ConfigError(getConfigName(config), index, { message: 'Unexpected undefined config.' });
+		throw new ConfigError(config, index, {
+			message: 'Unexpected undefined config.',
+			code: ConfigErrorCode.invalidConfig
+		}, { origin });
 	}
 
 	if (typeof config !== 'object') {
-		throw new ConfigError(getConfigName(config), index, { message: 'Unexpected non-object config.' });
+		throw new ConfigError(config, index, {
+			message: 'Unexpected non-object config.',
+			code: ConfigErrorCode.invalidConfig
+		}, { origin });
 	}
 
 	const validateConfig = { };
@@ -152,119 +597,679 @@ function assertValidBaseConfig(config, index) {
 	try {
 		FILES_AND_IGNORES_SCHEMA.validate(validateConfig);
 	} catch (validationError) {
-		rethrowConfigError(config, index, { cause: validationError });
+		rethrowConfigError(config, index, { cause: validationError }, { origin });
 	}
 }
 
 /**
- * Wrapper around minimatch that caches minimatch patterns for
- * faster matching speed over multiple file path evaluations.
- * @param {string} filepath The file path to match.
- * @param {string} pattern The glob pattern to match against.
- * @param {object} options The minimatch options to use.
- * @returns 
+ * Wraps an error for a nested key the same way `ObjectSchema` does, so the
+ * key path can be read from the message.
+ * @param {string} key The key containing the nested value.
+ * @param {Error} error The error for the nested value.
+ * @returns {Error} The wrapped error.
  */
-function doMatch(filepath, pattern, options = {}) {
-
-	let cache = minimatchCache;
-
-	if (options.flipNegate) {
-		cache = negatedMinimatchCache;
-	}
+function wrapKeyError(key, error) {
+	const wrapped = new Error(`Key "${key}": ${error.message}`);
 
-	let matcher = cache.get(pattern);
+	wrapped.cause = error;
 
-	if (!matcher) {
-		matcher = new Minimatch(pattern, Object.assign({}, MINIMATCH_OPTIONS, options));
-		cache.set(pattern, matcher);
+	// copy over custom properties that aren't represented
+	for (const errorKey of Object.keys(error)) {
+		if (!(errorKey in wrapped)) {
+			wrapped[errorKey] = error[errorKey];
+		}
 	}
 
-	return matcher.match(filepath);
+	return wrapped;
 }
 
 /**
- * Normalizes a `ConfigArray` by flattening it and executing any functions
- * that are found inside.
- * @param {Array} items The items in a `ConfigArray`.
- * @param {Object} context The context object to pass into any function
- *      found.
- * @param {Array<string>} extraConfigTypes The config types to check.
- * @returns {Promise<Array>} A flattened array containing only config objects.
- * @throws {TypeError} When a config function returns a function.
+ * Validates an object against a schema and collects all of the errors
+ * instead of stopping at the first one. Because `ObjectSchema` stops at the
+ * first error, each key that fails validation is removed and the remaining
+ * keys are validated again until no more errors are found. Keys with a
+ * nested schema are validated the same way so every error inside of them
+ * is found too.
+ * @param {Object} value The object to validate.
+ * @param {ObjectSchema} schema The schema to validate against.
+ * @param {Object} definitions The definitions used to create the schema.
+ * @param {Set<string>} reportedKeys The keys that were already reported and
+ *      shouldn't be reported as missing.
+ * @returns {Array<Error>} The validation errors for the object, with
+ *      messages like the ones thrown by `ObjectSchema`.
  */
-async function normalize(items, context, extraConfigTypes) {
+function collectSchemaErrors(value, schema, definitions, reportedKeys) {
+	const errors = [];
+	const remainingValue = { ...value };
 
-	const allowFunctions = extraConfigTypes.includes('function');
-	const allowArrays = extraConfigTypes.includes('array');
+	for (;;) {
+		try {
+			schema.validate(remainingValue);
+			break;
+		} catch (validationError) {
+			const { keyPath: [key], code } = getErrorDetails(validationError);
 
-	async function* flatTraverse(array) {
-		for (let item of array) {
-			if (typeof item === 'function') {
-				if (!allowFunctions) {
-					throw new TypeError('Unexpected function.');
+			/*
+			 * Required keys are checked after every other key, so all of the
+			 * remaining errors are missing required keys. A missing required
+			 * key may be one that was just removed, which was already reported.
+			 */
+			if (code === ConfigErrorCode.missingKey) {
+				for (const [requiredKey, definition] of Object.entries(definitions)) {
+					if (definition.required && !(requiredKey in remainingValue) && !reportedKeys.has(requiredKey)) {
+						errors.push(requiredKey === key
+							? validationError
+							: new Error(`Missing required key "${requiredKey}".`));
+					}
 				}
 
-				item = item(context);
-				if (item.then) {
-					item = await item;
-				}
+				break;
 			}
 
-			if (Array.isArray(item)) {
-				if (!allowArrays) {
-					throw new TypeError('Unexpected array.');
-				}
-				yield* flatTraverse(item);
-			} else if (typeof item === 'function') {
-				throw new TypeError('A config function can only return an object or array.');
+			if (key === undefined || !(key in remainingValue)) {
+				errors.push(validationError);
+				break;
+			}
+
+			const definition = Object.hasOwnProperty.call(definitions, key) ? definitions[key] : undefined;
+			const nestedValue = remainingValue[key];
+
+			if (
+				code === ConfigErrorCode.invalidValue &&
+				definition && typeof definition.schema === 'object' &&
+				nestedValue && typeof nestedValue === 'object'
+			) {
+				const nestedErrors = collectSchemaErrors(
+					nestedValue,
+					new ObjectSchema(copySchemaDefinitions(definition.schema)),
+					definition.schema,
+					new Set()
+				);
+
+				errors.push(...nestedErrors.map(error => wrapKeyError(key, error)));
 			} else {
-				yield item;
+				errors.push(validationError);
 			}
+
+			reportedKeys.add(key);
+			delete remainingValue[key];
 		}
 	}
 
-	/*
-	 * Async iterables cannot be used with the spread operator, so we need to manually
-	 * create the array to return.
-	 */
-	const asyncIterable = await flatTraverse(items);
-	const configs = [];
+	return errors;
+}
 
-	for await (const config of asyncIterable) {
-		configs.push(config);
+/**
+ * Validates a config object against a schema and collects all of the errors
+ * instead of stopping at the first one.
+ * @param {Object} config The config object to validate.
+ * @param {number} index The index of the config object in the array.
+ * @param {ObjectSchema} schema The schema to validate against.
+ * @param {Object} schemaDefinitions The definitions used to create the
+ *      schema, which describe the expected values.
+ * @param {ConfigOrigin} [origin] Where the config object came from.
+ * @returns {Array<ConfigError>} The validation errors for the config object.
+ */
+function collectConfigErrors(config, index, schema, schemaDefinitions, origin) {
+
+	// a config that isn't an object can't be validated any further
+	if (!config || typeof config !== 'object') {
+		try {
+			assertValidBaseConfig(config, index, origin);
+		} catch (error) {
+			return [error];
+		}
 	}
 
-	return configs;
+	const errors = [];
+	const reportedKeys = new Set();
+
+	// files and ignores are validated separately from the rest of the schema
+	for (const key of ['files', 'ignores']) {
+		if (key in config) {
+			try {
+				FILES_AND_IGNORES_SCHEMA.validate({ [key]: config[key] });
+			} catch (validationError) {
+				errors.push(validationError);
+				reportedKeys.add(key);
+			}
+		}
+	}
+
+	errors.push(...collectSchemaErrors(config, schema, schemaDefinitions, reportedKeys));
+
+	return errors.map(cause => new ConfigError(config, index, { cause }, { schemaDefinitions, origin }));
 }
 
 /**
- * Normalizes a `ConfigArray` by flattening it and executing any functions
- * that are found inside.
- * @param {Array} items The items in a `ConfigArray`.
- * @param {Object} context The context object to pass into any function
- *      found.
- * @param {Array<string>} extraConfigTypes The config types to check.
- * @returns {Array} A flattened array containing only config objects.
- * @throws {TypeError} When a config function returns a function.
+ * Creates a glob matcher that uses minimatch with the given options.
+ * @param {Object} [options] The minimatch options to use in addition to the
+ *      defaults.
+ * @returns {GlobMatcher} The glob matcher for the given options.
  */
-function normalizeSync(items, context, extraConfigTypes) {
+function createMinimatchMatcher(options) {
 
-	const allowFunctions = extraConfigTypes.includes('function');
-	const allowArrays = extraConfigTypes.includes('array');
+	// flipNegate makes negated patterns match the same as non-negated ones
+	const minimatchOptions = Object.freeze(
+		Object.assign({}, MINIMATCH_OPTIONS, options, { flipNegate: true })
+	);
 
-	function* flatTraverse(array) {
-		for (let item of array) {
-			if (typeof item === 'function') {
+	return {
+		compile(pattern) {
+			const matcher = new Minimatch(pattern, minimatchOptions);
 
-				if (!allowFunctions) {
-					throw new TypeError('Unexpected function.');
-				}
+			return {
+				negated: Boolean(matcher.negate),
+				test: filePath => matcher.match(filePath)
+			};
+		}
+	};
+}
 
-				item = item(context);
-				if (item.then) {
-					throw new TypeError('Async config functions are not supported.');
-				}
-			}
+/**
+ * Creates a glob matcher that caches compiled patterns from another glob
+ * matcher for faster matching speed over multiple file path evaluations.
+ * @param {GlobMatcher} globMatcher The glob matcher to compile patterns.
+ * @param {Map<string,Object>} cache The cache to store compiled patterns in.
+ * @returns {GlobMatcher} The caching glob matcher.
+ */
+function createCachingGlobMatcher(globMatcher, cache) {
+	return {
+		compile(pattern) {
+
+			let compiledPattern = cache.get(pattern);
+
+			if (!compiledPattern) {
+				compiledPattern = globMatcher.compile(pattern);
+				cache.set(pattern, compiledPattern);
+			}
+
+			return compiledPattern;
+		}
+	};
+}
+
+/**
+ * Asserts that a glob matcher implements the expected interface.
+ * @param {GlobMatcher} globMatcher The glob matcher to check.
+ * @returns {void}
+ * @throws {TypeError} When the glob matcher is invalid.
+ */
+function assertValidGlobMatcher(globMatcher) {
+	if (!globMatcher || typeof globMatcher.compile !== 'function') {
+		throw new TypeError('globMatcher must be an object with a compile() method.');
+	}
+}
+
+/**
+ * Determines if a pattern is negated according to the given glob matcher.
+ * @param {string} pattern The glob pattern to check.
+ * @param {GlobMatcher} globMatcher The glob matcher to use.
+ * @returns {boolean} True if the pattern is negated, false if not.
+ */
+function isNegatedPattern(pattern, globMatcher) {
+	return globMatcher.compile(pattern).negated;
+}
+
+/**
+ * Matches a file path against a pattern using a glob matcher.
+ * @param {string} filepath The file path to match.
+ * @param {string} pattern The glob pattern to match against.
+ * @param {object} options Additional options.
+ * @param {boolean} [options.flipNegate=false] Indicates that negated
+ *      patterns should return true when matched.
+ * @param {GlobMatcher} options.globMatcher The glob matcher to use.
+ * @returns {boolean} True if the file path matches the pattern.
+ */
+function doMatch(filepath, pattern, { flipNegate = false, globMatcher }) {
+
+	const compiledPattern = globMatcher.compile(pattern);
+	const matched = compiledPattern.test(filepath);
+
+	return compiledPattern.negated && !flipNegate ? !matched : matched;
+}
+
+/**
+ * Asserts that a maximum nesting depth is valid.
+ * @param {number} maxDepth The value to check.
+ * @returns {void}
+ * @throws {TypeError} When `maxDepth` isn't a non-negative integer or
+ *      `Infinity`.
+ */
+function assertValidMaxDepth(maxDepth) {
+	if (maxDepth !== Infinity && !(Number.isInteger(maxDepth) && maxDepth >= 0)) {
+		throw new TypeError('maxDepth must be a non-negative integer or Infinity.');
+	}
+}
+
+/**
+ * Asserts that the options for waiting on async config functions are valid.
+ * @param {Object} options The options to check.
+ * @param {AbortSignal} [options.signal] The signal used to abort
+ *      normalization.
+ * @param {number} options.timeout The maximum time to wait for each config
+ *      function, in milliseconds.
+ * @returns {void}
+ * @throws {TypeError} When `signal` isn't an `AbortSignal` or `timeout`
+ *      isn't a positive number or `Infinity`.
+ */
+function assertValidWaitOptions({ signal, timeout }) {
+
+	if (signal !== undefined && (
+		!signal ||
+		typeof signal.aborted !== 'boolean' ||
+		typeof signal.addEventListener !== 'function'
+	)) {
+		throw new TypeError('signal must be an AbortSignal.');
+	}
+
+	if (!(typeof timeout === 'number' && timeout > 0)) {
+		throw new TypeError('timeout must be a positive number or Infinity.');
+	}
+}
+
+/**
+ * Creates the error thrown when normalization is aborted. The reason the
+ * signal was aborted becomes the cause of the error when the signal has
+ * one, which isn't the case in older runtimes.
+ * @param {Function} configFunction The config function being evaluated.
+ * @param {Array<ConfigOriginStep>} path The steps to the config function.
+ * @param {string} [filePath] The file the config function came from.
+ * @param {AbortSignal} signal The signal that was aborted.
+ * @returns {ConfigError} The error to throw.
+ */
+function createAbortError(configFunction, path, filePath, signal) {
+	const cause = 'reason' in signal ? signal.reason : undefined;
+
+	return new ConfigError(configFunction, path[0].index, {
+		cause,
+		message: `Normalization was aborted at the config function at ${formatConfigPath(path)}.`,
+		code: ConfigErrorCode.aborted
+	}, { origin: createConfigOrigin(path, filePath) });
+}
+
+/**
+ * Waits for the promise returned by an async config function to settle,
+ * rejecting early if the signal is aborted or the timeout expires.
+ * @param {Promise} promise The promise returned by the config function.
+ * @param {Function} configFunction The config function.
+ * @param {Array<ConfigOriginStep>} path The steps to the config function.
+ * @param {string} [filePath] The file the config function came from.
+ * @param {Object} options The options for waiting.
+ * @param {AbortSignal} [options.signal] The signal used to abort
+ *      normalization.
+ * @param {number} options.timeout The maximum time to wait, in milliseconds.
+ * @returns {Promise<any>} The value the promise resolves to.
+ * @throws {ConfigError} When the signal is aborted or the timeout expires.
+ */
+function waitForConfigFunction(promise, configFunction, path, filePath, { signal, timeout }) {
+
+	if (!signal && timeout === Infinity) {
+		return promise;
+	}
+
+	return new Promise((resolve, reject) => {
+		let timeoutId;
+
+		function cleanUp() {
+			clearTimeout(timeoutId);
+
+			if (signal) {
+				signal.removeEventListener('abort', onAbort);
+			}
+		}
+
+		function onAbort() {
+			cleanUp();
+			reject(createAbortError(configFunction, path, filePath, signal));
+		}
+
+		if (timeout !== Infinity) {
+			timeoutId = setTimeout(() => {
+				cleanUp();
+				reject(new ConfigError(configFunction, path[0].index, {
+					message: `The config function at ${formatConfigPath(path)} did not finish within ${timeout}ms.`,
+					code: ConfigErrorCode.timedOut
+				}, { origin: createConfigOrigin(path, filePath) }));
+			}, timeout);
+		}
+
+		if (signal) {
+			signal.addEventListener('abort', onAbort);
+		}
+
+		promise.then(value => {
+			cleanUp();
+			resolve(value);
+		}, error => {
+			cleanUp();
+			reject(error);
+		});
+	});
+}
+
+/**
+ * Asserts that a concurrency limit is valid.
+ * @param {number} concurrency The value to check.
+ * @returns {void}
+ * @throws {TypeError} When `concurrency` isn't a positive integer or
+ *      `Infinity`.
+ */
+function assertValidConcurrency(concurrency) {
+	if (concurrency !== Infinity && !(Number.isInteger(concurrency) && concurrency > 0)) {
+		throw new TypeError('concurrency must be a positive integer or Infinity.');
+	}
+}
+
+/**
+ * Creates a function that runs async tasks with a limit on how many can
+ * run at the same time. Tasks start in the order they are passed in.
+ * @param {number} concurrency The maximum number of tasks to run at once.
+ * @returns {function(Function):Promise} A function that accepts a task and
+ *      returns a promise for its result.
+ */
+function createConcurrencyLimiter(concurrency) {
+	const queue = [];
+	let active = 0;
+
+	function runNext() {
+		if (active >= concurrency || !queue.length) {
+			return;
+		}
+
+		const { task, resolve, reject } = queue.shift();
+
+		active++;
+		Promise.resolve()
+			.then(task)
+			.then(resolve, reject)
+			.finally(() => {
+				active--;
+				runNext();
+			});
+	}
+
+	return task => new Promise((resolve, reject) => {
+		queue.push({ task, resolve, reject });
+		runNext();
+	});
+}
+
+/**
+ * Keeps track of the arrays and config functions that are being traversed
+ * during normalization so that circular references and runaway nesting are
+ * reported instead of overflowing the stack.
+ */
+class TraversalGuard {
+
+	/**
+	 * Creates a new instance.
+	 * @param {Array} root The array being normalized.
+	 * @param {number} maxDepth The maximum nesting depth of arrays and config
+	 *      functions.
+	 */
+	constructor(root, maxDepth) {
+
+		/**
+		 * The arrays and functions being traversed and their paths.
+		 * @type {Map<Array|Function,Array<ConfigOriginStep>>}
+		 */
+		this.ancestors = new Map([[root, []]]);
+
+		/**
+		 * The maximum nesting depth.
+		 * @type {number}
+		 */
+		this.maxDepth = maxDepth;
+	}
+
+	/**
+	 * Marks an array or config function as being traversed.
+	 * @param {Array|Function} value The array or function.
+	 * @param {Array<ConfigOriginStep>} path The steps to the value.
+	 * @param {string} [filePath] The file the value came from.
+	 * @returns {void}
+	 * @throws {ConfigError} When the value is already being traversed or
+	 *      the maximum depth is exceeded.
+	 */
+	enter(value, path, filePath) {
+
+		if (this.ancestors.has(value)) {
+			throw new ConfigError(value, path[0].index, {
+				message: `Circular reference found: ${formatConfigPath(path)} refers back to ${formatConfigPath(this.ancestors.get(value))}.`,
+				code: ConfigErrorCode.circularReference
+			}, { origin: createConfigOrigin(path, filePath) });
+		}
+
+		if (path.length > this.maxDepth) {
+			throw new ConfigError(value, path[0].index, {
+				message: `Maximum nesting depth of ${this.maxDepth} exceeded at ${formatConfigPath(path)}.`,
+				code: ConfigErrorCode.maxDepthExceeded
+			}, { origin: createConfigOrigin(path, filePath) });
+		}
+
+		this.ancestors.set(value, path);
+	}
+
+	/**
+	 * Determines if an array or config function can be traversed without
+	 * causing an error.
+	 * @param {Array|Function} value The array or function.
+	 * @param {Array<ConfigOriginStep>} path The steps to the value.
+	 * @returns {boolean} True if `enter()` won't throw an error.
+	 */
+	canEnter(value, path) {
+		return !this.ancestors.has(value) && path.length <= this.maxDepth;
+	}
+
+	/**
+	 * Marks an array or config function as no longer being traversed.
+	 * @param {Array|Function} value The array or function.
+	 * @returns {void}
+	 */
+	leave(value) {
+		this.ancestors.delete(value);
+	}
+}
+
+/**
+ * Normalizes a `ConfigArray` by flattening it and executing any functions
+ * that are found inside.
+ * @param {Array} items The items in a `ConfigArray`.
+ * @param {Object} context The context object to pass into any function
+ *      found.
+ * @param {Array<string>} extraConfigTypes The config types to check.
+ * @param {Object} options Options for normalization.
+ * @param {number} options.maxDepth The maximum nesting depth of arrays and
+ *      config functions.
+ * @param {AbortSignal} [options.signal] The signal used to abort
+ *      normalization.
+ * @param {number} options.timeout The maximum time to wait for each async
+ *      config function, in milliseconds.
+ * @param {number} options.concurrency The maximum number of config
+ *      functions to evaluate at once. When greater than 1, the config
+ *      functions in an array are evaluated before they are reached.
+ * @returns {Promise<Array<{config:Object,origin:ConfigOrigin}>>} A flattened
+ *      array containing only config objects and where each came from.
+ * @throws {TypeError} When a config function returns a function.
+ * @throws {ConfigError} When a circular reference is found, the maximum
+ *      depth is exceeded, normalization is aborted, or a config function
+ *      times out.
+ */
+async function normalize(items, context, extraConfigTypes, { maxDepth, signal, timeout, concurrency }) {
+
+	const allowFunctions = extraConfigTypes.includes('function');
+	const allowArrays = extraConfigTypes.includes('array');
+	const guard = new TraversalGuard(items, maxDepth);
+	const limit = concurrency > 1 ? createConcurrencyLimiter(concurrency) : null;
+
+	/**
+	 * Calls a config function and waits for its result.
+	 * @param {Function} configFunction The config function to call.
+	 * @param {Array<ConfigOriginStep>} path The steps to the config function.
+	 * @param {string} [filePath] The file the config function came from.
+	 * @returns {Promise<any>} The value returned by the config function.
+	 */
+	async function evaluate(configFunction, path, filePath) {
+
+		if (signal && signal.aborted) {
+			throw createAbortError(configFunction, path, filePath, signal);
+		}
+
+		const result = configFunction(context);
+
+		return result.then
+			? waitForConfigFunction(result, configFunction, path, filePath, { signal, timeout })
+			: result;
+	}
+
+	/**
+	 * Starts evaluating the config functions in an array so that they run
+	 * concurrently instead of one after the other.
+	 * @param {Array} array The array containing config functions.
+	 * @param {Array<ConfigOriginStep>} parentPath The steps to the array.
+	 * @param {string} [parentFilePath] The file the array came from.
+	 * @param {boolean} functionResult True if the array was returned by a
+	 *      config function.
+	 * @returns {Map<number,Promise>} The pending results by index.
+	 */
+	function evaluateAhead(array, parentPath, parentFilePath, functionResult) {
+		const pendingResults = new Map();
+
+		if (!limit || !allowFunctions) {
+			return pendingResults;
+		}
+
+		let index = 0;
+
+		for (const item of array) {
+			const path = [...parentPath, { index, functionResult }];
+
+			// functions that would cause an error are evaluated when reached
+			if (typeof item === 'function' && guard.canEnter(item, path)) {
+				const pendingResult = limit(() => evaluate(item, path, getConfigFile(item) || parentFilePath));
+
+				// the result may never be awaited if an earlier item fails
+				pendingResult.catch(() => {});
+				pendingResults.set(index, pendingResult);
+			}
+
+			index++;
+		}
+
+		return pendingResults;
+	}
+
+	async function* flatTraverse(array, parentPath = [], parentFilePath = getConfigFile(array), functionResult = false) {
+		const pendingResults = evaluateAhead(array, parentPath, parentFilePath, functionResult);
+		let index = 0;
+
+		for (let item of array) {
+			const pendingResult = pendingResults.get(index);
+			const path = [...parentPath, { index: index++, functionResult }];
+			let filePath = getConfigFile(item) || parentFilePath;
+			let isFunctionResult = false;
+			let configFunction;
+
+			if (typeof item === 'function') {
+				if (!allowFunctions) {
+					throw new TypeError('Unexpected function.');
+				}
+
+				configFunction = item;
+				guard.enter(configFunction, path, filePath);
+
+				item = await (pendingResult || evaluate(configFunction, path, filePath));
+
+				isFunctionResult = true;
+				filePath = getConfigFile(item) || filePath;
+			}
+
+			if (Array.isArray(item)) {
+				if (!allowArrays) {
+					throw new TypeError('Unexpected array.');
+				}
+				guard.enter(item, path, filePath);
+				yield* flatTraverse(item, path, filePath, isFunctionResult);
+				guard.leave(item);
+			} else if (typeof item === 'function') {
+				throw new TypeError('A config function can only return an object or array.');
+			} else {
+				if (isFunctionResult) {
+					path.push({ index: undefined, functionResult: true });
+				}
+
+				yield { config: item, origin: createConfigOrigin(path, filePath) };
+			}
+
+			if (configFunction) {
+				guard.leave(configFunction);
+			}
+		}
+	}
+
+	/*
+	 * Async iterables cannot be used with the spread operator, so we need to manually
+	 * create the array to return.
+	 */
+	const asyncIterable = await flatTraverse(items);
+	const configs = [];
+
+	for await (const config of asyncIterable) {
+		configs.push(config);
+	}
+
+	return configs;
+}
+
+/**
+ * Normalizes a `ConfigArray` by flattening it and executing any functions
+ * that are found inside.
+ * @param {Array} items The items in a `ConfigArray`.
+ * @param {Object} context The context object to pass into any function
+ *      found.
+ * @param {Array<string>} extraConfigTypes The config types to check.
+ * @param {Object} options Options for normalization.
+ * @param {number} options.maxDepth The maximum nesting depth of arrays and
+ *      config functions.
+ * @returns {Array<{config:Object,origin:ConfigOrigin}>} A flattened array
+ *      containing only config objects and where each came from.
+ * @throws {TypeError} When a config function returns a function.
+ * @throws {ConfigError} When a circular reference is found or the maximum
+ *      depth is exceeded.
+ */
+function normalizeSync(items, context, extraConfigTypes, { maxDepth }) {
+
+	const allowFunctions = extraConfigTypes.includes('function');
+	const allowArrays = extraConfigTypes.includes('array');
+	const guard = new TraversalGuard(items, maxDepth);
+
+	function* flatTraverse(array, parentPath = [], parentFilePath = getConfigFile(array), functionResult = false) {
+		let index = 0;
+
+		for (let item of array) {
+			const path = [...parentPath, { index: index++, functionResult }];
+			let filePath = getConfigFile(item) || parentFilePath;
+			let isFunctionResult = false;
+			let configFunction;
+
+			if (typeof item === 'function') {
+
+				if (!allowFunctions) {
+					throw new TypeError('Unexpected function.');
+				}
+
+				configFunction = item;
+				guard.enter(configFunction, path, filePath);
+
+				item = item(context);
+				if (item.then) {
+					throw new TypeError('Async config functions are not supported.');
+				}
+
+				isFunctionResult = true;
+				filePath = getConfigFile(item) || filePath;
+			}
 
 			if (Array.isArray(item)) {
 
@@ -272,11 +1277,21 @@ function normalizeSync(items, context, extraConfigTypes) {
 					throw new TypeError('Unexpected array.');
 				}
 
-				yield* flatTraverse(item);
+				guard.enter(item, path, filePath);
+				yield* flatTraverse(item, path, filePath, isFunctionResult);
+				guard.leave(item);
 			} else if (typeof item === 'function') {
 				throw new TypeError('A config function can only return an object or array.');
 			} else {
-				yield item;
+				if (isFunctionResult) {
+					path.push({ index: undefined, functionResult: true });
+				}
+
+				yield { config: item, origin: createConfigOrigin(path, filePath) };
+			}
+
+			if (configFunction) {
+				guard.leave(configFunction);
 			}
 		}
 	}
@@ -290,15 +1305,34 @@ function normalizeSync(items, context, extraConfigTypes) {
  * @param {Array<string|() => boolean>} ignores The ignore patterns to check. 
  * @param {string} filePath The absolute path of the file to check.
  * @param {string} relativeFilePath The relative path of the file to check.
+ * @param {Object} [options] Additional options.
+ * @param {boolean} [options.gitignoreMode=false] When true, a directory
+ *      path (ending with `/`) is not matched by a pattern ending with `/**`
+ *      that would otherwise match the directory itself, as in gitignore.
+ * @param {GlobMatcher} [options.globMatcher] The glob matcher to use.
  * @returns {boolean} True if the path should be ignored and false if not.
  */
-function shouldIgnorePath(ignores, filePath, relativeFilePath) {
+function shouldIgnorePath(ignores, filePath, relativeFilePath, {
+	gitignoreMode = false,
+	globMatcher
+} = {}) {
 
 	// all files outside of the basePath are ignored
 	if (relativeFilePath.startsWith('..')) {
 		return true;
 	}
 
+	/*
+	 * In gitignore, `foo/**` matches everything inside of `foo` but not
+	 * `foo` itself. Minimatch matches `foo/` with `foo/**`, so we compare
+	 * those patterns against the directory path without the trailing slash.
+	 */
+	const getPathToMatch = pattern => (
+		gitignoreMode && pattern.endsWith('/**') && relativeFilePath.endsWith('/')
+			? relativeFilePath.slice(0, -1)
+			: relativeFilePath
+	);
+
 	return ignores.reduce((ignored, matcher) => {
 
 		if (!ignored) {
@@ -308,8 +1342,8 @@ function shouldIgnorePath(ignores, filePath, relativeFilePath) {
 			}
 
 			// don't check negated patterns because we're not ignored yet
-			if (!matcher.startsWith('!')) {
-				return doMatch(relativeFilePath, matcher);
+			if (!isNegatedPattern(matcher, globMatcher)) {
+				return doMatch(getPathToMatch(matcher), matcher, { globMatcher });
 			}
 
 			// otherwise we're still not ignored
@@ -318,9 +1352,10 @@ function shouldIgnorePath(ignores, filePath, relativeFilePath) {
 		}
 
 		// only need to check negated patterns because we're ignored
-		if (typeof matcher === 'string' && matcher.startsWith('!')) {
-			return !doMatch(relativeFilePath, matcher, {
-				flipNegate: true
+		if (typeof matcher === 'string' && isNegatedPattern(matcher, globMatcher)) {
+			return !doMatch(getPathToMatch(matcher), matcher, {
+				flipNegate: true,
+				globMatcher
 			});
 		}
 
@@ -334,22 +1369,15 @@ function shouldIgnorePath(ignores, filePath, relativeFilePath) {
  * Determines if a given file path is matched by a config based on
  * `ignores` only.
  * @param {string} filePath The absolute file path to check.
- * @param {string} basePath The base path for the config.
+ * @param {string} relativeFilePath The file path relative to the base path.
  * @param {Object} config The config object to check.
+ * @param {GlobMatcher} [globMatcher] The glob matcher to use.
  * @returns {boolean} True if the file path is matched by the config,
  *      false if not.
  */
-function pathMatchesIgnores(filePath, basePath, config) {
-
-	/*
-	 * For both files and ignores, functions are passed the absolute
-	 * file path while strings are compared against the relative
-	 * file path.
-	 */
-	const relativeFilePath = path.relative(basePath, filePath);
-
+function pathMatchesIgnores(filePath, relativeFilePath, config, globMatcher) {
 	return Object.keys(config).filter(key => !META_FIELDS.has(key)).length > 1 &&
-		!shouldIgnorePath(config.ignores, filePath, relativeFilePath);
+		!shouldIgnorePath(config.ignores, filePath, relativeFilePath, { globMatcher });
 }
 
 
@@ -359,25 +1387,25 @@ function pathMatchesIgnores(filePath, basePath, config) {
  * is present then we match the globs in `files` and exclude any globs in
  * `ignores`.
  * @param {string} filePath The absolute file path to check.
- * @param {string} basePath The base path for the config.
+ * @param {string} relativeFilePath The file path relative to the base path.
  * @param {Object} config The config object to check.
+ * @param {GlobMatcher} [globMatcher] The glob matcher to use.
  * @returns {boolean} True if the file path is matched by the config,
  *      false if not.
  */
-function pathMatches(filePath, basePath, config) {
+function pathMatches(filePath, relativeFilePath, config, globMatcher) {
 
 	/*
 	 * For both files and ignores, functions are passed the absolute
 	 * file path while strings are compared against the relative
 	 * file path.
 	 */
-	const relativeFilePath = path.relative(basePath, filePath);
 
 	// match both strings and functions
 	const match = pattern => {
 
 		if (isString(pattern)) {
-			return doMatch(relativeFilePath, pattern);
+			return doMatch(relativeFilePath, pattern, { globMatcher });
 		}
 
 		if (typeof pattern === 'function') {
@@ -393,65 +1421,702 @@ function pathMatches(filePath, basePath, config) {
 			return pattern.every(match);
 		}
 
-		return match(pattern);
-	});
+		return match(pattern);
+	});
+
+	/*
+	 * If the file path matches the config.files patterns, then check to see
+	 * if there are any files to ignore.
+	 */
+	if (filePathMatchesPattern && config.ignores) {
+		filePathMatchesPattern = !shouldIgnorePath(config.ignores, filePath, relativeFilePath, { globMatcher });
+	}
+
+	return filePathMatchesPattern;
+}
+
+/**
+ * Splits the `files` of a config into patterns that are universal (ending
+ * in `/*` or `/**`) and patterns that aren't. The result is cached so it
+ * only needs to be calculated once per config.
+ * @param {Object} config The config object with `files`.
+ * @returns {{universalFiles:Array,nonUniversalFiles:Array}} The partitioned
+ *      `files` patterns.
+ */
+function getFilesPartition(config) {
+
+	let partition = filesPartitionCache.get(config);
+
+	if (!partition || partition.files !== config.files) {
+		partition = {
+			files: config.files,
+			universalFiles: config.files.filter(
+				pattern => UNIVERSAL_PATTERN.test(pattern)
+			),
+			nonUniversalFiles: config.files.filter(
+				pattern => !UNIVERSAL_PATTERN.test(pattern)
+			)
+		};
+		filesPartitionCache.set(config, partition);
+	}
+
+	return partition;
+}
+
+/**
+ * Determines how a config object applies to a given file path. This
+ * mirrors the matching rules used by `getConfig()` and returns one of
+ * the following statuses:
+ * - `"matched"` when the file path matches a non-universal `files` pattern.
+ * - `"universal"` when the file path matches only a universal pattern
+ *   (ending in `/*` or `/**`) in `files`.
+ * - `"anonymous"` when the config has no `files` and applies to every file
+ *   that isn't excluded by its `ignores`.
+ * - `"global-ignores"` when the config only contains `ignores`.
+ * - `"skipped"` when the config doesn't apply to the file path.
+ * @param {string} filePath The absolute file path to check.
+ * @param {string} relativeFilePath The file path relative to the base path.
+ * @param {Object} config The config object to check.
+ * @param {GlobMatcher} [globMatcher] The glob matcher to use.
+ * @returns {string} The match status of the config.
+ */
+function getConfigMatchStatus(filePath, relativeFilePath, config, globMatcher) {
+
+	if (!config.files) {
+
+		if (!config.ignores) {
+			debug(`Anonymous universal config found for ${filePath}`);
+			return 'anonymous';
+		}
+
+		if (Object.keys(config).filter(key => !META_FIELDS.has(key)).length === 1) {
+			return 'global-ignores';
+		}
+
+		if (pathMatchesIgnores(filePath, relativeFilePath, config, globMatcher)) {
+			debug(`Matching config found for ${filePath} (based on ignores: ${config.ignores})`);
+			return 'anonymous';
+		}
+
+		debug(`Skipped config found for ${filePath} (based on ignores: ${config.ignores})`);
+		return 'skipped';
+	}
+
+	/*
+	 * If a config has a files pattern ending in /** or /*, and the
+	 * filePath only matches those patterns, then the config is only
+	 * applied if there is another config where the filePath matches
+	 * a file with a specific extensions such as *.js.
+	 */
+
+	const { universalFiles, nonUniversalFiles } = getFilesPartition(config);
+
+	// universal patterns were found so we need to check the config twice
+	if (universalFiles.length) {
+
+		debug('Universal files patterns found. Checking carefully.');
+
+		// check that the config matches without the non-universal files first
+		if (
+			nonUniversalFiles.length &&
+			pathMatches(
+				filePath, relativeFilePath,
+				{ files: nonUniversalFiles, ignores: config.ignores },
+				globMatcher
+			)
+		) {
+			debug(`Matching config found for ${filePath}`);
+			return 'matched';
+		}
+
+		// if there wasn't a match then check if it matches with universal files
+		if (
+			pathMatches(
+				filePath, relativeFilePath,
+				{ files: universalFiles, ignores: config.ignores },
+				globMatcher
+			)
+		) {
+			debug(`Matching config found for ${filePath}`);
+			return 'universal';
+		}
+
+		// if we make here, then there was no match
+		return 'skipped';
+	}
+
+	// the normal case
+	if (pathMatches(filePath, relativeFilePath, config, globMatcher)) {
+		debug(`Matching config found for ${filePath}`);
+		return 'matched';
+	}
+
+	return 'skipped';
+}
+
+/**
+ * Ensures that a ConfigArray has been normalized.
+ * @param {ConfigArray} configArray The ConfigArray to check. 
+ * @returns {void}
+ * @throws {Error} When the `ConfigArray` is not normalized.
+ */
+function assertNormalized(configArray) {
+	// TODO: Throw more verbose error
+	if (!configArray.isNormalized()) {
+		throw new Error('ConfigArray must be normalized to perform this operation.');
+	}
+}
+
+/**
+ * Gets the options for walking the files of a config array. The file system
+ * of the config array is used unless another is given and the path
+ * implementation of the config array is always used.
+ * @param {ConfigArray} configArray The config array being walked.
+ * @param {Object} [options] The options passed to `walkFiles()`.
+ * @returns {Object} The options for the file walker.
+ */
+function getWalkOptions(configArray, options = {}) {
+	const { fs, path } = dataCache.get(configArray);
+
+	return {
+		...options,
+		fs: options.fs === undefined ? fs : options.fs,
+		path
+	};
+}
+
+/**
+ * Ensures that cache limits are valid.
+ * @param {Object} cacheLimits The cache limits to check.
+ * @returns {void}
+ * @throws {TypeError} When the cache limits are invalid.
+ */
+function assertValidCacheLimits(cacheLimits) {
+	if (!cacheLimits || typeof cacheLimits !== 'object') {
+		throw new TypeError('cacheLimits must be an object.');
+	}
+
+	for (const name of Object.keys(cacheLimits)) {
+		if (!CACHE_NAMES.has(name)) {
+			throw new TypeError(`Unexpected cache "${name}" found. Expected one of: ${[...CACHE_NAMES].map(cacheName => `"${cacheName}"`).join(', ')}.`);
+		}
+	}
+}
+
+/**
+ * Ensures that config types are valid.
+ * @param {Array<string>} extraConfigTypes The config types to check.
+ * @returns {void}
+ * @throws {Error} When the config types array is invalid.
+ */
+function assertExtraConfigTypes(extraConfigTypes) {
+	if (extraConfigTypes.length > 2) {
+		throw new TypeError('configTypes must be an array with at most two items.');
+	}
+
+	for (const configType of extraConfigTypes) {
+		if (!CONFIG_TYPES.has(configType)) {
+			throw new TypeError(`Unexpected config type "${configType}" found. Expected one of: "object", "array", "function".`);
+		}
+	}
+}
+
+//------------------------------------------------------------------------------
+// Public Interface
+//------------------------------------------------------------------------------
+
+export const ConfigArraySymbol = {
+	isNormalized: Symbol('isNormalized'),
+	configCache: Symbol('configCache'),
+	schema: Symbol('schema'),
+	finalizeConfig: Symbol('finalizeConfig'),
+	preprocessConfig: Symbol('preprocessConfig')
+};
+
+// used to store calculate data for faster lookup
+const dataCache = new WeakMap();
+
+/**
+ * Gets the config index for a `ConfigArray`, creating it if necessary.
+ * There is no index when a custom glob matcher is used because the meaning
+ * of its patterns is unknown.
+ * @param {ConfigArray} configArray The normalized `ConfigArray`.
+ * @returns {Object|null} The config index or `null` if there isn't one.
+ */
+function getConfigIndex(configArray) {
+
+	const cache = dataCache.get(configArray);
+
+	if (!cache.indexOptions) {
+		return null;
+	}
+
+	if (!cache.configIndex) {
+		cache.configIndex = createConfigIndex(configArray, cache.indexOptions);
+	}
+
+	return cache.configIndex;
+}
+
+/**
+ * Gets the indices of the config objects in a `ConfigArray` that can
+ * possibly match a file.
+ * @param {ConfigArray} configArray The normalized `ConfigArray`.
+ * @param {string} relativeFilePath The path of the file relative to the
+ *      base path.
+ * @returns {Array<number>} The config indices in ascending order.
+ */
+function getCandidateConfigIndices(configArray, relativeFilePath) {
+
+	const configIndex = getConfigIndex(configArray);
+
+	if (!configIndex) {
+		return configArray.map((config, index) => index);
+	}
+
+	return getCandidateIndices(configIndex, relativeFilePath);
+}
+
+/**
+ * Creates the work shared while calculating the configs for multiple file
+ * paths in `iterateConfigs()`.
+ * @returns {{ignoredDirectories:Map<string,boolean>,groups:Map<string,Object>,configs:Map<string,Object>}}
+ *      Whether each directory is ignored, the work shared by each group of
+ *      files from `getFileGroup()`, and the config object for each list of
+ *      matching config indices.
+ */
+function createConfigBatch() {
+	return {
+		ignoredDirectories: new Map(),
+		groups: new Map(),
+		configs: new Map()
+	};
+}
+
+/**
+ * Creates a glob matcher for a group of files from `getFileGroup()`. A
+ * pattern from `isGroupPattern()` matches all or none of the files in the
+ * group, so it's only tested against the first file. Other patterns are
+ * tested with the given glob matcher.
+ * @param {GlobMatcher} globMatcher The glob matcher to use.
+ * @param {Object} configIndex The config index of the `ConfigArray`.
+ * @param {string} extension The extension of the files in the group.
+ * @returns {GlobMatcher} The glob matcher for the group.
+ */
+function createGroupGlobMatcher(globMatcher, configIndex, extension) {
+
+	// null for patterns that aren't shared by the group
+	const groupPatterns = new Map();
+
+	return {
+		compile(pattern) {
+			let groupPattern = groupPatterns.get(pattern);
+
+			if (groupPattern === undefined) {
+				groupPattern = null;
+
+				if (isGroupPattern(configIndex, pattern, extension)) {
+					const compiledPattern = globMatcher.compile(pattern);
+					let matched;
+
+					groupPattern = {
+						negated: compiledPattern.negated,
+						test(filePath) {
+							if (matched === undefined) {
+								matched = compiledPattern.test(filePath);
+							}
+
+							return matched;
+						}
+					};
+				}
+
+				groupPatterns.set(pattern, groupPattern);
+			}
+
+			return groupPattern || globMatcher.compile(pattern);
+		}
+	};
+}
+
+/**
+ * Gets the work shared by the group of files that a file belongs to while
+ * calculating configs in a batch. Nothing is shared when patterns are
+ * matched with a custom glob matcher because nothing is known about them.
+ * @param {ConfigArray} configArray The normalized `ConfigArray`.
+ * @param {Object} batch The batch from `createConfigBatch()`.
+ * @param {string} relativeFilePath The path of the file relative to the
+ *      base path.
+ * @returns {{globMatcher:GlobMatcher,candidateIndices:Array<number>|undefined}|undefined}
+ *      The glob matcher for the group and the indices of the config objects
+ *      that can possibly match the files, if they're the same for every file.
+ */
+function getGroupWork(configArray, batch, relativeFilePath) {
+
+	const configIndex = getConfigIndex(configArray);
+
+	if (!configIndex) {
+		return undefined;
+	}
+
+	const { key, directory, extension } = getFileGroup(configIndex, relativeFilePath);
+	let group = batch.groups.get(key);
+
+	if (!group) {
+		group = {
+			globMatcher: createGroupGlobMatcher(dataCache.get(configArray).globMatcher, configIndex, extension),
+
+			// the candidates for a file in the base path depend on its name
+			candidateIndices: directory ? getCandidateConfigIndices(configArray, relativeFilePath) : undefined
+		};
+
+		batch.groups.set(key, group);
+	}
+
+	return group;
+}
+
+/**
+ * Calculates the config object for a file path, as returned by
+ * `getConfig()`. When a batch is passed, work is shared with the other file
+ * paths in the batch: each directory is only checked once, and files in the
+ * same directory with the same extension share the config objects that can
+ * match them and the results of the patterns that `isGroupPattern()` allows.
+ * @param {ConfigArray} configArray The normalized `ConfigArray`.
+ * @param {string} filePath The complete path of a file to get a config for.
+ * @param {Object} [batch] The batch from `createConfigBatch()`.
+ * @returns {Object} The config object for this file.
+ */
+function calculateConfig(configArray, filePath, batch) {
+
+	const cache = configArray[ConfigArraySymbol.configCache];
+	const { path } = dataCache.get(configArray);
+
+	// first check the cache for a filename match to avoid duplicate work
+	const cachedConfig = cache.get(filePath);
+
+	if (cachedConfig !== undefined || cache.has(filePath)) {
+		return cachedConfig;
+	}
+
+	let finalConfig;
+
+	// next check to see if the file should be ignored
+
+	// check if this should be ignored due to its directory
+	const directoryPath = path.dirname(filePath);
+	let directoryIgnored = batch && batch.ignoredDirectories.get(directoryPath);
+
+	if (directoryIgnored === undefined) {
+		directoryIgnored = configArray.isDirectoryIgnored(directoryPath);
+
+		if (batch) {
+			batch.ignoredDirectories.set(directoryPath, directoryIgnored);
+		}
+	}
+
+	if (directoryIgnored) {
+		debug(`Ignoring ${filePath} based on directory pattern`);
+
+		// cache and return result - finalConfig is undefined at this point
+		cache.set(filePath, finalConfig);
+		return finalConfig;
+	}
+
+	// TODO: Maybe move elsewhere?
+	const relativeFilePath = path.relative(configArray.basePath, filePath);
+	const groupWork = batch && getGroupWork(configArray, batch, relativeFilePath);
+	const globMatcher = groupWork ? groupWork.globMatcher : dataCache.get(configArray).globMatcher;
+
+	if (shouldIgnorePath(configArray.ignores, filePath, relativeFilePath, { globMatcher })) {
+		debug(`Ignoring ${filePath} based on file pattern`);
+
+		// cache and return result - finalConfig is undefined at this point
+		cache.set(filePath, finalConfig);
+		return finalConfig;
+	}
+
+	// filePath isn't automatically ignored, so try to construct config
+
+	const matchingConfigIndices = [];
+	let matchFound = false;
+
+	// only check the configs that can possibly match this file
+	const candidateIndices = (groupWork && groupWork.candidateIndices) ||
+		getCandidateConfigIndices(configArray, relativeFilePath);
+
+	for (const index of candidateIndices) {
+
+		const status = getConfigMatchStatus(filePath, relativeFilePath, configArray[index], globMatcher);
+
+		if (status === 'matched') {
+			matchingConfigIndices.push(index);
+			matchFound = true;
+			continue;
+		}
+
+		if (APPLIED_STATUSES.has(status)) {
+			matchingConfigIndices.push(index);
+		}
+	}
+
+	// if matching both files and ignores, there will be no config to create
+	if (!matchFound) {
+		debug(`No matching configs found for ${filePath}`);
+
+		// cache and return result - finalConfig is undefined at this point
+		cache.set(filePath, finalConfig);
+		return finalConfig;
+	}
+
+	// check to see if there is a config cached by indices
+	const configKey = matchingConfigIndices.toString();
+
+	finalConfig = (batch && batch.configs.get(configKey)) || cache.get(configKey);
+
+	if (finalConfig) {
+
+		// also store for filename for faster lookup next time
+		cache.set(filePath, finalConfig);
+
+		if (batch) {
+			batch.configs.set(configKey, finalConfig);
+		}
+
+		return finalConfig;
+	}
+
+	// otherwise construct the config
+
+	finalConfig = matchingConfigIndices.reduce((result, index) => {
+		try {
+			return configArray[ConfigArraySymbol.schema].merge(result, configArray[index]);
+		} catch (validationError) {
+			const { schemaDefinitions, origins } = dataCache.get(configArray);
+			const errorOptions = { schemaDefinitions, origin: origins[index] };
+
+			// merge() also validates, so check if the config itself is invalid
+			try {
+				configArray[ConfigArraySymbol.schema].validate(configArray[index]);
+			} catch (configValidationError) {
+				rethrowConfigError(configArray[index], index, { cause: configValidationError }, errorOptions);
+			}
+
+			rethrowConfigError(configArray[index], index, {
+				cause: validationError,
+				code: ConfigErrorCode.mergeFailed
+			}, errorOptions);
+		}
+	}, {});
+
+	finalConfig = configArray[ConfigArraySymbol.finalizeConfig](finalConfig);
+
+	cache.set(filePath, finalConfig);
+	cache.set(configKey, finalConfig);
+
+	if (batch) {
+		batch.configs.set(configKey, finalConfig);
+	}
+
+	return finalConfig;
+}
+
+/**
+ * Validates all config objects in an array and throws an error containing
+ * all of the validation errors if any are found.
+ * @param {ConfigArray} configArray The config array to validate.
+ * @returns {void}
+ * @throws {ConfigValidationError} If any config object is invalid. The `errors`
+ *      property contains a `ConfigError` for each problem.
+ */
+function assertValidConfigs(configArray) {
+	const schema = configArray[ConfigArraySymbol.schema];
+	const { schemaDefinitions, origins } = dataCache.get(configArray);
+	const errors = [];
+
+	configArray.forEach((config, index) => {
+		errors.push(...collectConfigErrors(config, index, schema, schemaDefinitions, origins[index]));
+	});
+
+	if (errors.length) {
+		throw new ConfigValidationError(errors);
+	}
+}
+
+/**
+ * Determines where configs should be inserted into a `ConfigArray`.
+ * @param {ConfigArray} configArray The normalized `ConfigArray`.
+ * @param {Object} options The insertion options.
+ * @param {boolean} options.prepend True to insert at the beginning.
+ * @param {string} [options.before] The name of the config to insert before.
+ * @param {string} [options.after] The name of the config to insert after.
+ * @returns {number} The index to insert at.
+ * @throws {TypeError} When more than one option is used.
+ * @throws {Error} When no config has the given name.
+ */
+function getInsertionIndex(configArray, { prepend, before, after }) {
+
+	if ([prepend, before !== undefined, after !== undefined].filter(Boolean).length > 1) {
+		throw new TypeError('Only one of prepend, before, and after can be used.');
+	}
+
+	if (prepend) {
+		return 0;
+	}
+
+	const name = before === undefined ? after : before;
+
+	if (name === undefined) {
+		return configArray.length;
+	}
+
+	const index = configArray.findIndex(config => config.name === name);
+
+	if (index === -1) {
+		throw new Error(`No config named "${name}" was found.`);
+	}
+
+	return before === undefined ? index + 1 : index;
+}
+
+/**
+ * Gets the config objects in a normalized `ConfigArray` along with their
+ * origins.
+ * @param {ConfigArray} configArray The normalized `ConfigArray`.
+ * @returns {Array<{config:Object,origin:ConfigOrigin}>} The config objects
+ *      and their origins.
+ */
+function getConfigEntries(configArray) {
+	const { origins } = dataCache.get(configArray);
+
+	return configArray.map((config, index) => ({ config, origin: origins[index] }));
+}
 
-	/*
-	 * If the file path matches the config.files patterns, then check to see
-	 * if there are any files to ignore.
-	 */
-	if (filePathMatchesPattern && config.ignores) {
-		filePathMatchesPattern = !shouldIgnorePath(config.ignores, filePath, relativeFilePath);
-	}
+/**
+ * Preprocesses and validates configs that are being added to a normalized
+ * `ConfigArray`. The origin of each config is marked with the method that
+ * added it so it can't be confused with the config at the same position in
+ * the original input.
+ * @param {ConfigArray} configArray The normalized `ConfigArray`.
+ * @param {Array<{config:Object,origin:ConfigOrigin}>} normalizedConfigs
+ *      The additional configs, already flattened.
+ * @param {number} startIndex The index the first config will have.
+ * @param {string} addedBy The method that is adding the configs.
+ * @returns {Array<{config:Object,origin:ConfigOrigin,added:boolean}>} The
+ *      preprocessed configs and their origins.
+ * @throws {ConfigError} When an additional config is invalid.
+ */
+function prepareAddedConfigs(configArray, normalizedConfigs, startIndex, addedBy) {
+	const preprocessConfig = configArray[ConfigArraySymbol.preprocessConfig].bind(configArray);
 
-	return filePathMatchesPattern;
+	return normalizedConfigs.map(({ config, origin }, index) => {
+		const preprocessedConfig = preprocessConfig(config, index);
+		const addedOrigin = createConfigOrigin(origin.path, origin.filePath, addedBy);
+
+		assertValidBaseConfig(preprocessedConfig, startIndex + index, addedOrigin);
+
+		return { config: preprocessedConfig, origin: addedOrigin, added: true };
+	});
 }
 
 /**
- * Ensures that a ConfigArray has been normalized.
- * @param {ConfigArray} configArray The ConfigArray to check. 
+ * Asserts that no two config objects have the same name. Config objects that
+ * were just added are checked after the others so the error is reported for
+ * the added config object rather than the one that already had the name.
+ * @param {Array<Object>} configs The config objects to check.
+ * @param {Array<ConfigOrigin>} origins The origins of the config objects.
+ * @param {Array<boolean>} [added=[]] Whether each config object was just
+ *      added.
  * @returns {void}
- * @throws {Error} When the `ConfigArray` is not normalized.
+ * @throws {ConfigError} When a name is used more than once.
  */
-function assertNormalized(configArray) {
-	// TODO: Throw more verbose error
-	if (!configArray.isNormalized()) {
-		throw new Error('ConfigArray must be normalized to perform this operation.');
+function assertUniqueNames(configs, origins, added = []) {
+	const indices = new Map();
+	const existingIndices = [];
+	const addedIndices = [];
+
+	configs.forEach((config, index) => {
+		(added[index] ? addedIndices : existingIndices).push(index);
+	});
+
+	for (const index of [...existingIndices, ...addedIndices]) {
+		const config = configs[index];
+
+		if (typeof config.name !== 'string') {
+			continue;
+		}
+
+		if (indices.has(config.name)) {
+			const existingIndex = indices.get(config.name);
+			const existingOrigin = origins[existingIndex];
+			const originText = isInformativeOrigin(existingOrigin, existingIndex)
+				? ` (${existingOrigin.description})`
+				: '';
+
+			throw new ConfigError(config, index, {
+				message: `Name is already used by the config at index ${existingIndex}${originText}.`,
+				code: ConfigErrorCode.duplicateName
+			}, { origin: origins[index] });
+		}
+
+		indices.set(config.name, index);
 	}
 }
 
 /**
- * Ensures that config types are valid.
- * @param {Array<string>} extraConfigTypes The config types to check.
- * @returns {void}
- * @throws {Error} When the config types array is invalid.
+ * Creates a new normalized `ConfigArray` from the configs of an existing
+ * one. The new instance has the same prototype and options as the existing
+ * one and shares its pattern cache.
+ * @param {ConfigArray} configArray The normalized `ConfigArray`.
+ * @param {Array<{config:Object,origin:ConfigOrigin}>} entries The
+ *      preprocessed and validated configs of the new `ConfigArray` along
+ *      with their origins.
+ * @returns {ConfigArray} The new `ConfigArray`.
+ * @throws {ConfigError} When names must be unique and aren't.
  */
-function assertExtraConfigTypes(extraConfigTypes) {
-	if (extraConfigTypes.length > 2) {
-		throw new TypeError('configTypes must be an array with at most two items.');
+function createDerivedConfigArray(configArray, entries) {
+
+	const cache = dataCache.get(configArray);
+	const origins = entries.map(({ origin }) => origin);
+
+	if (configArray.uniqueNames) {
+		assertUniqueNames(
+			entries.map(({ config }) => config),
+			origins,
+			entries.map(({ added }) => Boolean(added))
+		);
 	}
 
-	for (const configType of extraConfigTypes) {
-		if (!CONFIG_TYPES.has(configType)) {
-			throw new TypeError(`Unexpected config type "${configType}" found. Expected one of: "object", "array", "function".`);
+	/*
+	 * Subclasses may have constructors with different signatures, so only
+	 * the ConfigArray constructor is run and any other properties are
+	 * copied from the existing instance.
+	 */
+	const derived = Reflect.construct(ConfigArray, [
+		entries.map(({ config }) => config),
+		{ ...cache.constructorOptions, normalized: true }
+	], configArray.constructor);
+
+	for (const key of Reflect.ownKeys(configArray)) {
+		const isIndex = typeof key === 'string' && /^(?:0|[1-9]\d*)$/.test(key);
+
+		if (!isIndex && !Object.prototype.hasOwnProperty.call(derived, key)) {
+			derived[key] = configArray[key];
 		}
 	}
-}
 
-//------------------------------------------------------------------------------
-// Public Interface
-//------------------------------------------------------------------------------
+	const derivedCache = dataCache.get(derived);
 
-export const ConfigArraySymbol = {
-	isNormalized: Symbol('isNormalized'),
-	configCache: Symbol('configCache'),
-	schema: Symbol('schema'),
-	finalizeConfig: Symbol('finalizeConfig'),
-	preprocessConfig: Symbol('preprocessConfig')
-};
+	// compiled patterns don't depend on the configs so they can be shared
+	derivedCache.globMatcher = cache.globMatcher;
+	derivedCache.patternCache = cache.patternCache;
+	derivedCache.origins = origins;
 
-// used to store calculate data for faster lookup
-const dataCache = new WeakMap();
+	Object.freeze(derived);
+	getConfigIndex(derived);
+
+	return derived;
+}
 
 /**
  * Represents an array of config objects and provides method for working with
@@ -469,12 +2134,35 @@ export class ConfigArray extends Array {
 	 * @param {Object} [options.schema] The additional schema 
 	 *      definitions to use for the ConfigArray schema.
 	 * @param {Array<string>} [options.configTypes] List of config types supported.
+	 * @param {boolean} [options.gitignoreMode=false] Flag indicating if
+	 *      directory ignores should follow gitignore semantics.
+	 * @param {boolean} [options.uniqueNames=false] Flag indicating if
+	 *      normalization should fail when two configs have the same name.
+	 * @param {Object} [options.minimatchOptions] Options to pass to minimatch
+	 *      when matching string patterns in `files` and `ignores`.
+	 * @param {GlobMatcher} [options.globMatcher] The engine to use for matching
+	 *      string patterns in `files` and `ignores` instead of minimatch.
+	 * @param {Object} [options.cacheLimits] The maximum number of entries
+	 *      for each of the `configs`, `explicitMatches`, `directoryMatches`,
+	 *      and `patterns` caches. Defaults to no limit.
+	 * @param {FileSystem} [options.fs] The file system used to read files and
+	 *      directories. Defaults to Node.js's `fs` module.
+	 * @param {PathImplementation} [options.path] The implementation used to
+	 *      work with file paths. Defaults to Node.js's `path` module, or to
+	 *      a POSIX implementation in the platform-neutral build.
 	 */
 	constructor(configs, {
 		basePath = '',
 		normalized = false,
 		schema: customSchema,
-		extraConfigTypes = []
+		extraConfigTypes = [],
+		gitignoreMode = false,
+		uniqueNames = false,
+		minimatchOptions,
+		globMatcher,
+		cacheLimits = {},
+		fs = platformFileSystem,
+		path = platformPath
 	} = {}
 	) {
 		super();
@@ -494,7 +2182,7 @@ export class ConfigArray extends Array {
 		 * @private
 		 */
 		this[ConfigArraySymbol.schema] = new ObjectSchema(
-			Object.assign({}, customSchema, baseSchema)
+			copySchemaDefinitions(Object.assign({}, customSchema, baseSchema))
 		);
 
 		/**
@@ -514,18 +2202,85 @@ export class ConfigArray extends Array {
 		 */
 		this.extraConfigTypes = Object.freeze([...extraConfigTypes]);
 
+		/**
+		 * Indicates if directory ignores follow gitignore semantics, where
+		 * a pattern such as `foo/**` ignores the contents of `foo` but not
+		 * `foo` itself, so a subdirectory can be unignored with a negated
+		 * pattern such as `!foo/bar/`.
+		 * @property gitignoreMode
+		 * @type {boolean}
+		 */
+		this.gitignoreMode = gitignoreMode;
+
+		/**
+		 * Indicates if each config name can only be used once.
+		 * @property uniqueNames
+		 * @type {boolean}
+		 */
+		this.uniqueNames = uniqueNames;
+
+		assertValidCacheLimits(cacheLimits);
+
 		/**
 		 * A cache to store calculated configs for faster repeat lookup.
 		 * @property configCache
-		 * @type {Map<string, Object>}
+		 * @type {LRUCache}
 		 * @private
 		 */
-		this[ConfigArraySymbol.configCache] = new Map();
+		this[ConfigArraySymbol.configCache] = new LRUCache(cacheLimits.configs);
+
+		if (minimatchOptions !== undefined && (!minimatchOptions || typeof minimatchOptions !== 'object')) {
+			throw new TypeError('minimatchOptions must be an object.');
+		}
+
+		if (globMatcher !== undefined) {
+
+			if (minimatchOptions !== undefined) {
+				throw new TypeError('minimatchOptions cannot be used with globMatcher.');
+			}
+
+			assertValidGlobMatcher(globMatcher);
+		}
+
+		if (!fs || typeof fs !== 'object') {
+			throw new TypeError('fs must be an object.');
+		}
+
+		assertValidPath(path);
+
+		const patternCache = new LRUCache(cacheLimits.patterns);
+		const finalMinimatchOptions = Object.assign({}, MINIMATCH_OPTIONS, minimatchOptions);
 
 		// init cache
 		dataCache.set(this, {
-			explicitMatches: new Map(),
-			directoryMatches: new Map(),
+			globMatcher: createCachingGlobMatcher(
+				globMatcher || createMinimatchMatcher(minimatchOptions),
+				patternCache
+			),
+			patternCache,
+			indexOptions: globMatcher ? null : {
+				nocase: Boolean(finalMinimatchOptions.nocase),
+				matchBase: Boolean(finalMinimatchOptions.matchBase)
+			},
+			configIndex: undefined,
+			origins: [],
+			fs,
+			path,
+			constructorOptions: {
+				basePath,
+				schema: customSchema,
+				extraConfigTypes,
+				gitignoreMode,
+				uniqueNames,
+				minimatchOptions,
+				globMatcher,
+				cacheLimits,
+				fs,
+				path
+			},
+			schemaDefinitions: Object.assign({}, customSchema, baseSchema, filesAndIgnoresSchema),
+			explicitMatches: new LRUCache(cacheLimits.explicitMatches),
+			directoryMatches: new LRUCache(cacheLimits.directoryMatches),
 			files: undefined,
 			ignores: undefined
 		});
@@ -537,6 +2292,11 @@ export class ConfigArray extends Array {
 			this.push(configs);
 		}
 
+		// already normalized configs came from the array itself
+		if (normalized) {
+			dataCache.get(this).origins = this.map((config, index) => createConfigOrigin([{ index, functionResult: false }]));
+		}
+
 	}
 
 	/**
@@ -636,20 +2396,104 @@ export class ConfigArray extends Array {
 		return this[ConfigArraySymbol.isNormalized];
 	}
 
+	/**
+	 * Removes all entries from the caches used to calculate configs, explicit
+	 * matches, ignored directories, and compiled patterns. Cache statistics
+	 * are not reset.
+	 * @returns {void}
+	 */
+	clearCache() {
+		const cache = dataCache.get(this);
+
+		this[ConfigArraySymbol.configCache].clear();
+		cache.explicitMatches.clear();
+		cache.directoryMatches.clear();
+		cache.patternCache.clear();
+	}
+
+	/**
+	 * Returns statistics for each of the caches used by this instance.
+	 * @returns {Object} An object with `configs`, `explicitMatches`,
+	 *      `directoryMatches`, and `patterns` properties, each containing
+	 *      the `hits`, `misses`, `evictions`, `size`, and `maxSize` of the
+	 *      cache.
+	 */
+	getCacheStats() {
+		const cache = dataCache.get(this);
+
+		return {
+			configs: this[ConfigArraySymbol.configCache].getStats(),
+			explicitMatches: cache.explicitMatches.getStats(),
+			directoryMatches: cache.directoryMatches.getStats(),
+			patterns: cache.patternCache.getStats()
+		};
+	}
+
 	/**
 	 * Normalizes a config array by flattening embedded arrays and executing
 	 * config functions.
 	 * @param {ConfigContext} context The context object for config functions.
+	 * @param {Object} [options] Options for normalization.
+	 * @param {boolean} [options.validate=false] When true, every config object
+	 *      is validated against the full schema and all errors are reported
+	 *      together, as with `validate()`.
+	 * @param {number} [options.maxDepth=100] The maximum nesting depth of
+	 *      arrays and config functions. A config object at the top level of
+	 *      the array has a depth of 0.
+	 * @param {AbortSignal} [options.signal] A signal that aborts
+	 *      normalization while waiting for async config functions.
+	 * @param {number} [options.timeout=Infinity] The maximum time to wait
+	 *      for each async config function, in milliseconds.
+	 * @param {number} [options.concurrency=1] The maximum number of config
+	 *      functions to evaluate at once. When greater than 1, sibling config
+	 *      functions are evaluated concurrently and must not depend on the
+	 *      order in which they are called.
 	 * @returns {Promise<ConfigArray>} The current ConfigArray instance.
+	 * @throws {ConfigValidationError} When `options.validate` is true and any config
+	 *      object is invalid.
+	 * @throws {ConfigError} When a circular reference is found, the maximum
+	 *      depth is exceeded, normalization is aborted, a config function
+	 *      times out, or a name is used twice when names must be unique.
+	 * @throws {TypeError} When `options.maxDepth`, `options.signal`,
+	 *      `options.timeout`, or `options.concurrency` is invalid.
 	 */
-	async normalize(context = {}) {
+	async normalize(context = {}, {
+		validate = false,
+		maxDepth = DEFAULT_MAX_DEPTH,
+		signal,
+		timeout = Infinity,
+		concurrency = 1
+	} = {}) {
+
+		assertValidMaxDepth(maxDepth);
+		assertValidWaitOptions({ signal, timeout });
+		assertValidConcurrency(concurrency);
 
 		if (!this.isNormalized()) {
-			const normalizedConfigs = await normalize(this, context, this.extraConfigTypes);
+			const normalizedConfigs = await normalize(this, context, this.extraConfigTypes, {
+				maxDepth,
+				signal,
+				timeout,
+				concurrency
+			});
+			const origins = normalizedConfigs.map(({ origin }) => origin);
+
 			this.length = 0;
-			this.push(...normalizedConfigs.map(this[ConfigArraySymbol.preprocessConfig].bind(this)));
-			this.forEach(assertValidBaseConfig);
+			this.push(...normalizedConfigs.map(({ config }) => config).map(this[ConfigArraySymbol.preprocessConfig].bind(this)));
+			dataCache.get(this).origins = origins;
+
+			if (validate) {
+				assertValidConfigs(this);
+			} else {
+				this.forEach((config, index) => assertValidBaseConfig(config, index, origins[index]));
+			}
+
+			if (this.uniqueNames) {
+				assertUniqueNames(this, origins);
+			}
+
 			this[ConfigArraySymbol.isNormalized] = true;
+			getConfigIndex(this);
 
 			// prevent further changes
 			Object.freeze(this);
@@ -662,16 +2506,45 @@ export class ConfigArray extends Array {
 	 * Normalizes a config array by flattening embedded arrays and executing
 	 * config functions.
 	 * @param {ConfigContext} context The context object for config functions.
+	 * @param {Object} [options] Options for normalization.
+	 * @param {boolean} [options.validate=false] When true, every config object
+	 *      is validated against the full schema and all errors are reported
+	 *      together, as with `validate()`.
+	 * @param {number} [options.maxDepth=100] The maximum nesting depth of
+	 *      arrays and config functions. A config object at the top level of
+	 *      the array has a depth of 0.
 	 * @returns {ConfigArray} The current ConfigArray instance.
+	 * @throws {ConfigValidationError} When `options.validate` is true and any config
+	 *      object is invalid.
+	 * @throws {ConfigError} When a circular reference is found, the maximum
+	 *      depth is exceeded, or a name is used twice when names must be
+	 *      unique.
+	 * @throws {TypeError} When `options.maxDepth` is invalid.
 	 */
-	normalizeSync(context = {}) {
+	normalizeSync(context = {}, { validate = false, maxDepth = DEFAULT_MAX_DEPTH } = {}) {
+
+		assertValidMaxDepth(maxDepth);
 
 		if (!this.isNormalized()) {
-			const normalizedConfigs = normalizeSync(this, context, this.extraConfigTypes);
+			const normalizedConfigs = normalizeSync(this, context, this.extraConfigTypes, { maxDepth });
+			const origins = normalizedConfigs.map(({ origin }) => origin);
+
 			this.length = 0;
-			this.push(...normalizedConfigs.map(this[ConfigArraySymbol.preprocessConfig].bind(this)));
-			this.forEach(assertValidBaseConfig);
+			this.push(...normalizedConfigs.map(({ config }) => config).map(this[ConfigArraySymbol.preprocessConfig].bind(this)));
+			dataCache.get(this).origins = origins;
+
+			if (validate) {
+				assertValidConfigs(this);
+			} else {
+				this.forEach((config, index) => assertValidBaseConfig(config, index, origins[index]));
+			}
+
+			if (this.uniqueNames) {
+				assertUniqueNames(this, origins);
+			}
+
 			this[ConfigArraySymbol.isNormalized] = true;
+			getConfigIndex(this);
 
 			// prevent further changes
 			Object.freeze(this);
@@ -680,6 +2553,282 @@ export class ConfigArray extends Array {
 		return this;
 	}
 
+	/**
+	 * Creates a new normalized `ConfigArray` with additional configs without
+	 * changing this one. The additional configs are normalized while the
+	 * existing configs are reused as-is, along with compiled patterns.
+	 * @param {Iterable|Function|Object} configs The configs to add, in any
+	 *      form accepted by the constructor.
+	 * @param {Object} [options] Options for adding the configs.
+	 * @param {ConfigContext} [options.context={}] The context object for
+	 *      config functions.
+	 * @param {boolean} [options.prepend=false] True to add the configs before
+	 *      all existing configs instead of after them.
+	 * @param {string} [options.before] The name of an existing config to add
+	 *      the configs before.
+	 * @param {string} [options.after] The name of an existing config to add
+	 *      the configs after.
+	 * @param {number} [options.maxDepth=100] The maximum nesting depth of
+	 *      arrays and config functions.
+	 * @param {AbortSignal} [options.signal] A signal that aborts
+	 *      normalization while waiting for async config functions.
+	 * @param {number} [options.timeout=Infinity] The maximum time to wait
+	 *      for each async config function, in milliseconds.
+	 * @param {number} [options.concurrency=1] The maximum number of config
+	 *      functions to evaluate at once.
+	 * @returns {Promise<ConfigArray>} The new normalized `ConfigArray`.
+	 * @throws {Error} When the config array is not normalized or no config
+	 *      has the name passed to `before` or `after`.
+	 * @throws {ConfigError} When an added config is invalid.
+	 */
+	async derive(configs, {
+		context = {},
+		prepend = false,
+		before,
+		after,
+		maxDepth = DEFAULT_MAX_DEPTH,
+		signal,
+		timeout = Infinity,
+		concurrency = 1
+	} = {}) {
+
+		assertNormalized(this);
+		assertValidMaxDepth(maxDepth);
+		assertValidWaitOptions({ signal, timeout });
+		assertValidConcurrency(concurrency);
+
+		const insertionIndex = getInsertionIndex(this, { prepend, before, after });
+		const normalizedConfigs = await normalize(
+			Array.isArray(configs) ? configs : [configs],
+			context,
+			this.extraConfigTypes,
+			{ maxDepth, signal, timeout, concurrency }
+		);
+		const entries = getConfigEntries(this);
+
+		entries.splice(insertionIndex, 0, ...prepareAddedConfigs(this, normalizedConfigs, insertionIndex, 'derive()'));
+
+		return createDerivedConfigArray(this, entries);
+	}
+
+	/**
+	 * Creates a new normalized `ConfigArray` with additional configs without
+	 * changing this one. This is the same as `derive()` except that async
+	 * config functions are not supported.
+	 * @param {Iterable|Function|Object} configs The configs to add, in any
+	 *      form accepted by the constructor.
+	 * @param {Object} [options] Options for adding the configs.
+	 * @param {ConfigContext} [options.context={}] The context object for
+	 *      config functions.
+	 * @param {boolean} [options.prepend=false] True to add the configs before
+	 *      all existing configs instead of after them.
+	 * @param {string} [options.before] The name of an existing config to add
+	 *      the configs before.
+	 * @param {string} [options.after] The name of an existing config to add
+	 *      the configs after.
+	 * @param {number} [options.maxDepth=100] The maximum nesting depth of
+	 *      arrays and config functions.
+	 * @returns {ConfigArray} The new normalized `ConfigArray`.
+	 * @throws {Error} When the config array is not normalized or no config
+	 *      has the name passed to `before` or `after`.
+	 * @throws {ConfigError} When an added config is invalid.
+	 */
+	deriveSync(configs, {
+		context = {},
+		prepend = false,
+		before,
+		after,
+		maxDepth = DEFAULT_MAX_DEPTH
+	} = {}) {
+
+		assertNormalized(this);
+		assertValidMaxDepth(maxDepth);
+
+		const insertionIndex = getInsertionIndex(this, { prepend, before, after });
+		const normalizedConfigs = normalizeSync(
+			Array.isArray(configs) ? configs : [configs],
+			context,
+			this.extraConfigTypes,
+			{ maxDepth }
+		);
+		const entries = getConfigEntries(this);
+
+		entries.splice(insertionIndex, 0, ...prepareAddedConfigs(this, normalizedConfigs, insertionIndex, 'deriveSync()'));
+
+		return createDerivedConfigArray(this, entries);
+	}
+
+	/**
+	 * Returns the first config object with the given name.
+	 * @param {string} name The name of the config object.
+	 * @returns {Object|undefined} The config object or `undefined` if no
+	 *      config object has the name.
+	 * @throws {Error} When the config array is not normalized.
+	 */
+	getByName(name) {
+		const index = this.indexOfName(name);
+
+		return index === -1 ? undefined : this[index];
+	}
+
+	/**
+	 * Returns the index of the first config object with the given name.
+	 * @param {string} name The name of the config object.
+	 * @returns {number} The index of the config object or -1 if no config
+	 *      object has the name.
+	 * @throws {Error} When the config array is not normalized.
+	 */
+	indexOfName(name) {
+		assertNormalized(this);
+
+		return this.findIndex(config => config.name === name);
+	}
+
+	/**
+	 * Creates a new normalized `ConfigArray` without the config objects that
+	 * have any of the given names. Names that aren't used are ignored.
+	 * @param {Iterable<string>} names The names of the config objects to
+	 *      remove.
+	 * @returns {ConfigArray} The new normalized `ConfigArray`.
+	 * @throws {Error} When the config array is not normalized.
+	 */
+	withoutNames(names) {
+		assertNormalized(this);
+
+		const namesToRemove = new Set(names);
+
+		return createDerivedConfigArray(
+			this,
+			getConfigEntries(this).filter(({ config }) => !namesToRemove.has(config.name))
+		);
+	}
+
+	/**
+	 * Creates a new normalized `ConfigArray` in which the first config object
+	 * with the given name is replaced. The replacement can be anything that
+	 * `deriveSync()` accepts, so it may expand into several config objects.
+	 * @param {string} name The name of the config object to replace.
+	 * @param {Iterable|Function|Object} configs The replacement configs.
+	 * @param {Object} [options] Options for normalizing the replacement.
+	 * @param {ConfigContext} [options.context={}] The context object for
+	 *      config functions.
+	 * @param {number} [options.maxDepth=100] The maximum nesting depth of
+	 *      arrays and config functions.
+	 * @returns {ConfigArray} The new normalized `ConfigArray`.
+	 * @throws {Error} When the config array is not normalized or no config
+	 *      object has the name.
+	 * @throws {ConfigError} When a replacement config is invalid.
+	 */
+	replaceByName(name, configs, { context = {}, maxDepth = DEFAULT_MAX_DEPTH } = {}) {
+
+		const index = this.indexOfName(name);
+
+		if (index === -1) {
+			throw new Error(`No config named "${name}" was found.`);
+		}
+
+		assertValidMaxDepth(maxDepth);
+
+		const normalizedConfigs = normalizeSync(
+			Array.isArray(configs) ? configs : [configs],
+			context,
+			this.extraConfigTypes,
+			{ maxDepth }
+		);
+		const entries = getConfigEntries(this);
+
+		entries.splice(index, 1, ...prepareAddedConfigs(this, normalizedConfigs, index, 'replaceByName()'));
+
+		return createDerivedConfigArray(this, entries);
+	}
+
+	/**
+	 * Returns where a config object came from in the original input, such as
+	 * a nested array or the result of a config function.
+	 * @param {number} index The index of the config object in the normalized
+	 *      array.
+	 * @returns {ConfigOrigin|undefined} The origin of the config object or
+	 *      `undefined` if there is no config object at the index.
+	 * @throws {Error} When the config array is not normalized.
+	 */
+	getConfigOrigin(index) {
+		assertNormalized(this);
+		return dataCache.get(this).origins[index];
+	}
+
+	/**
+	 * Validates every config object against the full schema. Unlike
+	 * `getConfig()`, which only reports the first error for the config
+	 * objects that match a given file, this reports every error in every
+	 * config object at once.
+	 * @returns {void}
+	 * @throws {Error} When the config array is not normalized.
+	 * @throws {ConfigValidationError} When any config object is invalid. The
+	 *      `errors` property contains a `ConfigError` for each problem.
+	 */
+	validate() {
+		assertNormalized(this);
+		assertValidConfigs(this);
+	}
+
+	/**
+	 * Converts the schema for config objects, including the custom schema,
+	 * into a JSON Schema (draft-07) document. A schema definition can
+	 * declare its JSON Schema fragment with a `jsonSchema` property and a
+	 * `description` for documentation. Otherwise, the fragment is derived
+	 * from a nested `schema` or a built-in validation strategy, and a custom
+	 * `validate()` method allows any value.
+	 * @param {Object} [options] Options for the document.
+	 * @param {string} [options.title] The title of the document.
+	 * @param {string} [options.description] The description of the document.
+	 * @param {boolean} [options.array=false] True if the document describes
+	 *      an array of config objects instead of a single config object.
+	 * @returns {Object} The JSON Schema document.
+	 * @throws {TypeError} When a definition has an invalid `jsonSchema`.
+	 */
+	toJSONSchema(options) {
+		return createJSONSchema(dataCache.get(this).schemaDefinitions, options);
+	}
+
+	/**
+	 * Creates a representation of the normalized config array that can be
+	 * passed to `JSON.stringify()`, such as to inspect what the config array
+	 * contains. Function matchers in `files` and `ignores`, parsers, plugins,
+	 * and other values that can't be represented in JSON are replaced with
+	 * placeholder objects that have a `$type` property and identifying
+	 * details, such as `{ "$type": "function", "name": "isTestFile" }`.
+	 * @returns {{basePath:string,extraConfigTypes:Array<string>,gitignoreMode:boolean,uniqueNames:boolean,configs:Array<Object>,origins:Array<string>}}
+	 *      The serialized config array. Each entry in `origins` describes
+	 *      where the config object at the same index came from.
+	 * @throws {Error} When the `ConfigArray` is not normalized.
+	 */
+	serialize() {
+
+		assertNormalized(this);
+
+		const { origins } = dataCache.get(this);
+
+		return {
+			basePath: this.basePath,
+			extraConfigTypes: [...this.extraConfigTypes],
+			gitignoreMode: this.gitignoreMode,
+			uniqueNames: this.uniqueNames,
+			configs: this.map((config, index) => serializeValue(config, `configs[${index}]`)),
+			origins: origins.map(origin => origin.description)
+		};
+	}
+
+	/**
+	 * Returns the value used by `JSON.stringify()`, which is the same as the
+	 * result of `serialize()` once the `ConfigArray` is normalized. Before
+	 * that, it's the config objects as a plain array so that
+	 * `JSON.stringify()` doesn't throw.
+	 * @returns {Object|Array<Object>} The serialized config array.
+	 */
+	toJSON() {
+		return this.isNormalized() ? this.serialize() : [...this];
+	}
+
 	/**
 	 * Finalizes the state of a config before being cached and returned by
 	 * `getConfig()`. Does nothing by default but is provided to be
@@ -716,6 +2865,7 @@ export class ConfigArray extends Array {
 		assertNormalized(this);
 
 		const cache = dataCache.get(this);
+		const { globMatcher, path } = cache;
 
 		// first check the cache to avoid duplicate work
 		let result = cache.explicitMatches.get(filePath);
@@ -727,7 +2877,7 @@ export class ConfigArray extends Array {
 		// TODO: Maybe move elsewhere? Maybe combine with getConfig() logic?
 		const relativeFilePath = path.relative(this.basePath, filePath);
 
-		if (shouldIgnorePath(this.ignores, filePath, relativeFilePath)) {
+		if (shouldIgnorePath(this.ignores, filePath, relativeFilePath, { globMatcher })) {
 			debug(`Ignoring ${filePath}`);
 
 			// cache and return result
@@ -737,13 +2887,15 @@ export class ConfigArray extends Array {
 
 		// filePath isn't automatically ignored, so try to find a match
 
-		for (const config of this) {
+		for (const index of getCandidateConfigIndices(this, relativeFilePath)) {
+
+			const config = this[index];
 
 			if (!config.files) {
 				continue;
 			}
 
-			if (pathMatches(filePath, this.basePath, config)) {
+			if (pathMatches(filePath, relativeFilePath, config, globMatcher)) {
 				debug(`Matching config found for ${filePath}`);
 				cache.explicitMatches.set(filePath, true);
 				return true;
@@ -762,160 +2914,193 @@ export class ConfigArray extends Array {
 
 		assertNormalized(this);
 
-		const cache = this[ConfigArraySymbol.configCache];
-
-		// first check the cache for a filename match to avoid duplicate work
-		if (cache.has(filePath)) {
-			return cache.get(filePath);
-		}
-
-		let finalConfig;
-
-		// next check to see if the file should be ignored
+		return calculateConfig(this, filePath);
+	}
 
-		// check if this should be ignored due to its directory
-		if (this.isDirectoryIgnored(path.dirname(filePath))) {
-			debug(`Ignoring ${filePath} based on directory pattern`);
+	/**
+	 * Returns the config objects for multiple file paths. The results are
+	 * the same as calling `getConfig()` for each file path, but files are
+	 * grouped by directory and extension so that each directory is only
+	 * checked once and files in the same group share the configs that can
+	 * match them and the results of patterns such as `*.js`.
+	 * @param {Iterable<string>} filePaths The complete paths of the files to
+	 *      get configs for.
+	 * @returns {Map<string,Object|undefined>} A map of file paths to config
+	 *      objects, in the order the file paths were provided.
+	 * @throws {Error} When the `ConfigArray` is not normalized.
+	 */
+	getConfigs(filePaths) {
+		return new Map(this.iterateConfigs(filePaths));
+	}
 
-			// cache and return result - finalConfig is undefined at this point
-			cache.set(filePath, finalConfig);
-			return finalConfig;
-		}
+	/**
+	 * Lazily calculates the config objects for multiple file paths. The
+	 * results are the same as calling `getConfig()` for each file path, and
+	 * work is shared between files in the same way as `getConfigs()`.
+	 * @param {Iterable<string>} filePaths The complete paths of the files to
+	 *      get configs for.
+	 * @returns {IterableIterator<[string,Object|undefined]>} An iterator of
+	 *      file path and config object pairs, in the order the file paths
+	 *      were provided.
+	 * @throws {Error} When the `ConfigArray` is not normalized.
+	 */
+	*iterateConfigs(filePaths) {
 
-		// TODO: Maybe move elsewhere?
-		const relativeFilePath = path.relative(this.basePath, filePath);
+		assertNormalized(this);
 
-		if (shouldIgnorePath(this.ignores, filePath, relativeFilePath)) {
-			debug(`Ignoring ${filePath} based on file pattern`);
+		const batch = createConfigBatch();
 
-			// cache and return result - finalConfig is undefined at this point
-			cache.set(filePath, finalConfig);
-			return finalConfig;
+		for (const filePath of filePaths) {
+			yield [filePath, calculateConfig(this, filePath, batch)];
 		}
+	}
 
-		// filePath isn't automatically ignored, so try to construct config
-
-		const matchingConfigIndices = [];
-		let matchFound = false;
-		const universalPattern = /\/\*{1,2}$/;
-
-		this.forEach((config, index) => {
-
-			if (!config.files) {
-
-				if (!config.ignores) {
-					debug(`Anonymous universal config found for ${filePath}`);
-					matchingConfigIndices.push(index);
-					return;
-				}
-
-				if (pathMatchesIgnores(filePath, this.basePath, config)) {
-					debug(`Matching config found for ${filePath} (based on ignores: ${config.ignores})`);
-					matchingConfigIndices.push(index);
-					return;
-				}
-				
-				debug(`Skipped config found for ${filePath} (based on ignores: ${config.ignores})`);
-				return;
-			}
+	/**
+	 * Walks directories and yields the files that have a config, which are
+	 * the files that `getConfig()` returns a config object for. Ignored
+	 * directories, according to `isDirectoryIgnored()`, aren't entered.
+	 * Entries in each directory are visited in order by name and symbolic
+	 * links aren't followed.
+	 * @param {Object} [options] Options for walking.
+	 * @param {Iterable<string>} [options.roots] The directories to walk,
+	 *      relative to the base path. Defaults to the base path.
+	 * @param {boolean} [options.explicitOnly=false] True to only yield files
+	 *      for which `isExplicitMatch()` returns true.
+	 * @param {FileSystem} [options.fs] The file system to read directories
+	 *      from. Defaults to the file system of the `ConfigArray`.
+	 * @returns {AsyncGenerator<string>} The complete paths of the files.
+	 * @throws {Error} When the `ConfigArray` is not normalized.
+	 * @throws {TypeError} When an option is invalid.
+	 */
+	walkFiles(options) {
+		assertNormalized(this);
+		return walkFiles(this, getWalkOptions(this, options));
+	}
 
-			/*
-			 * If a config has a files pattern ending in /** or /*, and the
-			 * filePath only matches those patterns, then the config is only
-			 * applied if there is another config where the filePath matches
-			 * a file with a specific extensions such as *.js.
-			 */
+	/**
+	 * Synchronously walks directories and yields the files that have a
+	 * config, the same as `walkFiles()`.
+	 * @param {Object} [options] Options for walking.
+	 * @param {Iterable<string>} [options.roots] The directories to walk,
+	 *      relative to the base path. Defaults to the base path.
+	 * @param {boolean} [options.explicitOnly=false] True to only yield files
+	 *      for which `isExplicitMatch()` returns true.
+	 * @param {FileSystem} [options.fs] The file system to read directories
+	 *      from. Defaults to the file system of the `ConfigArray`.
+	 * @returns {Generator<string>} The complete paths of the files.
+	 * @throws {Error} When the `ConfigArray` is not normalized.
+	 * @throws {TypeError} When an option is invalid.
+	 */
+	walkFilesSync(options) {
+		assertNormalized(this);
+		return walkFilesSync(this, getWalkOptions(this, options));
+	}
 
-			const universalFiles = config.files.filter(
-				pattern => universalPattern.test(pattern)
-			);
+	/**
+	 * Explains how the config for a given file path is calculated. The result
+	 * indicates whether the file is ignored (and why) along with the match
+	 * status of every config object in the array. Possible statuses are
+	 * `"matched"`, `"universal"`, `"anonymous"`, `"excluded"`,
+	 * `"global-ignores"`, and `"skipped"`. Possible ignore reasons are
+	 * `"basePath"`, `"directory"`, `"ignores"`, and `"unmatched"`.
+	 * Each config object is also described by its origin, such as
+	 * `"configs[3] -> function result[1]"`.
+	 * @param {string} filePath The complete path of a file to explain.
+	 * @returns {{filePath:string,ignored:boolean,ignoreReason:string|undefined,configs:Array<{index:number,name:string|undefined,origin:string,status:string,applied:boolean}>}}
+	 *      An object describing how each config object applies to the file.
+	 * @throws {Error} When the `ConfigArray` is not normalized.
+	 */
+	getConfigExplanation(filePath) {
 
-			// universal patterns were found so we need to check the config twice
-			if (universalFiles.length) {
+		assertNormalized(this);
 
-				debug('Universal files patterns found. Checking carefully.');
+		const { globMatcher, origins, path } = dataCache.get(this);
+		const relativeFilePath = path.relative(this.basePath, filePath);
+		let ignoreReason;
+
+		if (relativeFilePath.startsWith('..')) {
+			ignoreReason = 'basePath';
+		} else if (this.isDirectoryIgnored(path.dirname(filePath))) {
+			ignoreReason = 'directory';
+		} else if (shouldIgnorePath(this.ignores, filePath, relativeFilePath, { globMatcher })) {
+			ignoreReason = 'ignores';
+		}
 
-				const nonUniversalFiles = config.files.filter(
-					pattern => !universalPattern.test(pattern)
-				);
+		const configs = this.map((config, index) => {
+			let status = getConfigMatchStatus(filePath, relativeFilePath, config, globMatcher);
 
-				// check that the config matches without the non-universal files first
-				if (
-					nonUniversalFiles.length && 
-					pathMatches(
-						filePath, this.basePath,
-						{ files: nonUniversalFiles, ignores: config.ignores }
-					)
-				) {
-					debug(`Matching config found for ${filePath}`);
-					matchingConfigIndices.push(index);
-					matchFound = true;
-					return;
-				}
+			// determine if the file was only rejected because of `ignores`
+			if (status === 'skipped' && config.ignores) {
+				const matchedFiles = !config.files ||
+					pathMatches(filePath, relativeFilePath, { files: config.files }, globMatcher);
 
-				// if there wasn't a match then check if it matches with universal files
-				if (
-					universalFiles.length &&
-					pathMatches(
-						filePath, this.basePath,
-						{ files: universalFiles, ignores: config.ignores }
-					)
-				) {
-					debug(`Matching config found for ${filePath}`);
-					matchingConfigIndices.push(index);
-					return;
+				if (matchedFiles) {
+					status = 'excluded';
 				}
-
-				// if we make here, then there was no match
-				return;
-			}
-
-			// the normal case
-			if (pathMatches(filePath, this.basePath, config)) {
-				debug(`Matching config found for ${filePath}`);
-				matchingConfigIndices.push(index);
-				matchFound = true;
-				return;
 			}
 
+			return {
+				index,
+				name: config.name,
+				origin: origins[index].description,
+				status
+			};
 		});
 
-		// if matching both files and ignores, there will be no config to create
-		if (!matchFound) {
-			debug(`No matching configs found for ${filePath}`);
+		const matchFound = !ignoreReason &&
+			configs.some(({ status }) => status === 'matched');
 
-			// cache and return result - finalConfig is undefined at this point
-			cache.set(filePath, finalConfig);
-			return finalConfig;
+		if (!ignoreReason && !matchFound) {
+			ignoreReason = 'unmatched';
 		}
 
-		// check to see if there is a config cached by indices
-		finalConfig = cache.get(matchingConfigIndices.toString());
+		for (const explanation of configs) {
+			explanation.applied = matchFound && APPLIED_STATUSES.has(explanation.status);
+		}
+
+		return {
+			filePath,
+			ignored: !matchFound,
+			ignoreReason,
+			configs
+		};
+	}
 
-		if (finalConfig) {
+	/**
+	 * Returns the config object for a given file path along with the
+	 * provenance of each of its keys. The provenance is a map whose keys are
+	 * dot-separated key paths (such as `"defs.name"`) and whose values are
+	 * arrays of the config objects that contributed to that key path, in
+	 * the order they were merged. The last entry in each array is the config
+	 * object that supplied the final value. Nested key paths are included
+	 * only when the schema merges the values as objects, which is assumed for
+	 * merge functions. When the schema replaces a value, such as with the
+	 * `"replace"` merge strategy, only the config object that supplied the
+	 * value is included.
+	 * @param {string} filePath The complete path of a file to get a config for.
+	 * @returns {{config:Object|undefined,provenance:Map<string,Array<{index:number,name:string|undefined,origin:string}>>}}
+	 *      The config object for this file and the provenance of its keys.
+	 * @throws {Error} When the `ConfigArray` is not normalized.
+	 */
+	getConfigWithProvenance(filePath) {
 
-			// also store for filename for faster lookup next time
-			cache.set(filePath, finalConfig);
+		const config = this.getConfig(filePath);
+		const provenance = new Map();
 
-			return finalConfig;
+		if (!config) {
+			return { config, provenance };
 		}
 
-		// otherwise construct the config
+		const { configs } = this.getConfigExplanation(filePath);
+		const { schemaDefinitions } = dataCache.get(this);
 
-		finalConfig = matchingConfigIndices.reduce((result, index) => {
-			try {
-				return this[ConfigArraySymbol.schema].merge(result, this[index]);
-			} catch (validationError) {
-				rethrowConfigError(this[index], index, { cause: validationError});
+		for (const { index, name, origin, applied } of configs) {
+			if (applied) {
+				recordProvenance(provenance, this[index], config, [], { index, name, origin }, schemaDefinitions);
 			}
-		}, {}, this);
-
-		finalConfig = this[ConfigArraySymbol.finalizeConfig](finalConfig);
-
-		cache.set(filePath, finalConfig);
-		cache.set(matchingConfigIndices.toString(), finalConfig);
+		}
 
-		return finalConfig;
+		return { config, provenance };
 	}
 
 	/**
@@ -952,6 +3137,7 @@ export class ConfigArray extends Array {
 
 		assertNormalized(this);
 
+		const { directoryMatches: cache, globMatcher, path } = dataCache.get(this);
 		const relativeDirectoryPath = path.relative(this.basePath, directoryPath)
 			.replace(/\\/g, '/');
 
@@ -960,10 +3146,11 @@ export class ConfigArray extends Array {
 		}
 
 		// first check the cache
-		const cache = dataCache.get(this).directoryMatches;
 
-		if (cache.has(relativeDirectoryPath)) {
-			return cache.get(relativeDirectoryPath);
+		const cachedResult = cache.get(relativeDirectoryPath);
+
+		if (typeof cachedResult === 'boolean') {
+			return cachedResult;
 		}
 
 		const directoryParts = relativeDirectoryPath.split('/');
@@ -986,7 +3173,11 @@ export class ConfigArray extends Array {
 			result = shouldIgnorePath(
 				this.ignores,
 				path.join(this.basePath, relativeDirectoryToCheck),
-				relativeDirectoryToCheck
+				relativeDirectoryToCheck,
+				{
+					gitignoreMode: this.gitignoreMode,
+					globMatcher
+				}
 			);
 
 			cache.set(relativeDirectoryToCheck, result);
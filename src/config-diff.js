@@ -0,0 +1,335 @@
+/**
+ * @fileoverview Utilities for comparing config objects and config arrays.
+ * @author Nicholas C. Zakas
+ */
+
+//------------------------------------------------------------------------------
+// Imports
+//------------------------------------------------------------------------------
+
+import { isPlainObject } from './utils.js';
+
+//------------------------------------------------------------------------------
+// Typedefs
+//------------------------------------------------------------------------------
+
+/**
+ * A difference between two config objects.
+ * @typedef {Object} ConfigChange
+ * @property {string} type One of `"added"`, `"removed"`, or `"changed"`.
+ * @property {Array<string>} path The keys leading to the value.
+ * @property {any} before The value in the first config object or
+ *      `undefined` if it was added.
+ * @property {any} after The value in the second config object or
+ *      `undefined` if it was removed.
+ */
+
+//------------------------------------------------------------------------------
+// Helpers
+//------------------------------------------------------------------------------
+
+/**
+ * Determines if two values are equal. Arrays and plain objects are compared
+ * by their contents, sets by their members, maps by their entries, and
+ * every other value is compared with `Object.is()`.
+ * @param {any} first The first value.
+ * @param {any} second The second value.
+ * @returns {boolean} True if the values are equal.
+ */
+function isEqual(first, second) {
+
+	if (Object.is(first, second)) {
+		return true;
+	}
+
+	if (Array.isArray(first) && Array.isArray(second)) {
+		return first.length === second.length &&
+			first.every((item, index) => isEqual(item, second[index]));
+	}
+
+	if (isPlainObject(first) && isPlainObject(second)) {
+		const keys = Object.keys(first);
+
+		return keys.length === Object.keys(second).length &&
+			keys.every(key => Object.hasOwnProperty.call(second, key) && isEqual(first[key], second[key]));
+	}
+
+	if (first instanceof Set && second instanceof Set) {
+		return first.size === second.size &&
+			[...first].every(item => second.has(item));
+	}
+
+	if (first instanceof Map && second instanceof Map) {
+		return first.size === second.size &&
+			[...first].every(([key, value]) => second.has(key) && isEqual(value, second.get(key)));
+	}
+
+	return false;
+}
+
+/**
+ * Adds the differences between two plain objects to a list of changes.
+ * Values that are plain objects in both are compared key by key so that
+ * changes are reported at the deepest path.
+ * @param {Object} before The first object.
+ * @param {Object} after The second object.
+ * @param {Array<string>} path The keys leading to the objects.
+ * @param {Array<ConfigChange>} changes The list of changes to add to.
+ * @returns {void}
+ */
+function collectChanges(before, after, path, changes) {
+	const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+
+	for (const key of keys) {
+		const keyPath = [...path, key];
+		const hasBefore = Object.hasOwnProperty.call(before, key);
+		const hasAfter = Object.hasOwnProperty.call(after, key);
+
+		if (!hasAfter) {
+			changes.push({ type: 'removed', path: keyPath, before: before[key], after: undefined });
+		} else if (!hasBefore) {
+			changes.push({ type: 'added', path: keyPath, before: undefined, after: after[key] });
+		} else if (isPlainObject(before[key]) && isPlainObject(after[key])) {
+			collectChanges(before[key], after[key], keyPath, changes);
+		} else if (!isEqual(before[key], after[key])) {
+			changes.push({ type: 'changed', path: keyPath, before: before[key], after: after[key] });
+		}
+	}
+}
+
+/**
+ * Asserts that a value is a normalized `ConfigArray`.
+ * @param {any} configArray The value to check.
+ * @returns {void}
+ * @throws {TypeError} When the value isn't a `ConfigArray`.
+ * @throws {Error} When the `ConfigArray` isn't normalized.
+ */
+function assertNormalizedConfigArray(configArray) {
+
+	if (!configArray || typeof configArray.isNormalized !== 'function') {
+		throw new TypeError('Expected a ConfigArray.');
+	}
+
+	if (!configArray.isNormalized()) {
+		throw new Error('ConfigArray must be normalized to perform this operation.');
+	}
+}
+
+/**
+ * Gets a key for each named config object in a config array so config
+ * objects can be matched between arrays. A name that is used more than once
+ * is keyed by name and occurrence.
+ * @param {Array<Object>} configs The config objects.
+ * @returns {Map<string,number>} A map of keys to config indices.
+ */
+function getNamedConfigKeys(configs) {
+	const keys = new Map();
+	const occurrences = new Map();
+
+	configs.forEach((config, index) => {
+
+		if (typeof config.name !== 'string') {
+			return;
+		}
+
+		const occurrence = occurrences.get(config.name) || 0;
+
+		occurrences.set(config.name, occurrence + 1);
+		keys.set(`name:${occurrence}:${config.name}`, index);
+	});
+
+	return keys;
+}
+
+/**
+ * Gets the indices of the unnamed config objects in a config array.
+ * @param {Array<Object>} configs The config objects.
+ * @returns {Array<number>} The indices of the unnamed config objects.
+ */
+function getUnnamedIndices(configs) {
+	const indices = [];
+
+	configs.forEach((config, index) => {
+		if (typeof config.name !== 'string') {
+			indices.push(index);
+		}
+	});
+
+	return indices;
+}
+
+/**
+ * Determines if two config objects apply to the same files, which means
+ * that their `files` and `ignores` are equal.
+ * @param {Object} first The first config object.
+ * @param {Object} second The second config object.
+ * @returns {boolean} True if the config objects apply to the same files.
+ */
+function isSameTarget(first, second) {
+	return isEqual(first.files, second.files) && isEqual(first.ignores, second.ignores);
+}
+
+/**
+ * Gets a key for each config object in two config arrays so config objects
+ * can be matched between them. Named config objects are matched by name.
+ * Unnamed config objects are first matched to an unnamed config object with
+ * the same contents, then to one that applies to the same files, and the
+ * rest are matched by their position among the unmatched unnamed config
+ * objects. This way, inserting, removing, or moving a config object doesn't
+ * make the others look changed.
+ * @param {Array<Object>} before The config objects in the first array.
+ * @param {Array<Object>} after The config objects in the second array.
+ * @returns {{beforeKeys:Map<string,number>,afterKeys:Map<string,number>}}
+ *      Maps of keys to config indices for each array.
+ */
+function getConfigKeys(before, after) {
+	const beforeKeys = getNamedConfigKeys(before);
+	const afterKeys = getNamedConfigKeys(after);
+	let unmatchedBefore = getUnnamedIndices(before);
+	const unmatchedAfter = getUnnamedIndices(after);
+	let matchCount = 0;
+
+	for (const matches of [isEqual, isSameTarget, () => true]) {
+		const stillUnmatched = [];
+
+		for (const beforeIndex of unmatchedBefore) {
+			const position = unmatchedAfter.findIndex(afterIndex => matches(before[beforeIndex], after[afterIndex]));
+
+			if (position === -1) {
+				stillUnmatched.push(beforeIndex);
+				continue;
+			}
+
+			beforeKeys.set(`#${matchCount}`, beforeIndex);
+			afterKeys.set(`#${matchCount}`, unmatchedAfter[position]);
+			matchCount++;
+			unmatchedAfter.splice(position, 1);
+		}
+
+		unmatchedBefore = stillUnmatched;
+	}
+
+	// config objects left over in either array were removed or added
+	unmatchedBefore.forEach(beforeIndex => {
+		beforeKeys.set(`#${matchCount++}`, beforeIndex);
+	});
+
+	unmatchedAfter.forEach(afterIndex => {
+		afterKeys.set(`#${matchCount++}`, afterIndex);
+	});
+
+	return { beforeKeys, afterKeys };
+}
+
+//------------------------------------------------------------------------------
+// Exports
+//------------------------------------------------------------------------------
+
+/**
+ * Compares two config objects, such as two results of `getConfig()`, and
+ * reports each key that was added, removed, or changed. Keys whose values
+ * are plain objects in both are compared key by key so that each change is
+ * reported with its full key path. Other values are compared by their
+ * contents if they are arrays, by their members if they are sets, by their
+ * entries if they are maps, and by identity otherwise. The schema isn't
+ * used, so every key is compared the same way no matter how the schema
+ * merges its values. A missing config object (`undefined`) is treated as
+ * an empty object.
+ * @param {Object|undefined} before The first config object.
+ * @param {Object|undefined} after The second config object.
+ * @returns {Array<ConfigChange>} The changes from `before` to `after`.
+ */
+export function diffConfigs(before, after) {
+	const changes = [];
+
+	collectChanges(before || {}, after || {}, [], changes);
+
+	return changes;
+}
+
+/**
+ * Compares two normalized config arrays. Config objects are matched by
+ * `name` when they have one. Unnamed config objects are matched to one with
+ * the same contents when possible, then to one with the same `files` and
+ * `ignores`, and otherwise by their position among the remaining unnamed
+ * config objects. Moving a config object isn't reported as a change. When
+ * file paths are given, the config for each file is also compared. Config
+ * objects and file configs are compared with `diffConfigs()`, which doesn't
+ * use the schema of either config array.
+ * @param {ConfigArray} before The first config array.
+ * @param {ConfigArray} after The second config array.
+ * @param {Object} [options] Options for the comparison.
+ * @param {Iterable<string>} [options.filePaths=[]] The complete paths of
+ *      files whose configs should be compared.
+ * @returns {{configs:Array<{type:string,name:string|undefined,beforeIndex:number|undefined,afterIndex:number|undefined,changes:Array<ConfigChange>}>,files:Array<{filePath:string,type:string,changes:Array<ConfigChange>}>}}
+ *      The config objects that were `"added"`, `"removed"`, or `"changed"`
+ *      and the files whose config `"changed"` or that became `"ignored"`
+ *      or `"unignored"`.
+ * @throws {TypeError} When either argument isn't a `ConfigArray`.
+ * @throws {Error} When either `ConfigArray` isn't normalized.
+ */
+export function diffConfigArrays(before, after, { filePaths = [] } = {}) {
+
+	assertNormalizedConfigArray(before);
+	assertNormalizedConfigArray(after);
+
+	const { beforeKeys, afterKeys } = getConfigKeys(before, after);
+	const configs = [];
+
+	for (const [key, beforeIndex] of beforeKeys) {
+		const config = before[beforeIndex];
+
+		if (!afterKeys.has(key)) {
+			configs.push({
+				type: 'removed',
+				name: config.name,
+				beforeIndex,
+				afterIndex: undefined,
+				changes: diffConfigs(config, undefined)
+			});
+			continue;
+		}
+
+		const afterIndex = afterKeys.get(key);
+		const changes = diffConfigs(config, after[afterIndex]);
+
+		if (changes.length) {
+			configs.push({ type: 'changed', name: config.name, beforeIndex, afterIndex, changes });
+		}
+	}
+
+	for (const [key, afterIndex] of afterKeys) {
+		if (!beforeKeys.has(key)) {
+			const config = after[afterIndex];
+
+			configs.push({
+				type: 'added',
+				name: config.name,
+				beforeIndex: undefined,
+				afterIndex,
+				changes: diffConfigs(undefined, config)
+			});
+		}
+	}
+
+	const files = [];
+
+	for (const filePath of filePaths) {
+		const wasIgnored = before.isFileIgnored(filePath);
+		const isIgnored = after.isFileIgnored(filePath);
+
+		if (wasIgnored && isIgnored) {
+			continue;
+		}
+
+		const changes = diffConfigs(before.getConfig(filePath), after.getConfig(filePath));
+
+		if (wasIgnored !== isIgnored) {
+			files.push({ filePath, type: isIgnored ? 'ignored' : 'unignored', changes });
+		} else if (changes.length) {
+			files.push({ filePath, type: 'changed', changes });
+		}
+	}
+
+	return { configs, files };
+}
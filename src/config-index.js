@@ -0,0 +1,237 @@
+/**
+ * @fileoverview Index of config objects by the files they can match.
+ * @author Nicholas C. Zakas
+ */
+
+//------------------------------------------------------------------------------
+// Helpers
+//------------------------------------------------------------------------------
+
+/**
+ * Characters that give a glob pattern segment special meaning.
+ */
+const GLOB_CHARACTERS = /[*?[\]{}()!+@\\]/;
+
+/**
+ * Gets the extension of a file name, including the leading dot. Unlike
+ * `path.extname()`, a name such as `.js` has an extension of `.js`.
+ * @param {string} name The file name.
+ * @returns {string} The extension or an empty string if there isn't one.
+ */
+function getExtension(name) {
+	const dotIndex = name.lastIndexOf('.');
+	return dotIndex === -1 ? '' : name.slice(dotIndex);
+}
+
+/**
+ * Determines the index bucket for a pattern. A pattern whose last segment
+ * is `*` followed by a literal such as `.test.js` can only match files with
+ * that extension, and a pattern whose first segment is a literal such as
+ * `src` can only match files in that directory (or with that name).
+ * @param {string|Function} pattern The pattern to check.
+ * @param {Object} options The options used to match patterns.
+ * @param {boolean} options.nocase True if patterns match case-insensitively.
+ * @param {boolean} options.matchBase True if patterns without slashes are
+ *      matched against the basename of a file.
+ * @returns {{type:string,key:string}|undefined} The bucket for the pattern
+ *      or `undefined` if the pattern could match any file.
+ */
+function getPatternBucket(pattern, { nocase, matchBase }) {
+
+	if (typeof pattern !== 'string' || pattern.startsWith('!') || pattern.startsWith('#')) {
+		return undefined;
+	}
+
+	const normalizeKey = key => (nocase ? key.toLowerCase() : key);
+	const segments = pattern.split('/');
+	const basename = segments[segments.length - 1];
+
+	if (basename.startsWith('*.') && !GLOB_CHARACTERS.test(basename.slice(1))) {
+		return {
+			type: 'extensions',
+			key: normalizeKey(getExtension(basename))
+		};
+	}
+
+	const [firstSegment] = segments;
+
+	// with matchBase, a pattern without slashes can match at any depth
+	if (matchBase && segments.length === 1) {
+		return undefined;
+	}
+
+	if (
+		firstSegment &&
+		firstSegment !== '.' &&
+		firstSegment !== '..' &&
+		!GLOB_CHARACTERS.test(firstSegment)
+	) {
+		return {
+			type: 'directories',
+			key: normalizeKey(firstSegment)
+		};
+	}
+
+	return undefined;
+}
+
+/**
+ * Adds a config index to the bucket with the given key.
+ * @param {Map<string,Set<number>>} buckets The buckets to add to.
+ * @param {string} key The key of the bucket.
+ * @param {number} index The index of the config object.
+ * @returns {void}
+ */
+function addToBucket(buckets, key, index) {
+	let bucket = buckets.get(key);
+
+	if (!bucket) {
+		bucket = new Set();
+		buckets.set(key, bucket);
+	}
+
+	bucket.add(index);
+}
+
+//------------------------------------------------------------------------------
+// Exports
+//------------------------------------------------------------------------------
+
+/**
+ * Creates an index of config objects so that only the config objects that
+ * can possibly match a file need to be checked. Config objects without
+ * `files` or with any `files` entry that can't be indexed (such as a
+ * function or a pattern beginning with `**`) are always checked.
+ * @param {Array<Object>} configs The normalized config objects.
+ * @param {Object} options The options used to match patterns.
+ * @param {boolean} [options.nocase=false] True if patterns match
+ *      case-insensitively.
+ * @param {boolean} [options.matchBase=false] True if patterns without
+ *      slashes are matched against the basename of a file.
+ * @returns {{options:Object,always:Array<number>,extensions:Map<string,Set<number>>,directories:Map<string,Set<number>>}}
+ *      The config index.
+ */
+export function createConfigIndex(configs, { nocase = false, matchBase = false } = {}) {
+
+	const options = { nocase, matchBase };
+	const index = {
+		options,
+		always: [],
+		extensions: new Map(),
+		directories: new Map()
+	};
+
+	configs.forEach((config, configIndex) => {
+
+		if (!config.files) {
+			index.always.push(configIndex);
+			return;
+		}
+
+		const buckets = [];
+
+		for (const entry of config.files) {
+
+			// every pattern in an array must match, so any one can be used
+			const patterns = Array.isArray(entry) ? entry : [entry];
+			const bucket = patterns
+				.map(pattern => getPatternBucket(pattern, options))
+				.find(Boolean);
+
+			if (!bucket) {
+				index.always.push(configIndex);
+				return;
+			}
+
+			buckets.push(bucket);
+		}
+
+		for (const { type, key } of buckets) {
+			addToBucket(index[type], key, configIndex);
+		}
+	});
+
+	return index;
+}
+
+/**
+ * Gets the indices of the config objects that can possibly match a file.
+ * @param {Object} index The config index from `createConfigIndex()`.
+ * @param {string} relativeFilePath The path of the file relative to the
+ *      base path.
+ * @returns {Array<number>} The config indices in ascending order.
+ */
+export function getCandidateIndices(index, relativeFilePath) {
+
+	const { nocase } = index.options;
+	const normalizedPath = nocase ? relativeFilePath.toLowerCase() : relativeFilePath;
+	const segments = normalizedPath.split(/[\\/]/);
+	const candidates = new Set(index.always);
+
+	for (const configIndex of index.extensions.get(getExtension(segments[segments.length - 1])) || []) {
+		candidates.add(configIndex);
+	}
+
+	for (const configIndex of index.directories.get(segments[0]) || []) {
+		candidates.add(configIndex);
+	}
+
+	return [...candidates].sort((a, b) => a - b);
+}
+
+/**
+ * Gets the group of a file for sharing work between files. Files are
+ * grouped by directory and extension, and files whose names start with a
+ * dot are kept in separate groups because `*` doesn't match a leading dot
+ * unless the `dot` option is used.
+ * @param {Object} index The config index from `createConfigIndex()`.
+ * @param {string} relativeFilePath The path of the file relative to the
+ *      base path.
+ * @returns {{key:string,directory:string,extension:string}} The key of the
+ *      group, the directory of the file with a trailing separator (or an
+ *      empty string for a file in the base path), and the extension.
+ */
+export function getFileGroup(index, relativeFilePath) {
+
+	const { nocase } = index.options;
+	const normalizedPath = nocase ? relativeFilePath.toLowerCase() : relativeFilePath;
+	const separatorIndex = Math.max(normalizedPath.lastIndexOf('/'), normalizedPath.lastIndexOf('\\'));
+	const directory = normalizedPath.slice(0, separatorIndex + 1);
+	const name = normalizedPath.slice(separatorIndex + 1);
+	const extension = getExtension(name);
+
+	// the directory ends with a separator, so the key can't be ambiguous
+	return {
+		key: `${directory}${name.startsWith('.') ? '.' : '*'}${extension}`,
+		directory,
+		extension
+	};
+}
+
+/**
+ * Determines if a pattern matches either all or none of the files in a
+ * group from `getFileGroup()`, which is the case when the last segment of
+ * the pattern is `*`, `**`, or `*` followed by the extension of the files,
+ * such as `*.js` for `.js` files. The other segments can only match the
+ * directory, which is the same for every file in the group.
+ * @param {Object} index The config index from `createConfigIndex()`.
+ * @param {string|Function} pattern The pattern to check.
+ * @param {string} extension The extension of the files in the group.
+ * @returns {boolean} True if the pattern matches all or none of the files.
+ */
+export function isGroupPattern(index, pattern, extension) {
+
+	if (typeof pattern !== 'string' || pattern.startsWith('!') || pattern.startsWith('#')) {
+		return false;
+	}
+
+	const basename = pattern.slice(pattern.lastIndexOf('/') + 1);
+
+	if (basename === '*' || basename === '**') {
+		return true;
+	}
+
+	return Boolean(extension) &&
+		!GLOB_CHARACTERS.test(extension) &&
+		(index.options.nocase ? basename.toLowerCase() : basename) === `*${extension}`;
+}
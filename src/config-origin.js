@@ -0,0 +1,139 @@
+/**
+ * @fileoverview Utilities for tracking where normalized config objects came from.
+ * @author Nicholas C. Zakas
+ */
+
+//------------------------------------------------------------------------------
+// Typedefs
+//------------------------------------------------------------------------------
+
+/**
+ * A step in the path to a config object in the original input. The first
+ * step is the index in the `ConfigArray` itself. Each following step is
+ * either an index in a nested array or, when `functionResult` is true, the
+ * value returned by a config function (with an index when the function
+ * returned an array).
+ * @typedef {Object} ConfigOriginStep
+ * @property {number|undefined} index The index in the containing array or
+ *      `undefined` for an object returned by a config function.
+ * @property {boolean} functionResult True if the step is into the value
+ *      returned by a config function.
+ */
+
+/**
+ * Where a normalized config object came from.
+ * @typedef {Object} ConfigOrigin
+ * @property {Array<ConfigOriginStep>} path The steps to the config object.
+ * @property {string|undefined} filePath The file registered with
+ *      `setConfigFile()` for the config object or its nearest ancestor.
+ * @property {string|undefined} addedBy The method that added the config
+ *      object to an already normalized config array, such as `derive()`,
+ *      in which case `path` starts at the configs passed to that method.
+ * @property {string} description A description of the origin, such as
+ *      `configs[3] -> function result[1]`.
+ */
+
+//------------------------------------------------------------------------------
+// Helpers
+//------------------------------------------------------------------------------
+
+// the files that config objects, arrays, and functions were loaded from
+const configFiles = new WeakMap();
+
+//------------------------------------------------------------------------------
+// Exports
+//------------------------------------------------------------------------------
+
+/**
+ * Formats the steps to a value in the original input.
+ * @param {Array<ConfigOriginStep>} path The steps to format.
+ * @returns {string} The formatted path, such as
+ *      `configs[3] -> function result[1]`, or `configs` for an empty path.
+ */
+export function formatConfigPath(path) {
+	return path.reduce((result, step) => {
+		const indexText = step.index === undefined ? '' : `[${step.index}]`;
+
+		return step.functionResult
+			? `${result} -> function result${indexText}`
+			: `${result}${indexText}`;
+	}, 'configs');
+}
+
+/**
+ * Records the file that a config object, array, or function was loaded
+ * from so it can be included in the origin of any normalized config object
+ * that comes from it.
+ * @param {Object|Array|Function} value The value that was loaded.
+ * @param {string} filePath The file the value was loaded from.
+ * @returns {Object|Array|Function} The value that was passed in.
+ * @throws {TypeError} When `value` can't be tracked or `filePath` isn't a
+ *      string.
+ */
+export function setConfigFile(value, filePath) {
+
+	if (!value || (typeof value !== 'object' && typeof value !== 'function')) {
+		throw new TypeError('Only objects, arrays, and functions can have a config file.');
+	}
+
+	if (typeof filePath !== 'string') {
+		throw new TypeError('Config file path must be a string.');
+	}
+
+	configFiles.set(value, filePath);
+
+	return value;
+}
+
+/**
+ * Gets the file that a value was loaded from.
+ * @param {any} value The value to check.
+ * @returns {string|undefined} The file registered with `setConfigFile()`
+ *      or `undefined` if there isn't one.
+ */
+export function getConfigFile(value) {
+	return value && (typeof value === 'object' || typeof value === 'function')
+		? configFiles.get(value)
+		: undefined;
+}
+
+/**
+ * Creates the origin of a normalized config object.
+ * @param {Array<ConfigOriginStep>} path The steps to the config object.
+ * @param {string} [filePath] The file that the config object came from.
+ * @param {string} [addedBy] The method that added the config object to an
+ *      already normalized config array.
+ * @returns {ConfigOrigin} The frozen origin.
+ */
+export function createConfigOrigin(path, filePath, addedBy) {
+	const pathText = addedBy
+		? `${formatConfigPath(path)} added by ${addedBy}`
+		: formatConfigPath(path);
+
+	return Object.freeze({
+		path: Object.freeze(path.map(step => Object.freeze({ ...step }))),
+		filePath,
+		addedBy,
+		description: filePath ? `${pathText} (from ${filePath})` : pathText
+	});
+}
+
+/**
+ * Determines if the origin of a config object adds information beyond its
+ * index in the normalized array. That's only the case when the config
+ * object came from a nested array or a config function, when an earlier
+ * item was flattened, when it came from a file, or when it was added to an
+ * already normalized config array.
+ * @param {ConfigOrigin} origin The origin to check.
+ * @param {number} index The index of the config object in the normalized
+ *      array.
+ * @returns {boolean} True if the origin should be shown.
+ */
+export function isInformativeOrigin(origin, index) {
+	return Boolean(origin) && (
+		origin.path.length > 1 ||
+		origin.path[0].index !== index ||
+		origin.filePath !== undefined ||
+		origin.addedBy !== undefined
+	);
+}
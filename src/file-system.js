@@ -0,0 +1,212 @@
+/**
+ * @fileoverview File system and path implementations used by ConfigArray.
+ * @author Nicholas C. Zakas
+ */
+
+//------------------------------------------------------------------------------
+// Imports
+//------------------------------------------------------------------------------
+
+import { platformFileSystem, platformPath } from './platform.js';
+
+//------------------------------------------------------------------------------
+// Typedefs
+//------------------------------------------------------------------------------
+
+/**
+ * An entry in a directory.
+ * @typedef {Object} DirectoryEntry
+ * @property {string} name The name of the entry.
+ * @property {() => boolean} isFile Returns true if the entry is a file.
+ * @property {() => boolean} isDirectory Returns true if the entry is a
+ *      directory.
+ */
+
+/**
+ * The file system operations used by a `ConfigArray`. Only the methods that
+ * are needed for a given operation have to be present, such as `readdir()`
+ * for `walkFiles()` or `readdirSync()` for `walkFilesSync()`.
+ * @typedef {Object} FileSystem
+ * @property {(directoryPath:string) => Promise<Array<DirectoryEntry>>} readdir
+ *      Reads the entries in a directory.
+ * @property {(directoryPath:string) => Array<DirectoryEntry>} readdirSync
+ *      Reads the entries in a directory synchronously.
+ */
+
+/**
+ * The path operations used by a `ConfigArray`, which are a subset of those
+ * provided by Node.js's `path` module.
+ * @typedef {Object} PathImplementation
+ * @property {string} sep The path segment separator.
+ * @property {(...paths:Array<string>) => string} join Joins path segments.
+ * @property {(...paths:Array<string>) => string} resolve Resolves path
+ *      segments into an absolute path.
+ * @property {(from:string, to:string) => string} relative Gets the relative
+ *      path from one path to another.
+ * @property {(filePath:string) => string} dirname Gets the directory of a
+ *      path.
+ * @property {(filePath:string) => boolean} isAbsolute Determines if a path
+ *      is absolute.
+ */
+
+//------------------------------------------------------------------------------
+// Helpers
+//------------------------------------------------------------------------------
+
+/**
+ * The methods that every path implementation must have.
+ */
+const PATH_METHODS = ['join', 'resolve', 'relative', 'dirname', 'isAbsolute'];
+
+/**
+ * Descriptions of the errors that the in-memory file system can throw.
+ */
+const FILE_SYSTEM_ERRORS = Object.freeze({
+	ENOENT: 'no such file or directory',
+	ENOTDIR: 'not a directory'
+});
+
+/**
+ * Creates an error that looks like one thrown by Node.js's `fs` module.
+ * @param {string} code The error code, such as `"ENOENT"`.
+ * @param {string} syscall The name of the operation, such as `"scandir"`.
+ * @param {string} filePath The path that the operation failed on.
+ * @returns {Error} The error.
+ */
+function createFileSystemError(code, syscall, filePath) {
+	const error = new Error(`${code}: ${FILE_SYSTEM_ERRORS[code]}, ${syscall} '${filePath}'`);
+
+	error.code = code;
+	error.syscall = syscall;
+	error.path = filePath;
+
+	return error;
+}
+
+/**
+ * Creates a directory entry.
+ * @param {string} name The name of the entry.
+ * @param {boolean} isDirectory True if the entry is a directory.
+ * @returns {DirectoryEntry} The directory entry.
+ */
+function createDirectoryEntry(name, isDirectory) {
+	return Object.freeze({
+		name,
+		isFile: () => !isDirectory,
+		isDirectory: () => isDirectory
+	});
+}
+
+//------------------------------------------------------------------------------
+// Exports
+//------------------------------------------------------------------------------
+
+/**
+ * The file system used when no other is provided. It uses Node.js's `fs`
+ * module and doesn't follow symbolic links when reading directories. In the
+ * platform-neutral build, every operation throws an error because there is
+ * no file system that works in every runtime.
+ * @type {FileSystem}
+ */
+export const nodeFileSystem = platformFileSystem;
+
+/**
+ * Creates a file system that is stored in memory, such as for tests or
+ * virtual workspaces. Directories are created for every file.
+ * @param {Iterable<string>} [filePaths=[]] The absolute paths of the files.
+ * @param {Object} [options] Options for the file system.
+ * @param {PathImplementation} [options.path] The path implementation used
+ *      to interpret paths. Defaults to Node.js's `path` module, or to a
+ *      POSIX implementation in the platform-neutral build.
+ * @returns {FileSystem} The file system.
+ * @throws {TypeError} When a path isn't absolute.
+ */
+export function createMemoryFileSystem(filePaths = [], { path = platformPath } = {}) {
+
+	assertValidPath(path);
+
+	const files = new Set();
+	const directories = new Map();
+
+	for (const filePath of filePaths) {
+
+		if (!path.isAbsolute(filePath)) {
+			throw new TypeError(`Memory file system paths must be absolute: ${filePath}`);
+		}
+
+		let currentPath = path.resolve(filePath);
+		let isDirectory = false;
+
+		files.add(currentPath);
+
+		// add the file to its directory and each new directory to its parent
+		for (let parentPath = path.dirname(currentPath); parentPath !== currentPath; parentPath = path.dirname(parentPath)) {
+			let entries = directories.get(parentPath);
+
+			if (!entries) {
+				entries = new Map();
+				directories.set(parentPath, entries);
+			}
+
+			const name = path.relative(parentPath, currentPath);
+
+			if (entries.has(name)) {
+				break;
+			}
+
+			entries.set(name, createDirectoryEntry(name, isDirectory));
+			currentPath = parentPath;
+			isDirectory = true;
+		}
+	}
+
+	/**
+	 * Reads the entries in a directory.
+	 * @param {string} directoryPath The path of the directory.
+	 * @returns {Array<DirectoryEntry>} The directory entries.
+	 * @throws {Error} When the directory doesn't exist.
+	 */
+	function readdirSync(directoryPath) {
+		const resolvedPath = path.resolve(directoryPath);
+
+		if (files.has(resolvedPath)) {
+			throw createFileSystemError('ENOTDIR', 'scandir', directoryPath);
+		}
+
+		if (!directories.has(resolvedPath)) {
+			throw createFileSystemError('ENOENT', 'scandir', directoryPath);
+		}
+
+		return [...directories.get(resolvedPath).values()];
+	}
+
+	return Object.freeze({
+		async readdir(directoryPath) {
+			return readdirSync(directoryPath);
+		},
+		readdirSync
+	});
+}
+
+/**
+ * Asserts that a path implementation has every required property.
+ * @param {PathImplementation} path The path implementation to check.
+ * @returns {void}
+ * @throws {TypeError} When a property is missing.
+ */
+export function assertValidPath(path) {
+
+	if (!path || typeof path !== 'object') {
+		throw new TypeError('path must be an object.');
+	}
+
+	if (typeof path.sep !== 'string' || !path.sep) {
+		throw new TypeError('path must have a sep property.');
+	}
+
+	for (const methodName of PATH_METHODS) {
+		if (typeof path[methodName] !== 'function') {
+			throw new TypeError(`path must have a ${methodName}() method.`);
+		}
+	}
+}
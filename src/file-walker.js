@@ -0,0 +1,209 @@
+/**
+ * @fileoverview Utilities for walking the files matched by a ConfigArray.
+ * @author Nicholas C. Zakas
+ */
+
+//------------------------------------------------------------------------------
+// Helpers
+//------------------------------------------------------------------------------
+
+/**
+ * Asserts that a file system has a given method.
+ * @param {FileSystem} fs The file system to check.
+ * @param {string} methodName The name of the method.
+ * @returns {void}
+ * @throws {TypeError} When the method is missing.
+ */
+function assertFileSystemMethod(fs, methodName) {
+	if (!fs || typeof fs[methodName] !== 'function') {
+		throw new TypeError(`fs must have a ${methodName}() method.`);
+	}
+}
+
+/**
+ * Gets the directories to start walking from. Relative roots are resolved
+ * against the base path and roots inside of other roots are removed so
+ * that no file is found twice.
+ * @param {ConfigArray} configArray The config array being walked.
+ * @param {Iterable<string>|undefined} roots The directories to walk.
+ * @param {PathImplementation} path The path implementation to use.
+ * @returns {Array<string>} The absolute paths of the directories to walk.
+ * @throws {TypeError} When a root isn't a string.
+ */
+function getRoots(configArray, roots, path) {
+	const resolvedRoots = [];
+
+	for (const root of roots || [configArray.basePath]) {
+
+		if (typeof root !== 'string') {
+			throw new TypeError('Roots must be strings.');
+		}
+
+		resolvedRoots.push(path.resolve(configArray.basePath, root));
+	}
+
+	return resolvedRoots.filter((root, index) => resolvedRoots.every((otherRoot, otherIndex) => {
+		if (otherIndex === index) {
+			return true;
+		}
+
+		const relativePath = path.relative(otherRoot, root);
+
+		// remove duplicates after the first and roots inside of other roots
+		return relativePath
+			? relativePath.startsWith('..') || path.isAbsolute(relativePath)
+			: otherIndex > index;
+	}));
+}
+
+/**
+ * Sorts directory entries by name so files are always found in the same
+ * order.
+ * @param {Array<DirectoryEntry>} entries The directory entries.
+ * @returns {Array<DirectoryEntry>} The sorted entries.
+ */
+function sortEntries(entries) {
+	return [...entries].sort((a, b) => (a.name < b.name ? -1 : a.name > b.name ? 1 : 0));
+}
+
+/**
+ * Determines if a root directory should be walked. The base path is always
+ * walked while other roots are skipped when they are ignored.
+ * @param {ConfigArray} configArray The config array being walked.
+ * @param {string} root The absolute path of the root directory.
+ * @param {PathImplementation} path The path implementation to use.
+ * @returns {boolean} True if the root should be walked.
+ */
+function shouldWalkRoot(configArray, root, path) {
+	return path.relative(configArray.basePath, root) === '' ||
+		!configArray.isDirectoryIgnored(root);
+}
+
+/**
+ * Determines if a file should be yielded by a walker.
+ * @param {ConfigArray} configArray The config array being walked.
+ * @param {string} filePath The absolute path of the file.
+ * @param {boolean} explicitOnly True if only files that explicitly match a
+ *      `files` entry should be yielded.
+ * @returns {boolean} True if the file should be yielded.
+ */
+function shouldYieldFile(configArray, filePath, explicitOnly) {
+	return (!explicitOnly || configArray.isExplicitMatch(filePath)) &&
+		configArray.getConfig(filePath) !== undefined;
+}
+
+//------------------------------------------------------------------------------
+// Exports
+//------------------------------------------------------------------------------
+
+/**
+ * Walks directories and yields the files that have a config in a config
+ * array. Ignored directories aren't entered.
+ * @param {ConfigArray} configArray The normalized config array.
+ * @param {Object} options Options for walking.
+ * @param {Iterable<string>} [options.roots] The directories to walk.
+ *      Defaults to the base path of the config array.
+ * @param {boolean} [options.explicitOnly=false] True to only yield files
+ *      that explicitly match a `files` entry.
+ * @param {FileSystem} options.fs The file system to read directories from.
+ * @param {PathImplementation} options.path The path implementation to use.
+ * @returns {AsyncGenerator<string>} The absolute paths of the files.
+ * @throws {TypeError} When an option is invalid.
+ */
+export function walkFiles(configArray, { roots, explicitOnly = false, fs, path }) {
+
+	assertFileSystemMethod(fs, 'readdir');
+
+	const resolvedRoots = getRoots(configArray, roots, path);
+
+	/**
+	 * Walks a single directory and its subdirectories.
+	 * @param {string} directoryPath The absolute path of the directory.
+	 * @returns {AsyncGenerator<string>} The absolute paths of the files.
+	 */
+	async function* walkDirectory(directoryPath) {
+		const entries = sortEntries(await fs.readdir(directoryPath));
+
+		for (const entry of entries) {
+			const entryPath = path.join(directoryPath, entry.name);
+
+			if (entry.isDirectory()) {
+				if (!configArray.isDirectoryIgnored(entryPath)) {
+					yield* walkDirectory(entryPath);
+				}
+			} else if (entry.isFile() && shouldYieldFile(configArray, entryPath, explicitOnly)) {
+				yield entryPath;
+			}
+		}
+	}
+
+	/**
+	 * Walks each of the roots that isn't ignored.
+	 * @returns {AsyncGenerator<string>} The absolute paths of the files.
+	 */
+	async function* walkRoots() {
+		for (const root of resolvedRoots) {
+			if (shouldWalkRoot(configArray, root, path)) {
+				yield* walkDirectory(root);
+			}
+		}
+	}
+
+	return walkRoots();
+}
+
+/**
+ * Synchronously walks directories and yields the files that have a config
+ * in a config array. Ignored directories aren't entered.
+ * @param {ConfigArray} configArray The normalized config array.
+ * @param {Object} options Options for walking.
+ * @param {Iterable<string>} [options.roots] The directories to walk.
+ *      Defaults to the base path of the config array.
+ * @param {boolean} [options.explicitOnly=false] True to only yield files
+ *      that explicitly match a `files` entry.
+ * @param {FileSystem} options.fs The file system to read directories from.
+ * @param {PathImplementation} options.path The path implementation to use.
+ * @returns {Generator<string>} The absolute paths of the files.
+ * @throws {TypeError} When an option is invalid.
+ */
+export function walkFilesSync(configArray, { roots, explicitOnly = false, fs, path }) {
+
+	assertFileSystemMethod(fs, 'readdirSync');
+
+	const resolvedRoots = getRoots(configArray, roots, path);
+
+	/**
+	 * Walks a single directory and its subdirectories.
+	 * @param {string} directoryPath The absolute path of the directory.
+	 * @returns {Generator<string>} The absolute paths of the files.
+	 */
+	function* walkDirectory(directoryPath) {
+		const entries = sortEntries(fs.readdirSync(directoryPath));
+
+		for (const entry of entries) {
+			const entryPath = path.join(directoryPath, entry.name);
+
+			if (entry.isDirectory()) {
+				if (!configArray.isDirectoryIgnored(entryPath)) {
+					yield* walkDirectory(entryPath);
+				}
+			} else if (entry.isFile() && shouldYieldFile(configArray, entryPath, explicitOnly)) {
+				yield entryPath;
+			}
+		}
+	}
+
+	/**
+	 * Walks each of the roots that isn't ignored.
+	 * @returns {Generator<string>} The absolute paths of the files.
+	 */
+	function* walkRoots() {
+		for (const root of resolvedRoots) {
+			if (shouldWalkRoot(configArray, root, path)) {
+				yield* walkDirectory(root);
+			}
+		}
+	}
+
+	return walkRoots();
+}
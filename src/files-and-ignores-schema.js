@@ -56,6 +56,20 @@ function assertIsNonEmptyArray(value) {
 export const filesAndIgnoresSchema = Object.freeze({
 	files: {
 		required: false,
+		expected: 'a non-empty array of strings, functions, or arrays of strings and functions',
+
+		// functions can't be represented in JSON
+		jsonSchema: {
+			type: 'array',
+			minItems: 1,
+			items: {
+				anyOf: [
+					{ type: 'string' },
+					{ type: 'array', items: { type: 'string' } }
+				]
+			}
+		},
+		tsType: 'Array<string | ((filePath: string) => boolean) | Array<string | ((filePath: string) => boolean)>>',
 		merge() {
 			return undefined;
 		},
@@ -77,6 +91,9 @@ export const filesAndIgnoresSchema = Object.freeze({
 	},
 	ignores: {
 		required: false,
+		expected: 'an array of strings and functions',
+		jsonSchema: { type: 'array', items: { type: 'string' } },
+		tsType: 'Array<string | ((filePath: string) => boolean)>',
 		merge() {
 			return undefined;
 		},
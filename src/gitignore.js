@@ -0,0 +1,172 @@
+/**
+ * @fileoverview Utilities for converting gitignore-style files into configs.
+ * @author Nicholas C. Zakas
+ */
+
+//------------------------------------------------------------------------------
+// Helpers
+//------------------------------------------------------------------------------
+
+/**
+ * Normalizes the directory that an ignore file is located in so it can be
+ * used as a prefix for patterns.
+ * @param {string} directory The directory relative to the `basePath`.
+ * @returns {string} The directory using forward slashes and ending with a
+ *      slash, or an empty string for the `basePath` itself.
+ */
+function normalizeDirectory(directory) {
+	const result = directory
+		.replace(/\\/g, '/')
+		.replace(/^(?:\.\/)+/, '')
+		.replace(/^\/+/, '')
+		.replace(/\/+$/, '');
+
+	return result && result !== '.' ? `${result}/` : '';
+}
+
+/**
+ * Removes trailing spaces that aren't escaped with a backslash.
+ * @param {string} line The line to trim.
+ * @returns {string} The line without unescaped trailing spaces.
+ */
+function trimTrailingSpaces(line) {
+	let end = line.length;
+
+	while (end > 0 && line[end - 1] === ' ') {
+
+		// count the backslashes before the space to see if it's escaped
+		let backslashes = 0;
+
+		while (end - backslashes - 2 >= 0 && line[end - backslashes - 2] === '\\') {
+			backslashes++;
+		}
+
+		if (backslashes % 2 === 1) {
+			break;
+		}
+
+		end--;
+	}
+
+	return line.slice(0, end);
+}
+
+/**
+ * Converts escaped spaces into `[ ]` character classes. minimatch trims
+ * the whitespace around a pattern, even when it's escaped, so an escaped
+ * trailing space would otherwise be lost. All other escapes are understood
+ * by minimatch and are left as-is.
+ * @param {string} pattern The pattern to convert.
+ * @returns {string} The pattern with escaped spaces replaced.
+ */
+function convertEscapedSpaces(pattern) {
+	let result = '';
+
+	for (let i = 0; i < pattern.length; i++) {
+		if (pattern[i] === '\\' && i + 1 < pattern.length) {
+			const next = pattern[++i];
+			result += next === ' ' ? '[ ]' : `\\${next}`;
+		} else {
+			result += pattern[i];
+		}
+	}
+
+	return result;
+}
+
+/**
+ * Converts a single gitignore pattern into a pattern that can be used in
+ * `ignores`.
+ * @param {string} line A line from a gitignore file.
+ * @param {string} prefix The normalized directory of the gitignore file.
+ * @returns {string|undefined} The converted pattern or `undefined` if the
+ *      line doesn't contain a pattern.
+ */
+function convertLine(line, prefix) {
+
+	let pattern = trimTrailingSpaces(line.replace(/\r$/, ''));
+
+	// blank lines and comments don't contain patterns
+	if (!pattern || pattern.startsWith('#')) {
+		return undefined;
+	}
+
+	let negated = false;
+
+	if (pattern.startsWith('!')) {
+		negated = true;
+		pattern = pattern.slice(1);
+	}
+
+	// a trailing slash means only directories are matched
+	let directoryOnly = false;
+
+	if (pattern.endsWith('/') && !pattern.endsWith('\\/')) {
+		directoryOnly = true;
+		pattern = pattern.replace(/\/+$/, '');
+	}
+
+	if (!pattern) {
+		return undefined;
+	}
+
+	/*
+	 * A pattern containing a slash at the beginning or middle is relative
+	 * to the directory of the gitignore file. Otherwise, it may match at
+	 * any level below that directory.
+	 */
+	const anchored = pattern.includes('/');
+
+	pattern = convertEscapedSpaces(pattern.replace(/^\//, ''));
+
+	if (!anchored) {
+		pattern = `**/${pattern}`;
+	}
+
+	return `${negated ? '!' : ''}${prefix}${pattern}${directoryOnly ? '/' : ''}`;
+}
+
+//------------------------------------------------------------------------------
+// Exports
+//------------------------------------------------------------------------------
+
+/**
+ * Converts the contents of a gitignore-style file (such as `.gitignore` or
+ * `.eslintignore`) into an array of patterns that can be used in `ignores`.
+ * @param {string} content The contents of the ignore file.
+ * @param {Object} [options] Options for the conversion.
+ * @param {string} [options.directory=""] The directory containing the
+ *      ignore file, relative to the `basePath` of the `ConfigArray`.
+ * @returns {Array<string>} The patterns in the ignore file.
+ */
+export function parseGitignore(content, { directory = '' } = {}) {
+	const prefix = normalizeDirectory(directory);
+
+	return content
+		.split('\n')
+		.map(line => convertLine(line, prefix))
+		.filter(Boolean);
+}
+
+/**
+ * Creates a global ignores config object from the contents of a
+ * gitignore-style file (such as `.gitignore` or `.eslintignore`).
+ * @param {string} content The contents of the ignore file.
+ * @param {Object} [options] Options for the conversion.
+ * @param {string} [options.directory=""] The directory containing the
+ *      ignore file, relative to the `basePath` of the `ConfigArray`.
+ * @param {string} [options.name] The name of the config object.
+ * @returns {{name?:string,ignores:Array<string>}} A config object containing
+ *      only `ignores` (and `name`, when provided).
+ */
+export function createGitignoreConfig(content, { directory = '', name } = {}) {
+	const config = {};
+
+	if (name) {
+		config.name = name;
+	}
+
+	config.ignores = parseGitignore(content, { directory });
+
+	return config;
+}
@@ -3,4 +3,25 @@
  * @author Nicholas C. Zakas
  */
 
-export { ConfigArray, ConfigArraySymbol } from './config-array.js';
+export {
+	ConfigArray,
+	ConfigArraySymbol,
+	ConfigError,
+	ConfigValidationError,
+	ConfigErrorCode
+} from './config-array.js';
+export { parseGitignore, createGitignoreConfig } from './gitignore.js';
+export { setConfigFile } from './config-origin.js';
+export {
+	createDeepMergeStrategy,
+	createShallowMergeStrategy,
+	createConcatStrategy,
+	createConcatUniqueStrategy,
+	createLastWinsStrategy,
+	createSetUnionStrategy,
+	createRulesStrategy
+} from './merge-strategies.js';
+export { createTypeDeclarations } from './type-declarations.js';
+export { diffConfigs, diffConfigArrays } from './config-diff.js';
+export { nodeFileSystem, createMemoryFileSystem } from './file-system.js';
+export { posixPath } from './posix-path.js';
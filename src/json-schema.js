@@ -0,0 +1,162 @@
+/**
+ * @fileoverview Conversion of schema definitions into JSON Schema.
+ * @author Nicholas C. Zakas
+ */
+
+//------------------------------------------------------------------------------
+// Helpers
+//------------------------------------------------------------------------------
+
+/**
+ * The JSON Schema dialect of the generated documents.
+ */
+const JSON_SCHEMA_DIALECT = 'http://json-schema.org/draft-07/schema#';
+
+/**
+ * JSON Schema fragments for the built-in `ObjectSchema` validation
+ * strategies.
+ */
+const VALIDATION_STRATEGY_FRAGMENTS = Object.freeze({
+	array: { type: 'array' },
+	boolean: { type: 'boolean' },
+	number: { type: 'number' },
+	object: { type: 'object' },
+	'object?': { type: ['object', 'null'] },
+	string: { type: 'string' },
+	'string!': { type: 'string', minLength: 1 }
+});
+
+/**
+ * Creates a deep copy of a JSON Schema fragment so the returned document
+ * can be changed without affecting the schema definitions.
+ * @param {any} value The value to copy.
+ * @returns {any} The copied value.
+ */
+function copyFragment(value) {
+
+	if (Array.isArray(value)) {
+		return value.map(copyFragment);
+	}
+
+	if (value && typeof value === 'object') {
+		const copy = {};
+
+		for (const key of Object.keys(value)) {
+			copy[key] = copyFragment(value[key]);
+		}
+
+		return copy;
+	}
+
+	return value;
+}
+
+/**
+ * Converts a single schema definition into a JSON Schema fragment.
+ * A definition can declare its own fragment with a `jsonSchema` property.
+ * Otherwise, the fragment is derived from a nested `schema` or a built-in
+ * validation strategy. Definitions with a custom `validate()` method and
+ * no `jsonSchema` accept any value.
+ * @param {string} key The key of the definition.
+ * @param {Object} definition The schema definition.
+ * @returns {Object} The JSON Schema fragment.
+ * @throws {TypeError} When `jsonSchema` isn't an object.
+ */
+function convertDefinition(key, definition) {
+	let fragment;
+
+	if (definition.jsonSchema !== undefined) {
+
+		if (!definition.jsonSchema || typeof definition.jsonSchema !== 'object' || Array.isArray(definition.jsonSchema)) {
+			throw new TypeError(`Definition for key "${key}" must have a jsonSchema object.`);
+		}
+
+		fragment = copyFragment(definition.jsonSchema);
+	} else if (definition.schema) {
+		fragment = convertDefinitions(definition.schema);
+	} else if (typeof definition.validate === 'string') {
+		fragment = copyFragment(VALIDATION_STRATEGY_FRAGMENTS[definition.validate] || {});
+	} else {
+		fragment = {};
+	}
+
+	if (typeof definition.description === 'string' && fragment.description === undefined) {
+		fragment.description = definition.description;
+	}
+
+	return fragment;
+}
+
+/**
+ * Converts schema definitions into a JSON Schema fragment for an object
+ * that only allows the defined keys.
+ * @param {Object} definitions The schema definitions.
+ * @returns {Object} The JSON Schema fragment.
+ */
+function convertDefinitions(definitions) {
+	const properties = {};
+	const required = [];
+
+	for (const key of Object.keys(definitions)) {
+		const definition = definitions[key];
+
+		properties[key] = convertDefinition(key, definition);
+
+		if (definition.required) {
+			required.push(key);
+		}
+	}
+
+	const fragment = {
+		type: 'object',
+		properties
+	};
+
+	if (required.length) {
+		fragment.required = required;
+	}
+
+	fragment.additionalProperties = false;
+
+	return fragment;
+}
+
+//------------------------------------------------------------------------------
+// Exports
+//------------------------------------------------------------------------------
+
+/**
+ * Creates a JSON Schema (draft-07) document from `ObjectSchema` definitions.
+ * @param {Object} definitions The schema definitions.
+ * @param {Object} [options] Options for the document.
+ * @param {string} [options.title] The title of the document.
+ * @param {string} [options.description] The description of the document.
+ * @param {boolean} [options.array=false] True if the document describes an
+ *      array of config objects instead of a single config object. The config
+ *      object schema is then available as `#/definitions/config`.
+ * @returns {Object} The JSON Schema document.
+ * @throws {TypeError} When a definition has an invalid `jsonSchema`.
+ */
+export function createJSONSchema(definitions, { title, description, array = false } = {}) {
+	const document = { $schema: JSON_SCHEMA_DIALECT };
+
+	if (title !== undefined) {
+		document.title = title;
+	}
+
+	if (description !== undefined) {
+		document.description = description;
+	}
+
+	const configSchema = convertDefinitions(definitions);
+
+	if (array) {
+		return Object.assign(document, {
+			type: 'array',
+			items: { $ref: '#/definitions/config' },
+			definitions: { config: configSchema }
+		});
+	}
+
+	return Object.assign(document, configSchema);
+}
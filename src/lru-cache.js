@@ -0,0 +1,125 @@
+/**
+ * @fileoverview LRUCache
+ * @author Nicholas C. Zakas
+ */
+
+//------------------------------------------------------------------------------
+// Exports
+//------------------------------------------------------------------------------
+
+/**
+ * A `Map` that evicts the least recently used entry once it contains more
+ * than a given number of entries. It also keeps track of cache hits and
+ * misses for calls to `get()`.
+ */
+export class LRUCache extends Map {
+
+	/**
+	 * Creates a new instance.
+	 * @param {number} [maxSize=Infinity] The maximum number of entries.
+	 * @throws {TypeError} When `maxSize` isn't a positive integer or `Infinity`.
+	 */
+	constructor(maxSize = Infinity) {
+		super();
+
+		if (maxSize !== Infinity && !(Number.isInteger(maxSize) && maxSize > 0)) {
+			throw new TypeError('Cache size must be a positive integer or Infinity.');
+		}
+
+		/**
+		 * The maximum number of entries in the cache.
+		 * @type {number}
+		 * @readonly
+		 */
+		this.maxSize = maxSize;
+
+		/**
+		 * The number of calls to `get()` that found an entry.
+		 * @type {number}
+		 */
+		this.hits = 0;
+
+		/**
+		 * The number of calls to `get()` that didn't find an entry.
+		 * @type {number}
+		 */
+		this.misses = 0;
+
+		/**
+		 * The number of entries removed to make room for new entries.
+		 * @type {number}
+		 */
+		this.evictions = 0;
+	}
+
+	/**
+	 * Prevent `Map` methods from creating a new `LRUCache` instance.
+	 * @returns {Function} The `Map` constructor.
+	 */
+	static get [Symbol.species]() {
+		return Map;
+	}
+
+	/**
+	 * Retrieves the value for a key and marks the entry as recently used.
+	 * @param {any} key The key to retrieve.
+	 * @returns {any} The value or `undefined` if the key isn't found.
+	 */
+	get(key) {
+
+		if (!super.has(key)) {
+			this.misses++;
+			return undefined;
+		}
+
+		this.hits++;
+
+		const value = super.get(key);
+
+		// move the entry to the end so it's evicted last
+		if (this.maxSize !== Infinity) {
+			super.delete(key);
+			super.set(key, value);
+		}
+
+		return value;
+	}
+
+	/**
+	 * Stores a value for a key, evicting the least recently used entry if
+	 * the cache is full.
+	 * @param {any} key The key to store.
+	 * @param {any} value The value to store.
+	 * @returns {LRUCache} The cache instance.
+	 */
+	set(key, value) {
+
+		if (this.maxSize !== Infinity) {
+			super.delete(key);
+		}
+
+		super.set(key, value);
+
+		if (this.size > this.maxSize) {
+			super.delete(this.keys().next().value);
+			this.evictions++;
+		}
+
+		return this;
+	}
+
+	/**
+	 * Returns statistics about the cache.
+	 * @returns {{hits:number,misses:number,evictions:number,size:number,maxSize:number}}
+	 *      The cache statistics.
+	 */
+	getStats() {
+		return {
+			hits: this.hits,
+			misses: this.misses,
+			evictions: this.evictions,
+			size: this.size,
+			maxSize: this.maxSize
+		};
+	}
+}
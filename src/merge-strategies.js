@@ -0,0 +1,364 @@
+/**
+ * @fileoverview Factories for common schema merge strategies.
+ * @author Nicholas C. Zakas
+ */
+
+//------------------------------------------------------------------------------
+// Imports
+//------------------------------------------------------------------------------
+
+import { isPlainObject } from './utils.js';
+
+//------------------------------------------------------------------------------
+// Helpers
+//------------------------------------------------------------------------------
+
+/**
+ * The rule severities that are allowed in a rule record.
+ */
+const SEVERITIES = new Map([
+	['off', 0],
+	['warn', 1],
+	['error', 2],
+	[0, 0],
+	[1, 1],
+	[2, 2]
+]);
+
+/**
+ * The JSON Schema for a rule severity.
+ */
+const SEVERITY_JSON_SCHEMA = { enum: ['off', 'warn', 'error', 0, 1, 2] };
+
+/**
+ * The TypeScript type for a rule severity.
+ */
+const SEVERITY_TS_TYPE = '"off" | "warn" | "error" | 0 | 1 | 2';
+
+/**
+ * The TypeScript types for each result of `typeof`.
+ */
+const TYPEOF_TS_TYPES = Object.freeze({
+	bigint: 'bigint',
+	boolean: 'boolean',
+	function: 'Function',
+	number: 'number',
+	object: 'object | null',
+	string: 'string',
+	symbol: 'symbol',
+	undefined: 'undefined'
+});
+
+/**
+ * The JSON Schema types for each result of `typeof` that can occur in JSON.
+ * Objects, arrays, and `null` all have a `typeof` of `"object"`.
+ */
+const TYPEOF_JSON_SCHEMA_TYPES = Object.freeze({
+	boolean: ['boolean'],
+	number: ['number'],
+	object: ['object', 'array', 'null'],
+	string: ['string']
+});
+
+/**
+ * The types that are allowed by default for a last-wins value.
+ */
+const PRIMITIVE_TYPES = Object.freeze(['string', 'number', 'boolean']);
+
+/**
+ * Asserts that a value is a plain object.
+ * @param {any} value The value to check.
+ * @returns {void}
+ * @throws {TypeError} When the value isn't a plain object.
+ */
+function assertPlainObject(value) {
+	if (!isPlainObject(value)) {
+		throw new TypeError('Expected an object.');
+	}
+}
+
+/**
+ * Asserts that a value is an array and that each item is valid.
+ * @param {any} value The value to check.
+ * @param {Function} [validateItem] A function that throws an error when
+ *      an item is invalid.
+ * @returns {void}
+ * @throws {TypeError} When the value isn't an array.
+ */
+function assertArray(value, validateItem) {
+	if (!Array.isArray(value)) {
+		throw new TypeError('Expected an array.');
+	}
+
+	if (validateItem) {
+		value.forEach(validateItem);
+	}
+}
+
+/**
+ * Merges two plain objects, recursively merging any properties that are
+ * plain objects in both. Other values from the second object replace those
+ * in the first. Neither object is changed.
+ * @param {Object} first The first object.
+ * @param {Object} second The second object.
+ * @returns {Object} The merged object.
+ */
+function deepMerge(first, second) {
+	const result = { ...first };
+
+	for (const key of Object.keys(second)) {
+		if (isPlainObject(result[key]) && isPlainObject(second[key])) {
+			result[key] = deepMerge(result[key], second[key]);
+		} else if (isPlainObject(second[key])) {
+			result[key] = deepMerge({}, second[key]);
+		} else {
+			result[key] = second[key];
+		}
+	}
+
+	return result;
+}
+
+/**
+ * Creates a merge function that keeps the first value when the second config
+ * doesn't have the key and otherwise calls the given function. The first
+ * value passed to that function is `undefined` when only the second config
+ * has the key.
+ * @param {Function} mergeValues The function to merge the two values.
+ * @returns {Function} The merge function.
+ */
+function createMerge(mergeValues) {
+	return (first, second) => (second === undefined ? first : mergeValues(first, second));
+}
+
+/**
+ * Normalizes a rule setting into an array containing the numeric severity
+ * followed by any options.
+ * @param {string|number|Array} setting The rule setting.
+ * @returns {Array} The normalized setting.
+ */
+function normalizeRuleSetting(setting) {
+	const [severity, ...options] = Array.isArray(setting) ? setting : [setting];
+
+	return [SEVERITIES.get(severity), ...options];
+}
+
+/**
+ * Asserts that a rule setting has a valid severity.
+ * @param {string} ruleId The ID of the rule.
+ * @param {any} setting The rule setting.
+ * @returns {void}
+ * @throws {TypeError} When the severity isn't valid.
+ */
+function assertValidRuleSetting(ruleId, setting) {
+	const severity = Array.isArray(setting) ? setting[0] : setting;
+
+	if (!SEVERITIES.has(severity)) {
+		throw new TypeError(`Rule "${ruleId}": Expected severity of "off", 0, "warn", 1, "error", or 2.`);
+	}
+}
+
+/**
+ * Creates a JSON Schema that accepts the JSON values whose `typeof` is one of
+ * the given types. Types that can't occur in JSON, such as `"function"`,
+ * are skipped, and the schema accepts any value if none of the types can.
+ * @param {Array<string>} types The allowed results of `typeof`.
+ * @returns {Object} The JSON Schema.
+ */
+function createTypeOfJSONSchema(types) {
+	const jsonTypes = types.reduce((result, type) => result.concat(TYPEOF_JSON_SCHEMA_TYPES[type] || []), []);
+
+	return jsonTypes.length ? { type: jsonTypes } : {};
+}
+
+//------------------------------------------------------------------------------
+// Exports
+//------------------------------------------------------------------------------
+
+/**
+ * Creates a strategy for plain objects whose properties are merged
+ * recursively. Properties that aren't plain objects in both configs are
+ * replaced by the later config.
+ * @param {Object} [options] Options for the strategy.
+ * @param {boolean} [options.required=false] True if the key is required.
+ * @returns {Object} The schema strategy.
+ */
+export function createDeepMergeStrategy({ required = false } = {}) {
+	return {
+		required,
+		expected: 'an object',
+		jsonSchema: { type: 'object' },
+		tsType: 'Record<string, unknown>',
+		merge: createMerge((first = {}, second) => deepMerge(first, second)),
+		validate: assertPlainObject
+	};
+}
+
+/**
+ * Creates a strategy for plain objects whose top-level properties are
+ * combined, with the later config replacing any property in both.
+ * @param {Object} [options] Options for the strategy.
+ * @param {boolean} [options.required=false] True if the key is required.
+ * @returns {Object} The schema strategy.
+ */
+export function createShallowMergeStrategy({ required = false } = {}) {
+	return {
+		required,
+		expected: 'an object',
+		jsonSchema: { type: 'object' },
+		tsType: 'Record<string, unknown>',
+		merge: createMerge((first, second) => ({ ...first, ...second })),
+		validate: assertPlainObject
+	};
+}
+
+/**
+ * Creates a strategy for arrays that are combined by adding the items of
+ * the later config to the end of the items of the earlier config.
+ * @param {Object} [options] Options for the strategy.
+ * @param {boolean} [options.required=false] True if the key is required.
+ * @param {Function} [options.validateItem] A function that throws an
+ *      error when an item of the array is invalid.
+ * @returns {Object} The schema strategy.
+ */
+export function createConcatStrategy({ required = false, validateItem } = {}) {
+	return {
+		required,
+		expected: 'an array',
+		jsonSchema: { type: 'array' },
+		tsType: 'unknown[]',
+		merge: createMerge((first = [], second) => [...first, ...second]),
+		validate(value) {
+			assertArray(value, validateItem);
+		}
+	};
+}
+
+/**
+ * Creates a strategy for arrays that are combined like
+ * `createConcatStrategy()` except that only the first occurrence of each
+ * item (compared with `SameValueZero`) is kept.
+ * @param {Object} [options] Options for the strategy.
+ * @param {boolean} [options.required=false] True if the key is required.
+ * @param {Function} [options.validateItem] A function that throws an
+ *      error when an item of the array is invalid.
+ * @returns {Object} The schema strategy.
+ */
+export function createConcatUniqueStrategy({ required = false, validateItem } = {}) {
+	return {
+		required,
+		expected: 'an array',
+		jsonSchema: { type: 'array' },
+		tsType: 'unknown[]',
+		merge: createMerge((first = [], second) => [...new Set([...first, ...second])]),
+		validate(value) {
+			assertArray(value, validateItem);
+		}
+	};
+}
+
+/**
+ * Creates a strategy for primitive values where the later config replaces
+ * the value of the earlier config.
+ * @param {Object} [options] Options for the strategy.
+ * @param {boolean} [options.required=false] True if the key is required.
+ * @param {Array<string>} [options.types=["string","number","boolean"]] The
+ *      allowed results of `typeof` for the value.
+ * @returns {Object} The schema strategy.
+ */
+export function createLastWinsStrategy({ required = false, types = PRIMITIVE_TYPES } = {}) {
+	const expected = `a value of type ${types.map(type => `"${type}"`).join(', ')}`;
+
+	return {
+		required,
+		expected,
+		jsonSchema: createTypeOfJSONSchema(types),
+		tsType: types.map(type => TYPEOF_TS_TYPES[type] || 'unknown').join(' | '),
+		merge: createMerge((first, second) => second),
+		validate(value) {
+			if (!types.includes(typeof value)) {
+				throw new TypeError(`Expected ${expected}.`);
+			}
+		}
+	};
+}
+
+/**
+ * Creates a strategy for sets of values that are combined into a new `Set`
+ * containing the values of both configs. Arrays are also accepted and are
+ * treated as sets.
+ * @param {Object} [options] Options for the strategy.
+ * @param {boolean} [options.required=false] True if the key is required.
+ * @param {Function} [options.validateItem] A function that throws an
+ *      error when a value in the set is invalid.
+ * @returns {Object} The schema strategy.
+ */
+export function createSetUnionStrategy({ required = false, validateItem } = {}) {
+	return {
+		required,
+		expected: 'a Set or an array',
+
+		// sets are represented as arrays in JSON
+		jsonSchema: { type: 'array', uniqueItems: true },
+		tsType: 'Set<unknown> | unknown[]',
+		merge: createMerge((first = [], second) => new Set([...first, ...second])),
+		validate(value) {
+			if (!(value instanceof Set) && !Array.isArray(value)) {
+				throw new TypeError('Expected a Set or an array.');
+			}
+
+			if (validateItem) {
+				[...value].forEach(validateItem);
+			}
+		}
+	};
+}
+
+/**
+ * Creates a strategy for rule records, which are objects whose keys are
+ * rule IDs and whose values are a severity (`"off"`, `"warn"`, `"error"`,
+ * `0`, `1`, or `2`) or an array containing a severity followed by options.
+ * When a later config only changes the severity of a rule, the options
+ * from the earlier config are kept. Severities are normalized to numbers.
+ * @param {Object} [options] Options for the strategy.
+ * @param {boolean} [options.required=false] True if the key is required.
+ * @returns {Object} The schema strategy.
+ */
+export function createRulesStrategy({ required = false } = {}) {
+	return {
+		required,
+		expected: 'an object of rule severities and options',
+		jsonSchema: {
+			type: 'object',
+			additionalProperties: {
+				anyOf: [
+					SEVERITY_JSON_SCHEMA,
+					{ type: 'array', items: [SEVERITY_JSON_SCHEMA], minItems: 1 }
+				]
+			}
+		},
+		tsType: `Record<string, ${SEVERITY_TS_TYPE} | [${SEVERITY_TS_TYPE}, ...unknown[]]>`,
+		merge: createMerge((first = {}, second) => {
+			const result = { ...first };
+
+			for (const ruleId of Object.keys(second)) {
+				const setting = normalizeRuleSetting(second[ruleId]);
+
+				if (setting.length === 1 && ruleId in first) {
+					result[ruleId] = [setting[0], ...normalizeRuleSetting(first[ruleId]).slice(1)];
+				} else {
+					result[ruleId] = setting;
+				}
+			}
+
+			return result;
+		}),
+		validate(value) {
+			assertPlainObject(value);
+
+			for (const ruleId of Object.keys(value)) {
+				assertValidRuleSetting(ruleId, value[ruleId]);
+			}
+		}
+	};
+}
@@ -0,0 +1,49 @@
+/**
+ * @fileoverview The file system and path implementations for the
+ *      platform-neutral build, which doesn't import any Node.js modules.
+ * @author Nicholas C. Zakas
+ */
+
+//------------------------------------------------------------------------------
+// Imports
+//------------------------------------------------------------------------------
+
+import { posixPath } from './posix-path.js';
+
+//------------------------------------------------------------------------------
+// Helpers
+//------------------------------------------------------------------------------
+
+/**
+ * Throws an error explaining that there is no default file system.
+ * @returns {never} Never returns.
+ * @throws {Error} Always.
+ */
+function throwNoFileSystem() {
+	throw new Error('No file system is available. Use the fs option to provide one.');
+}
+
+//------------------------------------------------------------------------------
+// Exports
+//------------------------------------------------------------------------------
+
+/**
+ * The path implementation used when no other is provided.
+ * @type {PathImplementation}
+ */
+export const platformPath = posixPath;
+
+/**
+ * The file system used when no other is provided. There is no file system
+ * that works everywhere, so every operation throws an error and a file
+ * system must be passed in with the `fs` option instead.
+ * @type {FileSystem}
+ */
+export const platformFileSystem = Object.freeze({
+	async readdir() {
+		throwNoFileSystem();
+	},
+	readdirSync() {
+		throwNoFileSystem();
+	}
+});
@@ -0,0 +1,36 @@
+/**
+ * @fileoverview The file system and path implementations for Node.js. The
+ *      platform-neutral build replaces this file with platform-neutral.js.
+ * @author Nicholas C. Zakas
+ */
+
+//------------------------------------------------------------------------------
+// Imports
+//------------------------------------------------------------------------------
+
+import fs from 'fs';
+import path from 'path';
+
+//------------------------------------------------------------------------------
+// Exports
+//------------------------------------------------------------------------------
+
+/**
+ * The path implementation used when no other is provided.
+ * @type {PathImplementation}
+ */
+export const platformPath = path;
+
+/**
+ * The file system used when no other is provided. It uses Node.js's `fs`
+ * module and doesn't follow symbolic links when reading directories.
+ * @type {FileSystem}
+ */
+export const platformFileSystem = Object.freeze({
+	readdir(directoryPath) {
+		return fs.promises.readdir(directoryPath, { withFileTypes: true });
+	},
+	readdirSync(directoryPath) {
+		return fs.readdirSync(directoryPath, { withFileTypes: true });
+	}
+});
@@ -0,0 +1,201 @@
+/**
+ * @fileoverview A POSIX path implementation that doesn't depend on Node.js.
+ * @author Nicholas C. Zakas
+ */
+
+//------------------------------------------------------------------------------
+// Helpers
+//------------------------------------------------------------------------------
+
+/**
+ * Asserts that a value is a string, the same as Node.js's `path` module.
+ * @param {any} value The value to check.
+ * @returns {void}
+ * @throws {TypeError} When the value isn't a string.
+ */
+function assertString(value) {
+	if (typeof value !== 'string') {
+		throw new TypeError('Path must be a string.');
+	}
+}
+
+/**
+ * Gets the current working directory, which is only available when a
+ * `process` global exists.
+ * @returns {string} The current working directory or `"/"` when there is
+ *      no current working directory.
+ */
+function getCurrentDirectory() {
+	return typeof process !== 'undefined' ? process.cwd() : '/';
+}
+
+/**
+ * Splits a path into segments, removing empty and `.` segments and
+ * resolving `..` segments.
+ * @param {string} filePath The path to split.
+ * @param {boolean} allowAboveRoot True to keep `..` segments that can't be
+ *      resolved, which is only possible for relative paths.
+ * @returns {Array<string>} The segments.
+ */
+function getSegments(filePath, allowAboveRoot) {
+	const segments = [];
+
+	for (const segment of filePath.split('/')) {
+
+		if (!segment || segment === '.') {
+			continue;
+		}
+
+		if (segment !== '..') {
+			segments.push(segment);
+		} else if (segments.length && segments[segments.length - 1] !== '..') {
+			segments.pop();
+		} else if (allowAboveRoot) {
+			segments.push(segment);
+		}
+	}
+
+	return segments;
+}
+
+/**
+ * Normalizes a path, keeping a trailing slash.
+ * @param {string} filePath The path to normalize.
+ * @returns {string} The normalized path.
+ */
+function normalize(filePath) {
+	const absolute = isAbsolute(filePath);
+	let result = getSegments(filePath, !absolute).join('/');
+
+	if (!result && !absolute) {
+		result = '.';
+	}
+
+	if (result && filePath.endsWith('/')) {
+		result += '/';
+	}
+
+	return absolute ? `/${result}` : result;
+}
+
+/**
+ * Determines if a path is absolute.
+ * @param {string} filePath The path to check.
+ * @returns {boolean} True if the path is absolute.
+ */
+function isAbsolute(filePath) {
+	assertString(filePath);
+	return filePath.startsWith('/');
+}
+
+/**
+ * Joins path segments and normalizes the result.
+ * @param {...string} paths The path segments.
+ * @returns {string} The joined path.
+ */
+function join(...paths) {
+	paths.forEach(assertString);
+
+	const joined = paths.filter(Boolean).join('/');
+
+	return joined ? normalize(joined) : '.';
+}
+
+/**
+ * Resolves path segments into an absolute path, working from right to
+ * left until an absolute path is found. The current working directory is
+ * used when no segment is absolute.
+ * @param {...string} paths The path segments.
+ * @returns {string} The absolute path.
+ */
+function resolve(...paths) {
+	paths.forEach(assertString);
+
+	let resolved = '';
+
+	for (let index = paths.length - 1; index >= -1 && !resolved.startsWith('/'); index--) {
+		const segment = index >= 0 ? paths[index] : getCurrentDirectory();
+
+		if (segment) {
+			resolved = `${segment}/${resolved}`;
+		}
+	}
+
+	const absolute = resolved.startsWith('/');
+	const result = getSegments(resolved, !absolute).join('/');
+
+	return absolute ? `/${result}` : result || '.';
+}
+
+/**
+ * Gets the relative path from one path to another.
+ * @param {string} from The path to start from.
+ * @param {string} to The path to end at.
+ * @returns {string} The relative path or an empty string when the paths
+ *      are the same.
+ */
+function relative(from, to) {
+	const fromSegments = getSegments(resolve(from), false);
+	const toSegments = getSegments(resolve(to), false);
+	let commonLength = 0;
+
+	while (
+		commonLength < fromSegments.length &&
+		commonLength < toSegments.length &&
+		fromSegments[commonLength] === toSegments[commonLength]
+	) {
+		commonLength++;
+	}
+
+	return [
+		...fromSegments.slice(commonLength).map(() => '..'),
+		...toSegments.slice(commonLength)
+	].join('/');
+}
+
+/**
+ * Gets the directory of a path, ignoring trailing slashes.
+ * @param {string} filePath The path.
+ * @returns {string} The directory.
+ */
+function dirname(filePath) {
+	assertString(filePath);
+
+	let end = filePath.length;
+
+	while (end > 1 && filePath[end - 1] === '/') {
+		end--;
+	}
+
+	const index = filePath.lastIndexOf('/', end - 1);
+
+	if (index === -1) {
+		return '.';
+	}
+
+	// a leading double slash is kept, the same as Node.js
+	if (index === 1 && filePath[0] === '/') {
+		return '//';
+	}
+
+	return index === 0 ? '/' : filePath.slice(0, index);
+}
+
+//------------------------------------------------------------------------------
+// Exports
+//------------------------------------------------------------------------------
+
+/**
+ * A path implementation that behaves the same as Node.js's `path.posix`
+ * for the operations used by a `ConfigArray`, which makes it possible to
+ * use a `ConfigArray` where Node.js's `path` module isn't available.
+ * @type {PathImplementation}
+ */
+export const posixPath = Object.freeze({
+	sep: '/',
+	join,
+	resolve,
+	relative,
+	dirname,
+	isAbsolute
+});
@@ -0,0 +1,241 @@
+/**
+ * @fileoverview Conversion of config values into a JSON-compatible form.
+ * @author Nicholas C. Zakas
+ */
+
+//------------------------------------------------------------------------------
+// Imports
+//------------------------------------------------------------------------------
+
+import { isPlainObject } from './utils.js';
+
+//------------------------------------------------------------------------------
+// Helpers
+//------------------------------------------------------------------------------
+
+/**
+ * Gets identifying metadata for an object, such as a parser or a plugin,
+ * that can't be serialized directly. The `name` and `version` are read from
+ * the object's `meta` property, if present, or from the object itself.
+ * @param {Object} value The object.
+ * @returns {{name:string|undefined,version:string|undefined}} The metadata.
+ */
+function getIdentifyingMetadata(value) {
+	const meta = value.meta && typeof value.meta === 'object' ? value.meta : {};
+	const name = typeof meta.name === 'string' ? meta.name : value.name;
+	const version = typeof meta.version === 'string' ? meta.version : value.version;
+
+	return {
+		name: typeof name === 'string' ? name : undefined,
+		version: typeof version === 'string' ? version : undefined
+	};
+}
+
+// methods that parsers, processors, and rules implement
+const IMPLEMENTATION_METHODS = ['parse', 'parseForESLint', 'preprocess', 'postprocess', 'create'];
+
+// keys that contain the implementations provided by a plugin
+const PLUGIN_KEYS = ['rules', 'processors'];
+
+/**
+ * Determines if a plain object is an implementation, such as a parser,
+ * plugin, processor, or rule, rather than data. Such objects have a `meta`
+ * object, one of the methods of a parser, processor, or rule, or a `rules`
+ * or `processors` object containing only implementations. Other objects
+ * with methods are data that happens to include functions.
+ * @param {Object} value The plain object to check.
+ * @returns {boolean} True if the object is an implementation.
+ */
+function isImplementationObject(value) {
+
+	if (value.meta && typeof value.meta === 'object') {
+		return true;
+	}
+
+	if (IMPLEMENTATION_METHODS.some(key => typeof value[key] === 'function')) {
+		return true;
+	}
+
+	return PLUGIN_KEYS.some(key => {
+		const implementations = value[key];
+
+		if (!isPlainObject(implementations)) {
+			return false;
+		}
+
+		const names = Object.keys(implementations);
+
+		return names.length > 0 && names.every(name => {
+			const implementation = implementations[name];
+
+			return typeof implementation === 'function' ||
+				(isPlainObject(implementation) && isImplementationObject(implementation));
+		});
+	});
+}
+
+/**
+ * Gets the description of a symbol. `Symbol.prototype.description` isn't
+ * available in older runtimes, so the description is read from the string
+ * form of the symbol, `Symbol(description)`, instead. Symbols without a
+ * description (and with an empty one) return `undefined`.
+ * @param {symbol} value The symbol.
+ * @returns {string|undefined} The description of the symbol.
+ */
+function getSymbolDescription(value) {
+	const description = String(value).slice('Symbol('.length, -1);
+
+	return description || undefined;
+}
+
+/**
+ * Creates a placeholder for a value that can't be serialized directly.
+ * Properties whose value is `undefined` are left out.
+ * @param {string} type The type of the value.
+ * @param {Object} [details] Details that identify the value.
+ * @returns {Object} The placeholder.
+ */
+function createPlaceholder(type, details = {}) {
+	const placeholder = { $type: type };
+
+	for (const key of Object.keys(details)) {
+		if (details[key] !== undefined) {
+			placeholder[key] = details[key];
+		}
+	}
+
+	return placeholder;
+}
+
+/**
+ * Serializes a value that is nested inside of a config object.
+ * @param {any} value The value to serialize.
+ * @param {string} path The path to the value, used for circular references.
+ * @param {Map<Object,string>} ancestors The objects containing the value
+ *      mapped to their paths.
+ * @param {boolean} [isRoot=false] True if the value is the one being
+ *      serialized rather than a value inside of it.
+ * @returns {any} The serialized value.
+ */
+function serializeNestedValue(value, path, ancestors, isRoot = false) {
+
+	if (value === null || typeof value === 'string' || typeof value === 'boolean') {
+		return value;
+	}
+
+	if (typeof value === 'number') {
+		return Number.isFinite(value)
+			? value
+			: createPlaceholder('number', { value: String(value) });
+	}
+
+	if (typeof value === 'undefined') {
+		return createPlaceholder('undefined');
+	}
+
+	if (typeof value === 'bigint') {
+		return createPlaceholder('bigint', { value: String(value) });
+	}
+
+	if (typeof value === 'symbol') {
+		return createPlaceholder('symbol', { description: getSymbolDescription(value) });
+	}
+
+	if (typeof value === 'function') {
+		return createPlaceholder(
+			/^class\b/.test(Function.prototype.toString.call(value)) ? 'class' : 'function',
+			{ name: value.name || undefined }
+		);
+	}
+
+	if (ancestors.has(value)) {
+		return createPlaceholder('circular', { path: ancestors.get(value) });
+	}
+
+	ancestors.set(value, path);
+
+	try {
+
+		if (Array.isArray(value)) {
+			return value.map((item, index) => serializeNestedValue(item, `${path}[${index}]`, ancestors));
+		}
+
+		if (isPlainObject(value)) {
+
+			if (!isRoot && isImplementationObject(value)) {
+				return createPlaceholder('object', {
+					...getIdentifyingMetadata(value),
+					keys: Object.keys(value)
+				});
+			}
+
+			const result = {};
+
+			for (const key of Object.keys(value)) {
+				result[key] = serializeNestedValue(value[key], `${path}.${key}`, ancestors);
+			}
+
+			return result;
+		}
+
+		if (value instanceof Date) {
+			return createPlaceholder('Date', { value: Number.isNaN(value.getTime()) ? 'Invalid Date' : value.toISOString() });
+		}
+
+		if (value instanceof RegExp) {
+			return createPlaceholder('RegExp', { value: String(value) });
+		}
+
+		if (value instanceof Map) {
+			return createPlaceholder('Map', {
+				entries: [...value].map(([key, item], index) => [
+					serializeNestedValue(key, `${path}.entries[${index}][0]`, ancestors),
+					serializeNestedValue(item, `${path}.entries[${index}][1]`, ancestors)
+				])
+			});
+		}
+
+		if (value instanceof Set) {
+			return createPlaceholder('Set', {
+				values: [...value].map((item, index) => serializeNestedValue(item, `${path}.values[${index}]`, ancestors))
+			});
+		}
+
+		const constructorName = typeof value.constructor === 'function' && value.constructor.name
+			? value.constructor.name
+			: undefined;
+
+		return createPlaceholder('object', {
+			constructor: constructorName,
+			...getIdentifyingMetadata(value),
+			keys: Object.keys(value)
+		});
+	} finally {
+		ancestors.delete(value);
+	}
+}
+
+//------------------------------------------------------------------------------
+// Exports
+//------------------------------------------------------------------------------
+
+/**
+ * Serializes a config value into a form that can be passed to
+ * `JSON.stringify()`. Strings, finite numbers, booleans, `null`, plain
+ * objects, and arrays are kept as they are. Every other value is replaced
+ * with a placeholder object whose `$type` property identifies the kind of
+ * value, such as `{ "$type": "function", "name": "isTestFile" }`. Objects
+ * with a custom prototype and plain objects that are implementations, such
+ * as parsers and plugins, become `{ "$type": "object" }` placeholders with
+ * their `constructor` name (for custom prototypes), `name` and `version`
+ * (from `meta` if present), and `keys`. Circular references become
+ * `{ "$type": "circular" }` placeholders with the `path` of the object
+ * being referenced.
+ * @param {any} value The value to serialize.
+ * @param {string} [path="value"] The path of the value, used to describe
+ *      circular references.
+ * @returns {any} The serialized value.
+ */
+export function serializeValue(value, path = 'value') {
+	return serializeNestedValue(value, path, new Map(), true);
+}
@@ -0,0 +1,361 @@
+/**
+ * @fileoverview Generation of TypeScript declarations from schema definitions.
+ * @author Nicholas C. Zakas
+ */
+
+//------------------------------------------------------------------------------
+// Imports
+//------------------------------------------------------------------------------
+
+import { baseSchema } from './base-schema.js';
+import { filesAndIgnoresSchema } from './files-and-ignores-schema.js';
+
+//------------------------------------------------------------------------------
+// Helpers
+//------------------------------------------------------------------------------
+
+/**
+ * TypeScript types for the built-in `ObjectSchema` validation strategies.
+ */
+const VALIDATION_STRATEGY_TYPES = Object.freeze({
+	array: 'unknown[]',
+	boolean: 'boolean',
+	number: 'number',
+	object: 'Record<string, unknown>',
+	'object?': 'Record<string, unknown> | null',
+	string: 'string',
+	'string!': 'string'
+});
+
+/**
+ * Matches property names that don't need to be quoted.
+ */
+const IDENTIFIER = /^[A-Za-z_$][\w$]*$/;
+
+/**
+ * Matches type names that can be used for the config object interface.
+ */
+const TYPE_NAME = /^[A-Z_$][\w$]*$/i;
+
+/**
+ * Formats a property name for use in a type literal.
+ * @param {string} key The property name.
+ * @returns {string} The property name, quoted if necessary.
+ */
+function formatPropertyName(key) {
+	return IDENTIFIER.test(key) ? key : JSON.stringify(key);
+}
+
+/**
+ * Formats a description as a doc comment.
+ * @param {string} description The description.
+ * @param {string} indent The indentation of the comment.
+ * @returns {string} The doc comment, ending with a line break.
+ */
+function formatDocComment(description, indent) {
+	const lines = description.replace(/\*\//g, '*\\/').split(/\r?\n/);
+
+	return `${indent}/**\n${lines.map(line => `${indent} * ${line}`.trimEnd()).join('\n')}\n${indent} */\n`;
+}
+
+/**
+ * Gets the TypeScript type for a single schema definition. A definition
+ * can declare its type with a `tsType` property. Otherwise, the type is
+ * derived from a nested `schema` or a built-in validation strategy.
+ * Definitions with a custom `validate()` method and no `tsType` are
+ * `unknown`.
+ * @param {string} key The key of the definition.
+ * @param {Object} definition The schema definition.
+ * @param {string} indent The indentation of the definition.
+ * @returns {string} The TypeScript type.
+ * @throws {TypeError} When `tsType` isn't a non-empty string.
+ */
+function getDefinitionType(key, definition, indent) {
+
+	if (definition.tsType !== undefined) {
+
+		if (typeof definition.tsType !== 'string' || !definition.tsType.trim()) {
+			throw new TypeError(`Definition for key "${key}" must have a tsType string.`);
+		}
+
+		return definition.tsType;
+	}
+
+	if (definition.schema) {
+		return `{\n${formatMembers(definition.schema, `${indent}\t`)}${indent}}`;
+	}
+
+	if (typeof definition.validate === 'string') {
+		return VALIDATION_STRATEGY_TYPES[definition.validate] || 'unknown';
+	}
+
+	return 'unknown';
+}
+
+/**
+ * Formats schema definitions as the members of a type literal or
+ * interface. Keys that aren't required are optional.
+ * @param {Object} definitions The schema definitions.
+ * @param {string} indent The indentation of each member.
+ * @returns {string} The members, each ending with a line break.
+ */
+function formatMembers(definitions, indent) {
+	return Object.keys(definitions).map(key => {
+		const definition = definitions[key];
+		const comment = typeof definition.description === 'string'
+			? formatDocComment(definition.description, indent)
+			: '';
+		const optional = definition.required ? '' : '?';
+
+		return `${comment}${indent}${formatPropertyName(key)}${optional}: ${getDefinitionType(key, definition, indent)};\n`;
+	}).join('');
+}
+
+/**
+ * Creates the declarations for `ConfigArray`, `ConfigArraySymbol`, and the
+ * types they use.
+ * @param {string} typeName The name of the config object type.
+ * @returns {string} The declarations.
+ */
+function createConfigArrayDeclarations(typeName) {
+	return `export type ConfigFunction = (context: any) => ConfigItem | Promise<ConfigItem>;
+
+export type ConfigItem = ${typeName} | ConfigFunction | readonly ConfigItem[] | Iterable<ConfigItem>;
+
+export interface GlobMatcher {
+	compile(pattern: string): {
+		negated: boolean;
+		test(filePath: string): boolean;
+	};
+}
+
+export interface ConfigArrayOptions {
+	basePath?: string;
+	normalized?: boolean;
+	schema?: Record<string, unknown>;
+	extraConfigTypes?: Array<"array" | "function">;
+	gitignoreMode?: boolean;
+	uniqueNames?: boolean;
+	minimatchOptions?: Record<string, unknown>;
+	globMatcher?: GlobMatcher;
+	cacheLimits?: {
+		configs?: number;
+		explicitMatches?: number;
+		directoryMatches?: number;
+		patterns?: number;
+	};
+	fs?: Partial<FileSystem>;
+	path?: PathImplementation;
+}
+
+export interface NormalizeOptions {
+	validate?: boolean;
+	maxDepth?: number;
+	signal?: AbortSignal;
+	timeout?: number;
+	concurrency?: number;
+}
+
+export interface NormalizeSyncOptions {
+	validate?: boolean;
+	maxDepth?: number;
+}
+
+export interface DeriveOptions {
+	context?: any;
+	prepend?: boolean;
+	before?: string;
+	after?: string;
+	maxDepth?: number;
+	signal?: AbortSignal;
+	timeout?: number;
+	concurrency?: number;
+}
+
+export type DeriveSyncOptions = Omit<DeriveOptions, "signal" | "timeout" | "concurrency">;
+
+export interface ConfigOrigin {
+	readonly path: ReadonlyArray<{
+		readonly index: number | undefined;
+		readonly functionResult: boolean;
+	}>;
+	readonly filePath: string | undefined;
+	readonly description: string;
+}
+
+export interface CacheStats {
+	hits: number;
+	misses: number;
+	evictions: number;
+	size: number;
+	maxSize: number;
+}
+
+export interface ConfigContributor {
+	index: number;
+	name: string | undefined;
+	origin: string;
+}
+
+export interface DirectoryEntry {
+	name: string;
+	isFile(): boolean;
+	isDirectory(): boolean;
+}
+
+export interface FileSystem {
+	readdir(directoryPath: string): Promise<DirectoryEntry[]>;
+	readdirSync(directoryPath: string): DirectoryEntry[];
+}
+
+export interface PathImplementation {
+	sep: string;
+	join(...paths: string[]): string;
+	resolve(...paths: string[]): string;
+	relative(from: string, to: string): string;
+	dirname(filePath: string): string;
+	isAbsolute(filePath: string): boolean;
+}
+
+export interface WalkFilesOptions {
+	roots?: Iterable<string>;
+	explicitOnly?: boolean;
+	fs?: Partial<FileSystem>;
+}
+
+export interface SerializedConfigArray {
+	basePath: string;
+	extraConfigTypes: Array<"array" | "function">;
+	gitignoreMode: boolean;
+	uniqueNames: boolean;
+	configs: Array<Record<string, unknown>>;
+	origins: string[];
+}
+
+export interface ConfigExplanation {
+	filePath: string;
+	ignored: boolean;
+	ignoreReason: "basePath" | "directory" | "ignores" | "unmatched" | undefined;
+	configs: Array<ConfigContributor & {
+		status: "matched" | "universal" | "anonymous" | "excluded" | "global-ignores" | "skipped";
+		applied: boolean;
+	}>;
+}
+
+declare const isNormalizedSymbol: unique symbol;
+declare const configCacheSymbol: unique symbol;
+declare const schemaSymbol: unique symbol;
+declare const finalizeConfigSymbol: unique symbol;
+declare const preprocessConfigSymbol: unique symbol;
+
+export declare const ConfigArraySymbol: {
+	readonly isNormalized: typeof isNormalizedSymbol;
+	readonly configCache: typeof configCacheSymbol;
+	readonly schema: typeof schemaSymbol;
+	readonly finalizeConfig: typeof finalizeConfigSymbol;
+	readonly preprocessConfig: typeof preprocessConfigSymbol;
+};
+
+export declare class ConfigArray extends Array<${typeName}> {
+	constructor(configs: ConfigItem, options?: ConfigArrayOptions);
+	basePath: string;
+	readonly extraConfigTypes: ReadonlyArray<"array" | "function">;
+	gitignoreMode: boolean;
+	uniqueNames: boolean;
+	[ConfigArraySymbol.isNormalized]: boolean;
+	[ConfigArraySymbol.configCache]: Map<string, ${typeName} | undefined>;
+	[ConfigArraySymbol.schema]: unknown;
+	get files(): Array<string | ((filePath: string) => boolean) | Array<string | ((filePath: string) => boolean)>>;
+	get ignores(): Array<string | ((filePath: string) => boolean)>;
+	isNormalized(): boolean;
+	clearCache(): void;
+	getCacheStats(): {
+		configs: CacheStats;
+		explicitMatches: CacheStats;
+		directoryMatches: CacheStats;
+		patterns: CacheStats;
+	};
+	normalize(context?: any, options?: NormalizeOptions): Promise<this>;
+	normalizeSync(context?: any, options?: NormalizeSyncOptions): this;
+	derive(configs: ConfigItem, options?: DeriveOptions): Promise<this>;
+	deriveSync(configs: ConfigItem, options?: DeriveSyncOptions): this;
+	getByName(name: string): ${typeName} | undefined;
+	indexOfName(name: string): number;
+	withoutNames(names: Iterable<string>): this;
+	replaceByName(name: string, configs: ConfigItem, options?: { context?: any; maxDepth?: number }): this;
+	getConfigOrigin(index: number): ConfigOrigin | undefined;
+	validate(): void;
+	toJSONSchema(options?: { title?: string; description?: string; array?: boolean }): Record<string, unknown>;
+	serialize(): SerializedConfigArray;
+	toJSON(): SerializedConfigArray | ConfigItem[];
+	[ConfigArraySymbol.finalizeConfig](config: ${typeName}): ${typeName};
+	[ConfigArraySymbol.preprocessConfig](config: ${typeName}): ${typeName};
+	isExplicitMatch(filePath: string): boolean;
+	getConfig(filePath: string): ${typeName} | undefined;
+	getConfigs(filePaths: Iterable<string>): Map<string, ${typeName} | undefined>;
+	iterateConfigs(filePaths: Iterable<string>): IterableIterator<[string, ${typeName} | undefined]>;
+	walkFiles(options?: WalkFilesOptions): AsyncGenerator<string, void, undefined>;
+	walkFilesSync(options?: WalkFilesOptions): Generator<string, void, undefined>;
+	getConfigExplanation(filePath: string): ConfigExplanation;
+	getConfigWithProvenance(filePath: string): {
+		config: ${typeName} | undefined;
+		provenance: Map<string, ConfigContributor[]>;
+	};
+	isIgnored(filePath: string): boolean;
+	isFileIgnored(filePath: string): boolean;
+	isDirectoryIgnored(directoryPath: string): boolean;
+}
+`;
+}
+
+/**
+ * Indents every non-empty line of some text.
+ * @param {string} text The text to indent.
+ * @returns {string} The indented text.
+ */
+function indentLines(text) {
+	return text.replace(/^(?=.)/gm, '\t');
+}
+
+//------------------------------------------------------------------------------
+// Exports
+//------------------------------------------------------------------------------
+
+/**
+ * Creates TypeScript declarations (the contents of a `.d.ts` file) for a
+ * config object type described by `ObjectSchema` definitions, along with
+ * declarations for `ConfigArray` and `ConfigArraySymbol` that use it. The
+ * definitions for `name`, `files`, and `ignores` are always included.
+ * @param {Object} [schema] The custom schema definitions, as passed to the
+ *      `ConfigArray` constructor.
+ * @param {Object} [options] Options for the declarations.
+ * @param {string} [options.typeName="Config"] The name of the config object
+ *      type.
+ * @param {string} [options.moduleName] When provided, the declarations are
+ *      wrapped in `declare module` for this module name.
+ * @returns {string} The TypeScript declarations.
+ * @throws {TypeError} When `typeName` isn't a valid type name or a
+ *      definition has an invalid `tsType`.
+ */
+export function createTypeDeclarations(schema, { typeName = 'Config', moduleName } = {}) {
+
+	if (typeof typeName !== 'string' || !TYPE_NAME.test(typeName)) {
+		throw new TypeError('typeName must be a valid TypeScript identifier.');
+	}
+
+	if (moduleName !== undefined && typeof moduleName !== 'string') {
+		throw new TypeError('moduleName must be a string.');
+	}
+
+	const definitions = Object.assign({}, schema, baseSchema, filesAndIgnoresSchema);
+	const declarations = `export interface ${typeName} {\n${formatMembers(definitions, '\t')}}\n\n${createConfigArrayDeclarations(typeName)}`;
+
+	if (moduleName === undefined) {
+		return declarations;
+	}
+
+	// everything inside of `declare module` is already ambient
+	const moduleDeclarations = declarations.replace(/^(export )?declare /gm, '$1');
+
+	return `declare module ${JSON.stringify(moduleName)} {\n${indentLines(moduleDeclarations)}}\n`;
+}
@@ -0,0 +1,24 @@
+/**
+ * @fileoverview Helpers shared by multiple modules.
+ * @author Nicholas C. Zakas
+ */
+
+//------------------------------------------------------------------------------
+// Exports
+//------------------------------------------------------------------------------
+
+/**
+ * Determines if a value is a plain object, which is an object that isn't an
+ * array and doesn't have a custom prototype.
+ * @param {any} value The value to check.
+ * @returns {boolean} True if the value is a plain object.
+ */
+export function isPlainObject(value) {
+	if (!value || typeof value !== 'object' || Array.isArray(value)) {
+		return false;
+	}
+
+	const prototype = Object.getPrototypeOf(value);
+
+	return prototype === null || prototype === Object.prototype;
+}
@@ -8,8 +8,10 @@
 //-----------------------------------------------------------------------------
 
 import { ConfigArray, ConfigArraySymbol } from '../src/config-array.js';
+import { setConfigFile } from '../src/config-origin.js';
 import path from 'path';
 import chai from 'chai';
+import minimatch from 'minimatch';
 
 const expect = chai.expect;
 
@@ -300,6 +302,393 @@ describe('ConfigArray', () => {
 
 	});
 
+	describe('Circular references and nesting depth', () => {
+
+		async function getNormalizeErrors(configs, options) {
+			const errors = [];
+
+			try {
+				await new ConfigArray(configs, { basePath, extraConfigTypes: ['array', 'function'] }).normalize({}, options);
+			} catch (error) {
+				errors.push(error);
+			}
+
+			try {
+				new ConfigArray(configs, { basePath, extraConfigTypes: ['array', 'function'] }).normalizeSync({}, options);
+			} catch (error) {
+				errors.push(error);
+			}
+
+			return errors;
+		}
+
+		it('should throw an error when an array contains itself', async () => {
+			const preset = [{ files: ['*.js'] }];
+
+			preset.push(preset);
+
+			const errors = await getNormalizeErrors([{}, preset]);
+
+			expect(errors).to.have.lengthOf(2);
+
+			for (const error of errors) {
+				expect(error.name).to.equal('ConfigError');
+				expect(error.code).to.equal('CIRCULAR_REFERENCE');
+				expect(error.index).to.equal(1);
+				expect(error.message).to.equal('Config (unnamed) (configs[1][1]): Circular reference found: configs[1][1] refers back to configs[1].');
+			}
+		});
+
+		it('should throw an error when a config function returns a parent array', async () => {
+			const preset = [];
+
+			preset.push({ files: ['*.js'] }, () => [{}, preset]);
+
+			const errors = await getNormalizeErrors([preset]);
+
+			expect(errors).to.have.lengthOf(2);
+
+			for (const error of errors) {
+				expect(error.code).to.equal('CIRCULAR_REFERENCE');
+				expect(error.message).to.match(/Circular reference found: configs\[0\]\[1\] -> function result\[1\] refers back to configs\[0\]\.$/);
+			}
+		});
+
+		it('should throw an error when a config function returns itself', async () => {
+			const preset = () => [preset];
+			const errors = await getNormalizeErrors([preset]);
+
+			expect(errors).to.have.lengthOf(2);
+
+			for (const error of errors) {
+				expect(error.code).to.equal('CIRCULAR_REFERENCE');
+				expect(error.message).to.equal('Config "preset" (configs[0] -> function result[0]): Circular reference found: configs[0] -> function result[0] refers back to configs[0].');
+			}
+		});
+
+		it('should throw an error when the ConfigArray contains itself', () => {
+			configs = new ConfigArray([{}], { basePath, extraConfigTypes: ['array'] });
+			configs.push(configs);
+
+			expect(() => {
+				configs.normalizeSync();
+			})
+				.to
+				.throw('Circular reference found: configs[1] refers back to configs.');
+		});
+
+		it('should not throw an error when the same array is used more than once', async () => {
+			const preset = [{ files: ['*.js'] }];
+			const errors = await getNormalizeErrors([preset, [preset, () => preset]]);
+
+			expect(errors).to.be.empty;
+		});
+
+		it('should throw an error when the maximum depth is exceeded', async () => {
+			const errors = await getNormalizeErrors([[[{}]]], { maxDepth: 1 });
+
+			expect(errors).to.have.lengthOf(2);
+
+			for (const error of errors) {
+				expect(error.code).to.equal('MAX_DEPTH_EXCEEDED');
+				expect(error.message).to.equal('Config (unnamed) (configs[0][0]): Maximum nesting depth of 1 exceeded at configs[0][0].');
+			}
+		});
+
+		it('should not throw an error when the maximum depth is not exceeded', async () => {
+			const errors = await getNormalizeErrors([[[{}]], () => [{}]], { maxDepth: 2 });
+
+			expect(errors).to.be.empty;
+		});
+
+		it('should stop runaway recursion using the default maximum depth', async () => {
+			const createPreset = () => [createPreset.bind(null)];
+			const errors = await getNormalizeErrors([createPreset]);
+
+			expect(errors).to.have.lengthOf(2);
+
+			for (const error of errors) {
+				expect(error.code).to.equal('MAX_DEPTH_EXCEEDED');
+				expect(error.message).to.match(/Maximum nesting depth of 100 exceeded/);
+			}
+		});
+
+		it('should throw an error when maxDepth is invalid', async () => {
+			const errors = await getNormalizeErrors([{}], { maxDepth: -1 });
+
+			expect(errors).to.have.lengthOf(2);
+
+			for (const error of errors) {
+				expect(error).to.be.instanceOf(TypeError);
+				expect(error.message).to.equal('maxDepth must be a non-negative integer or Infinity.');
+			}
+		});
+	});
+
+	describe('Aborting and timing out async config functions', () => {
+
+		let timeoutIds;
+
+		beforeEach(() => {
+			timeoutIds = [];
+		});
+
+		afterEach(() => {
+			timeoutIds.forEach(clearTimeout);
+		});
+
+		function createSlowConfigArray(delay) {
+			return new ConfigArray([
+				{ files: ['*.js'] },
+				[
+					function slowConfig() {
+						return new Promise(resolve => {
+							timeoutIds.push(setTimeout(() => resolve({ files: ['*.md'] }), delay));
+						});
+					}
+				]
+			], { basePath, extraConfigTypes: ['array', 'function'] });
+		}
+
+		/*
+		 * AbortController isn't available in every supported version of
+		 * Node.js, so the tests use an object that behaves like one.
+		 */
+		function createAbortController() {
+			const listeners = new Set();
+			const signal = {
+				aborted: false,
+				addEventListener(type, listener) {
+					listeners.add(listener);
+				},
+				removeEventListener(type, listener) {
+					listeners.delete(listener);
+				}
+			};
+
+			return {
+				signal,
+				listeners,
+				abort(...args) {
+					signal.aborted = true;
+
+					if (args.length) {
+						signal.reason = args[0];
+					}
+
+					listeners.forEach(listener => listener());
+				}
+			};
+		}
+
+		async function getNormalizeError(configArray, options) {
+			try {
+				await configArray.normalize({}, options);
+			} catch (error) {
+				return error;
+			}
+
+			return undefined;
+		}
+
+		it('should throw an error when a config function does not finish within the timeout', async () => {
+			const error = await getNormalizeError(createSlowConfigArray(1000), { timeout: 10 });
+
+			expect(error.name).to.equal('ConfigError');
+			expect(error.code).to.equal('TIMED_OUT');
+			expect(error.index).to.equal(1);
+			expect(error.origin.description).to.equal('configs[1][0]');
+			expect(error.message).to.equal('Config "slowConfig" (configs[1][0]): The config function at configs[1][0] did not finish within 10ms.');
+		});
+
+		it('should not throw an error when a config function finishes within the timeout', async () => {
+			const configArray = createSlowConfigArray(1);
+
+			await configArray.normalize({}, { timeout: 1000 });
+
+			expect(configArray.isNormalized()).to.be.true;
+			expect(configArray).to.have.lengthOf(2);
+		});
+
+		it('should throw an error when aborted while waiting for a config function', async () => {
+			const controller = createAbortController();
+			const reason = new Error('Stopped.');
+			const promise = getNormalizeError(createSlowConfigArray(1000), { signal: controller.signal });
+
+			controller.abort(reason);
+
+			const error = await promise;
+
+			expect(error.name).to.equal('ConfigError');
+			expect(error.code).to.equal('ABORTED');
+			expect(error.cause).to.equal(reason);
+			expect(error.message).to.equal('Config "slowConfig" (configs[1][0]): Normalization was aborted at the config function at configs[1][0].');
+			expect(controller.listeners.size).to.equal(0);
+		});
+
+		it('should throw an error when aborted by a signal without a reason', async () => {
+			const controller = createAbortController();
+			const promise = getNormalizeError(createSlowConfigArray(1000), { signal: controller.signal });
+
+			controller.abort();
+
+			const error = await promise;
+
+			expect(error.code).to.equal('ABORTED');
+			expect(error.cause).to.be.undefined;
+		});
+
+		it('should not call config functions when the signal is already aborted', async () => {
+			const controller = createAbortController();
+			let called = false;
+
+			controller.abort();
+
+			const error = await getNormalizeError(new ConfigArray([
+				() => {
+					called = true;
+					return {};
+				}
+			], { basePath, extraConfigTypes: ['function'] }), { signal: controller.signal });
+
+			expect(called).to.be.false;
+			expect(error.code).to.equal('ABORTED');
+			expect(error.message).to.equal('Config (unnamed): Normalization was aborted at the config function at configs[0].');
+		});
+
+		it('should pass through errors from config functions', async () => {
+			const controller = createAbortController();
+			const error = await getNormalizeError(new ConfigArray([
+				() => Promise.reject(new Error('Failed to load.'))
+			], { basePath, extraConfigTypes: ['function'] }), { signal: controller.signal, timeout: 1000 });
+
+			expect(error.message).to.equal('Failed to load.');
+		});
+
+		it('should throw an error when the signal is invalid', async () => {
+			const error = await getNormalizeError(createSlowConfigArray(1), { signal: {} });
+
+			expect(error).to.be.instanceOf(TypeError);
+			expect(error.message).to.equal('signal must be an AbortSignal.');
+		});
+
+		it('should throw an error when the timeout is invalid', async () => {
+			const error = await getNormalizeError(createSlowConfigArray(1), { timeout: 0 });
+
+			expect(error).to.be.instanceOf(TypeError);
+			expect(error.message).to.equal('timeout must be a positive number or Infinity.');
+		});
+	});
+
+	describe('Concurrent config functions', () => {
+
+		function createTrackedConfigArray(count, delays = []) {
+			const stats = { active: 0, maxActive: 0, calls: [] };
+			const createFunction = index => async () => {
+				stats.calls.push(index);
+				stats.active++;
+				stats.maxActive = Math.max(stats.maxActive, stats.active);
+
+				await new Promise(resolve => setTimeout(resolve, delays[index] || 5));
+
+				stats.active--;
+				return { name: `config${index}` };
+			};
+			const functions = Array.from({ length: count }, (value, index) => createFunction(index));
+			const configArray = new ConfigArray([
+				{ name: 'first' },
+				...functions
+			], { basePath, extraConfigTypes: ['array', 'function'] });
+
+			return { configArray, stats };
+		}
+
+		it('should evaluate config functions one at a time by default', async () => {
+			const { configArray, stats } = createTrackedConfigArray(3);
+
+			await configArray.normalize();
+
+			expect(stats.maxActive).to.equal(1);
+		});
+
+		it('should evaluate sibling config functions concurrently up to the limit', async () => {
+			const { configArray, stats } = createTrackedConfigArray(5);
+
+			await configArray.normalize({}, { concurrency: 2 });
+
+			expect(stats.maxActive).to.equal(2);
+			expect(stats.calls).to.deep.equal([0, 1, 2, 3, 4]);
+		});
+
+		it('should keep configs in their original order', async () => {
+			const { configArray, stats } = createTrackedConfigArray(3, [30, 1, 10]);
+
+			await configArray.normalize({}, { concurrency: Infinity });
+
+			expect(stats.maxActive).to.equal(3);
+			expect(configArray.map(config => config.name)).to.deep.equal(['first', 'config0', 'config1', 'config2']);
+			expect(configArray.getConfigOrigin(2).description).to.equal('configs[2] -> function result');
+		});
+
+		it('should evaluate config functions returned by config functions concurrently', async () => {
+			const stats = { active: 0, maxActive: 0 };
+			const createFunction = name => async () => {
+				stats.active++;
+				stats.maxActive = Math.max(stats.maxActive, stats.active);
+
+				await new Promise(resolve => setTimeout(resolve, 5));
+
+				stats.active--;
+				return { name };
+			};
+
+			configs = new ConfigArray([
+				async () => [
+					createFunction('a'),
+					[createFunction('b')],
+					createFunction('c')
+				]
+			], { basePath, extraConfigTypes: ['array', 'function'] });
+
+			await configs.normalize({}, { concurrency: 4 });
+
+			// a and c are siblings; b is evaluated when its array is reached
+			expect(stats.maxActive).to.equal(2);
+			expect(configs.map(config => config.name)).to.deep.equal(['a', 'b', 'c']);
+		});
+
+		it('should still detect circular references', async () => {
+			const preset = () => [preset];
+
+			configs = new ConfigArray([preset, preset], { basePath, extraConfigTypes: ['array', 'function'] });
+
+			let actualError;
+
+			try {
+				await configs.normalize({}, { concurrency: 2 });
+			} catch (error) {
+				actualError = error;
+			}
+
+			expect(actualError.code).to.equal('CIRCULAR_REFERENCE');
+		});
+
+		it('should throw an error when concurrency is invalid', async () => {
+			const { configArray } = createTrackedConfigArray(1);
+
+			let actualError;
+
+			try {
+				await configArray.normalize({}, { concurrency: 0 });
+			} catch (error) {
+				actualError = error;
+			}
+
+			expect(actualError).to.be.instanceOf(TypeError);
+			expect(actualError.message).to.equal('concurrency must be a positive integer or Infinity.');
+		});
+	});
+
 	describe('Validation', () => {
 
 		function testValidationError({ only = false, title, configs, expectedError }) {
@@ -507,144 +896,1848 @@ describe('ConfigArray', () => {
 				.throw('Config (unnamed): Unexpected null config.');
 
 		});
-	});
 
-	describe('ConfigArray members', () => {
+		describe('ConfigError details', () => {
 
-		beforeEach(() => {
-			configs = createConfigArray();
-			return configs.normalize({
-				name: 'from-context'
-			});
-		});
+			function getValidationErrors(configs, options = {}) {
+				const configArray = new ConfigArray(configs, { basePath, ...options });
 
-		describe('ConfigArraySymbol.finalizeConfig', () => {
-			it('should allow finalizeConfig to alter config before returning when calling normalize()', async () => {
+				try {
+					configArray.normalizeSync({}, { validate: true });
+				} catch (error) {
+					return error.errors;
+				}
 
-				configs = createConfigArray();
-				configs[ConfigArraySymbol.finalizeConfig] = () => {
-					return {
-						name: 'from-finalize'
-					};
+				return [];
+			}
+
+			function getDetails(error) {
+				return {
+					code: error.code,
+					keyPath: error.keyPath,
+					received: error.received,
+					expected: error.expected
 				};
+			}
 
-				await configs.normalize({
-					name: 'from-context'
+			it('should include details for invalid configs', () => {
+				const [error] = getValidationErrors([null]);
+
+				expect(getDetails(error)).to.deep.equal({
+					code: 'INVALID_CONFIG',
+					keyPath: [],
+					received: 'null',
+					expected: 'an object'
 				});
+			});
 
-				const filename = path.resolve(basePath, 'foo.js');
-				const config = configs.getConfig(filename);
-				expect(config.name).to.equal('from-finalize');
+			it('should include details for invalid files', () => {
+				const [error] = getValidationErrors([{ files: '*.js' }]);
+
+				expect(getDetails(error)).to.deep.equal({
+					code: 'INVALID_VALUE',
+					keyPath: ['files'],
+					received: '"*.js"',
+					expected: 'a non-empty array of strings, functions, or arrays of strings and functions'
+				});
 			});
 
-			it('should allow finalizeConfig to alter config before returning when calling normalizeSync()', async () => {
+			it('should keep the code of the cause', () => {
+				const [error] = getValidationErrors([{ language: 'js' }], {
+					schema: {
+						language: {
+							merge: 'replace',
+							validate() {
+								const validationError = new TypeError('Unknown language.');
 
-				configs = createConfigArray();
-				configs[ConfigArraySymbol.finalizeConfig] = () => {
-					return {
-						name: 'from-finalize'
-					};
-				};
+								validationError.code = 'UNKNOWN_LANGUAGE';
+								throw validationError;
+							}
+						}
+					}
+				});
 
-				configs.normalizeSync({
-					name: 'from-context'
+				expect(getDetails(error)).to.deep.equal({
+					code: 'UNKNOWN_LANGUAGE',
+					keyPath: ['language'],
+					received: '"js"',
+					expected: undefined
 				});
+			});
 
-				const filename = path.resolve(basePath, 'foo.js');
-				const config = configs.getConfig(filename);
-				expect(config.name).to.equal('from-finalize');
+			it('should include details for unexpected keys', () => {
+				const [error] = getValidationErrors([{ foo: [1, 2, 3] }]);
+
+				expect(getDetails(error)).to.deep.equal({
+					code: 'UNEXPECTED_KEY',
+					keyPath: ['foo'],
+					received: '[Array(3)]',
+					expected: undefined
+				});
 			});
 
-		});
+			it('should include details for missing keys', () => {
+				const [error] = getValidationErrors([{ files: ['*.js'] }], {
+					schema: {
+						language: {
+							required: true,
+							merge: 'replace',
+							validate: 'string!'
+						}
+					}
+				});
 
-		describe('ConfigArraySymbol.preprocessConfig', () => {
-			it('should allow preprocessConfig to alter config before returning', async () => {
+				expect(getDetails(error)).to.deep.equal({
+					code: 'MISSING_KEY',
+					keyPath: ['language'],
+					received: 'undefined',
+					expected: 'a non-empty string'
+				});
+			});
 
-				configs = createConfigArray();
-				configs.push('foo:bar');
+			it('should report every missing required key', () => {
+				const errors = getValidationErrors([{ files: ['*.js'], parser: 1 }], {
+					schema: {
+						language: {
+							required: true,
+							merge: 'replace',
+							validate: 'string!'
+						},
+						parser: {
+							required: true,
+							merge: 'replace',
+							validate: 'string'
+						},
+						processor: {
+							required: true,
+							merge: 'replace',
+							validate: 'string'
+						}
+					}
+				});
 
-				configs[ConfigArraySymbol.preprocessConfig] = config => {
+				expect(errors.map(error => ({ code: error.code, keyPath: error.keyPath }))).to.deep.equal([
+					{ code: 'INVALID_VALUE', keyPath: ['parser'] },
+					{ code: 'MISSING_KEY', keyPath: ['language'] },
+					{ code: 'MISSING_KEY', keyPath: ['processor'] }
+				]);
+				expect(errors[2].message).to.equal('Config (unnamed): Missing required key "processor".');
+			});
 
-					if (config === 'foo:bar') {
-						return {
-							defs: {
-								name: 'foo:bar'
+			it('should include details for missing dependent keys', () => {
+				const [error] = getValidationErrors([{ parser: 'espree' }], {
+					schema: {
+						language: {
+							required: false,
+							merge: 'replace',
+							validate: 'string'
+						},
+						parser: {
+							required: false,
+							requires: ['language'],
+							merge: 'replace',
+							validate: 'string'
+						}
+					}
+				});
+
+				expect(getDetails(error)).to.deep.equal({
+					code: 'MISSING_DEPENDENT_KEYS',
+					keyPath: ['parser'],
+					received: '"espree"',
+					expected: 'a string'
+				});
+			});
+
+			it('should include the key path and expected description for nested keys', () => {
+				const [error] = getValidationErrors([
+					{
+						name: 'nested',
+						languageOptions: {
+							parserOptions: {
+								ecmaVersion: function latest() {}
 							}
-						};
+						}
+					}
+				], {
+					schema: {
+						languageOptions: {
+							schema: {
+								parserOptions: {
+									schema: {
+										ecmaVersion: {
+											expected: 'a number or "latest"',
+											merge: 'replace',
+											validate(value) {
+												if (typeof value !== 'number' && value !== 'latest') {
+													throw new TypeError('Invalid ecmaVersion.');
+												}
+											}
+										}
+									}
+								}
+							}
+						}
+					}
+				});
+
+				expect(error.message).to.equal('Config "nested": Key "languageOptions": Key "parserOptions": Key "ecmaVersion": Invalid ecmaVersion.');
+				expect(getDetails(error)).to.deep.equal({
+					code: 'INVALID_VALUE',
+					keyPath: ['languageOptions', 'parserOptions', 'ecmaVersion'],
+					received: '[Function latest]',
+					expected: 'a number or "latest"'
+				});
+			});
+
+			it('should summarize long strings and objects', () => {
+				const errors = getValidationErrors([
+					{
+						foo: 'x'.repeat(50),
+						bar: new Map(),
+						baz: Object.create(null)
+					}
+				]);
+
+				expect(errors.map(error => error.received)).to.deep.equal([
+					`"${'x'.repeat(40)}..."`,
+					'[Map]',
+					'[Object]'
+				]);
+			});
+
+			it('should include details for errors thrown by getConfig()', () => {
+				configs = new ConfigArray([
+					{
+						files: ['**/*.js'],
+						defs: 'foo'
+					}
+				], { basePath, schema });
+				configs.normalizeSync();
+
+				let actualError;
+
+				try {
+					configs.getConfig(path.resolve(basePath, 'foo.js'));
+				} catch (error) {
+					actualError = error;
+				}
+
+				expect(getDetails(actualError)).to.deep.equal({
+					code: 'INVALID_VALUE',
+					keyPath: ['defs'],
+					received: '"foo"',
+					expected: undefined
+				});
+			});
+
+			it('should use the MERGE_FAILED code when merging fails', () => {
+				configs = new ConfigArray([
+					{
+						files: ['**/*.js'],
+						defs: { foo: true }
+					}
+				], {
+					basePath,
+					schema: {
+						defs: {
+							merge() {
+								throw new Error('Cannot merge.');
+							},
+							validate: 'object'
+						}
+					}
+				});
+				configs.normalizeSync();
+
+				let actualError;
+
+				try {
+					configs.getConfig(path.resolve(basePath, 'foo.js'));
+				} catch (error) {
+					actualError = error;
+				}
+
+				expect(actualError.message).to.equal('Config (unnamed): Key "defs": Cannot merge.');
+				expect(getDetails(actualError)).to.deep.equal({
+					code: 'MERGE_FAILED',
+					keyPath: ['defs'],
+					received: '[Object]',
+					expected: 'an object'
+				});
+			});
+		});
+
+		describe('validate()', () => {
+
+			function createInvalidConfigArray() {
+				return new ConfigArray([
+					{
+						files: ['**/*.js'],
+						language: JSLanguage
+					},
+					{
+						name: 'foo',
+						files: ['**/*.js'],
+						language: 'js',
+						defs: null,
+						unknown: true
+					},
+					{
+						files: ['**/*.css'],
+						defs: 'css'
+					}
+				], { basePath, schema });
+			}
+
+			it('should throw an error when the config array is not normalized', () => {
+				configs = createInvalidConfigArray();
+
+				expect(() => {
+					configs.validate();
+				})
+					.to
+					.throw(/normalized/);
+			});
+
+			it('should not throw an error when all configs are valid', () => {
+				configs = createConfigArray();
+				configs.normalizeSync();
+
+				expect(() => {
+					configs.validate();
+				}).not.to.throw();
+			});
+
+			it('should throw a ConfigValidationError containing every error', () => {
+				configs = createInvalidConfigArray();
+				configs.normalizeSync();
+
+				let actualError;
+
+				try {
+					configs.validate();
+				} catch (error) {
+					actualError = error;
+				}
+
+				expect(actualError.name).to.equal('ConfigValidationError');
+				expect(actualError.message).to.match(/^Found 4 config errors:/);
+				expect(actualError.errors.map(error => ({
+					name: error.name,
+					index: error.index,
+					configName: error.configName,
+					keyPath: error.keyPath,
+					message: error.message
+				}))).to.deep.equal([
+					{
+						name: 'ConfigError',
+						index: 1,
+						configName: 'foo',
+						keyPath: ['language'],
+						message: 'Config "foo": Key "language": Expected a function.'
+					},
+					{
+						name: 'ConfigError',
+						index: 1,
+						configName: 'foo',
+						keyPath: ['defs'],
+						message: 'Config "foo": Key "defs": Object expected.'
+					},
+					{
+						name: 'ConfigError',
+						index: 1,
+						configName: 'foo',
+						keyPath: ['unknown'],
+						message: 'Config "foo": Unexpected key "unknown" found.'
+					},
+					{
+						name: 'ConfigError',
+						index: 2,
+						configName: undefined,
+						keyPath: ['defs'],
+						message: 'Config (unnamed): Key "defs": Object expected.'
+					}
+				]);
+			});
+
+			it('should report every error inside of a nested schema', () => {
+				configs = new ConfigArray([
+					{
+						name: 'nested',
+						defs: {
+							a: 'one',
+							zzz: true
+						}
+					}
+				], {
+					basePath,
+					schema: {
+						defs: {
+							schema: {
+								a: {
+									merge: 'replace',
+									validate: 'number'
+								},
+								b: {
+									required: true,
+									merge: 'replace',
+									validate: 'string'
+								}
+							}
+						}
+					}
+				});
+				configs.normalizeSync();
+
+				let actualError;
+
+				try {
+					configs.validate();
+				} catch (error) {
+					actualError = error;
+				}
+
+				expect(actualError.name).to.equal('ConfigValidationError');
+				expect(actualError.errors.map(error => ({
+					code: error.code,
+					keyPath: error.keyPath,
+					message: error.message
+				}))).to.deep.equal([
+					{
+						code: 'INVALID_VALUE',
+						keyPath: ['defs', 'a'],
+						message: 'Config "nested": Key "defs": Key "a": Expected a number.'
+					},
+					{
+						code: 'UNEXPECTED_KEY',
+						keyPath: ['defs', 'zzz'],
+						message: 'Config "nested": Key "defs": Unexpected key "zzz" found.'
+					},
+					{
+						code: 'MISSING_KEY',
+						keyPath: ['defs', 'b'],
+						message: 'Config "nested": Key "defs": Missing required key "b".'
+					}
+				]);
+			});
+
+			it('should report configs that are not objects', () => {
+				configs = new ConfigArray([null, { files: [] }], { basePath });
+				configs.push('eslint:recommended');
+
+				let actualError;
+
+				try {
+					configs.normalizeSync({}, { validate: true });
+				} catch (error) {
+					actualError = error;
+				}
+
+				expect(actualError.name).to.equal('ConfigValidationError');
+				expect(actualError.errors.map(error => error.message)).to.deep.equal([
+					'Config (unnamed): Unexpected null config.',
+					'Config (unnamed): Key "files": Expected value to be a non-empty array.',
+					'Config (unnamed): Unexpected non-object config.'
+				]);
+			});
+
+			it('should validate all configs when normalize() is called with validate: true', async () => {
+				configs = createInvalidConfigArray();
+
+				let actualError;
+
+				try {
+					await configs.normalize({}, { validate: true });
+				} catch (error) {
+					actualError = error;
+				}
+
+				expect(actualError.name).to.equal('ConfigValidationError');
+				expect(actualError.errors).to.have.lengthOf(4);
+				expect(configs.isNormalized()).to.be.false;
+			});
+
+			it('should validate all configs when normalizeSync() is called with validate: true', () => {
+				configs = createInvalidConfigArray();
+
+				expect(() => {
+					configs.normalizeSync({}, { validate: true });
+				})
+					.to
+					.throw(/Found 4 config errors/);
+			});
+
+			it('should normalize valid configs when called with validate: true', () => {
+				configs = createConfigArray();
+				configs.normalizeSync({}, { validate: true });
+
+				expect(configs.isNormalized()).to.be.true;
+			});
+		});
+	});
+
+	describe('ConfigArray members', () => {
+
+		beforeEach(() => {
+			configs = createConfigArray();
+			return configs.normalize({
+				name: 'from-context'
+			});
+		});
+
+		describe('ConfigArraySymbol.finalizeConfig', () => {
+			it('should allow finalizeConfig to alter config before returning when calling normalize()', async () => {
+
+				configs = createConfigArray();
+				configs[ConfigArraySymbol.finalizeConfig] = () => {
+					return {
+						name: 'from-finalize'
+					};
+				};
+
+				await configs.normalize({
+					name: 'from-context'
+				});
+
+				const filename = path.resolve(basePath, 'foo.js');
+				const config = configs.getConfig(filename);
+				expect(config.name).to.equal('from-finalize');
+			});
+
+			it('should allow finalizeConfig to alter config before returning when calling normalizeSync()', async () => {
+
+				configs = createConfigArray();
+				configs[ConfigArraySymbol.finalizeConfig] = () => {
+					return {
+						name: 'from-finalize'
+					};
+				};
+
+				configs.normalizeSync({
+					name: 'from-context'
+				});
+
+				const filename = path.resolve(basePath, 'foo.js');
+				const config = configs.getConfig(filename);
+				expect(config.name).to.equal('from-finalize');
+			});
+
+		});
+
+		describe('ConfigArraySymbol.preprocessConfig', () => {
+			it('should allow preprocessConfig to alter config before returning', async () => {
+
+				configs = createConfigArray();
+				configs.push('foo:bar');
+
+				configs[ConfigArraySymbol.preprocessConfig] = config => {
+
+					if (config === 'foo:bar') {
+						return {
+							defs: {
+								name: 'foo:bar'
+							}
+						};
+					}
+
+					return config;
+				};
+
+				await configs.normalize({
+					name: 'from-context'
+				});
+
+				const filename = path.resolve(basePath, 'foo.js');
+				const config = configs.getConfig(filename);
+				expect(config.defs.name).to.equal('foo:bar');
+			});
+
+			it('should have "this" inside of function be equal to config array when calling normalize()', async () => {
+
+				configs = createConfigArray();
+				configs.push('foo:bar');
+				let internalThis;
+
+				configs[ConfigArraySymbol.preprocessConfig] = function(config) {
+					internalThis = this;
+
+					if (config === 'foo:bar') {
+						return {
+							defs: {
+								name: 'foo:bar'
+							}
+						};
+					}
+
+					return config;
+				};
+
+				await configs.normalize({
+					name: 'from-context'
+				});
+
+				expect(internalThis).to.equal(configs);
+			});
+
+			it('should have "this" inside of function be equal to config array when calling normalizeSync()', async () => {
+
+				configs = createConfigArray();
+				configs.push('foo:bar');
+				let internalThis;
+
+				configs[ConfigArraySymbol.preprocessConfig] = function(config) {
+					internalThis = this;
+
+					if (config === 'foo:bar') {
+						return {
+							defs: {
+								name: 'foo:bar'
+							}
+						};
+					}
+
+					return config;
+				};
+
+				configs.normalizeSync({
+					name: 'from-context'
+				});
+
+				expect(internalThis).to.equal(configs);
+			});
+
+		});
+
+		describe('basePath', () => {
+			it('should store basePath property when basePath is provided', () => {
+				expect(unnormalizedConfigs.basePath).to.equal(basePath);
+				expect(configs.basePath).to.equal(basePath);
+			});
+		});
+
+		describe('minimatchOptions', () => {
+
+			it('should throw an error when minimatchOptions is not an object', () => {
+				expect(() => {
+					new ConfigArray([], { basePath, minimatchOptions: 'nocase' });
+				})
+					.to
+					.throw('minimatchOptions must be an object.');
+			});
+
+			it('should match case-insensitively when nocase is true', () => {
+				configs = new ConfigArray([
+					{
+						files: ['**/*.js']
+					},
+					{
+						ignores: ['**/Vendor/**']
+					}
+				], { basePath, minimatchOptions: { nocase: true } });
+
+				configs.normalizeSync();
+
+				expect(configs.getConfig(path.resolve(basePath, 'FOO.JS'))).to.be.an('object');
+				expect(configs.isFileIgnored(path.resolve(basePath, 'vendor/foo.js'))).to.be.true;
+			});
+
+			it('should not interfere with other instances using different options', () => {
+				const caseInsensitiveConfigs = new ConfigArray([
+					{
+						files: ['**/*.js']
+					}
+				], { basePath, minimatchOptions: { nocase: true } });
+				const caseSensitiveConfigs = new ConfigArray([
+					{
+						files: ['**/*.js']
+					}
+				], { basePath });
+
+				caseInsensitiveConfigs.normalizeSync();
+				caseSensitiveConfigs.normalizeSync();
+
+				const filename = path.resolve(basePath, 'FOO.JS');
+
+				expect(caseInsensitiveConfigs.isFileIgnored(filename)).to.be.false;
+				expect(caseSensitiveConfigs.isFileIgnored(filename)).to.be.true;
+			});
+
+			it('should match basenames when matchBase is true', () => {
+				configs = new ConfigArray([
+					{
+						files: ['*.js']
+					}
+				], { basePath, minimatchOptions: { matchBase: true } });
+
+				configs.normalizeSync();
+
+				expect(configs.isFileIgnored(path.resolve(basePath, 'lib/foo.js'))).to.be.false;
+			});
+
+			it('should not expand braces when nobrace is true', () => {
+				configs = new ConfigArray([
+					{
+						files: ['*.{js,ts}']
+					}
+				], { basePath, minimatchOptions: { nobrace: true } });
+
+				configs.normalizeSync();
+
+				expect(configs.isFileIgnored(path.resolve(basePath, 'foo.js'))).to.be.true;
+				expect(configs.isFileIgnored(path.resolve(basePath, 'foo.{js,ts}'))).to.be.false;
+			});
+
+			it('should not match dotfiles when dot is false', () => {
+				configs = new ConfigArray([
+					{
+						files: ['**/*.js']
+					}
+				], { basePath, minimatchOptions: { dot: false } });
+
+				configs.normalizeSync();
+
+				expect(configs.isFileIgnored(path.resolve(basePath, '.foo.js'))).to.be.true;
+				expect(configs.isFileIgnored(path.resolve(basePath, 'foo.js'))).to.be.false;
+			});
+		});
+
+		describe('globMatcher', () => {
+
+			/*
+			 * A simple glob matcher that supports only exact matches, a leading
+			 * `*` wildcard, and a leading `~` for negation.
+			 */
+			function createGlobMatcher(compiledPatterns = []) {
+				return {
+					compile(pattern) {
+						compiledPatterns.push(pattern);
+
+						const negated = pattern.startsWith('~');
+						const glob = negated ? pattern.slice(1) : pattern;
+
+						return {
+							negated,
+							test(filePath) {
+								return glob.startsWith('*')
+									? filePath.endsWith(glob.slice(1))
+									: filePath === glob;
+							}
+						};
+					}
+				};
+			}
+
+			it('should throw an error when globMatcher does not have a compile() method', () => {
+				expect(() => {
+					new ConfigArray([], { basePath, globMatcher: {} });
+				})
+					.to
+					.throw('globMatcher must be an object with a compile() method.');
+			});
+
+			it('should throw an error when globMatcher and minimatchOptions are both provided', () => {
+				expect(() => {
+					new ConfigArray([], {
+						basePath,
+						globMatcher: createGlobMatcher(),
+						minimatchOptions: { nocase: true }
+					});
+				})
+					.to
+					.throw('minimatchOptions cannot be used with globMatcher.');
+			});
+
+			it('should use the glob matcher for files patterns', () => {
+				configs = new ConfigArray([
+					{
+						files: ['*.js'],
+						defs: {
+							js: true
+						}
+					},
+					{
+						files: ['~*.js'],
+						defs: {
+							js: false
+						}
+					}
+				], { basePath, schema, globMatcher: createGlobMatcher() });
+
+				configs.normalizeSync();
+
+				expect(configs.getConfig(path.resolve(basePath, 'lib/foo.js')).defs.js).to.be.true;
+				expect(configs.getConfig(path.resolve(basePath, 'lib/foo.css')).defs.js).to.be.false;
+			});
+
+			it('should use the glob matcher for ignores patterns including negations', () => {
+				configs = new ConfigArray([
+					{
+						files: ['*.js']
+					},
+					{
+						ignores: ['*.min.js', '~vendor.min.js']
+					}
+				], { basePath, globMatcher: createGlobMatcher() });
+
+				configs.normalizeSync();
+
+				expect(configs.isFileIgnored(path.resolve(basePath, 'foo.min.js'))).to.be.true;
+				expect(configs.isFileIgnored(path.resolve(basePath, 'vendor.min.js'))).to.be.false;
+				expect(configs.isFileIgnored(path.resolve(basePath, 'foo.js'))).to.be.false;
+			});
+
+			it('should compile each pattern only once', () => {
+				const compiledPatterns = [];
+
+				configs = new ConfigArray([
+					{
+						files: ['*.js']
+					}
+				], { basePath, globMatcher: createGlobMatcher(compiledPatterns) });
+
+				configs.normalizeSync();
+
+				configs.getConfig(path.resolve(basePath, 'foo.js'));
+				configs.getConfig(path.resolve(basePath, 'bar.js'));
+
+				expect(compiledPatterns).to.deep.equal(['*.js']);
+			});
+		});
+
+		describe('cacheLimits', () => {
+
+			it('should throw an error when cacheLimits contains an unknown cache', () => {
+				expect(() => {
+					new ConfigArray([], { basePath, cacheLimits: { foo: 1 } });
+				})
+					.to
+					.throw('Unexpected cache "foo" found.');
+			});
+
+			it('should throw an error when a cache limit is not a positive integer', () => {
+				expect(() => {
+					new ConfigArray([], { basePath, cacheLimits: { configs: 0 } });
+				})
+					.to
+					.throw('Cache size must be a positive integer or Infinity.');
+			});
+
+			it('should evict the least recently used configs when the limit is reached', () => {
+				configs = createConfigArray({ cacheLimits: { configs: 3 } });
+				configs.normalizeSync({ name: 'from-context' });
+
+				const unlimitedConfigs = createConfigArray();
+				unlimitedConfigs.normalizeSync({ name: 'from-context' });
+
+				const filenames = ['foo.js', 'bar.js', 'foo.css', 'foo.json', 'foo.js']
+					.map(filename => path.resolve(basePath, filename));
+
+				for (const filename of filenames) {
+					expect(configs.getConfig(filename)).to.deep.equal(unlimitedConfigs.getConfig(filename));
+				}
+
+				const stats = configs.getCacheStats().configs;
+
+				expect(stats.size).to.equal(3);
+				expect(stats.maxSize).to.equal(3);
+				expect(stats.evictions).to.be.above(0);
+			});
+
+			it('should limit the number of cached directories', () => {
+				configs = new ConfigArray([
+					{
+						ignores: ['node_modules/']
+					}
+				], { basePath, cacheLimits: { directoryMatches: 2 } });
+
+				configs.normalizeSync();
+
+				expect(configs.isDirectoryIgnored(path.resolve(basePath, 'a/b/c'))).to.be.false;
+				expect(configs.isDirectoryIgnored(path.resolve(basePath, 'node_modules/b'))).to.be.true;
+				expect(configs.getCacheStats().directoryMatches.size).to.equal(2);
+			});
+
+			it('should limit the number of compiled patterns', () => {
+				configs = createConfigArray({ cacheLimits: { patterns: 1 } });
+				configs.normalizeSync({ name: 'from-context' });
+
+				const config = configs.getConfig(path.resolve(basePath, 'foo.js'));
+
+				expect(config.language).to.equal(JSLanguage);
+				expect(configs.getCacheStats().patterns.size).to.equal(1);
+			});
+		});
+
+		describe('getCacheStats()', () => {
+
+			it('should report hits and misses for the config cache', () => {
+				const filename = path.resolve(basePath, 'foo.js');
+
+				configs.getConfig(filename);
+				const missStats = configs.getCacheStats().configs;
+
+				configs.getConfig(filename);
+				const hitStats = configs.getCacheStats().configs;
+
+				expect(hitStats.hits).to.equal(missStats.hits + 1);
+				expect(hitStats.misses).to.equal(missStats.misses);
+				expect(hitStats.size).to.equal(2);
+				expect(hitStats.maxSize).to.equal(Infinity);
+			});
+
+			it('should report statistics for every cache', () => {
+				configs.isExplicitMatch(path.resolve(basePath, 'foo.js'));
+
+				const stats = configs.getCacheStats();
+
+				expect(stats).to.have.all.keys('configs', 'explicitMatches', 'directoryMatches', 'patterns');
+				expect(stats.explicitMatches.size).to.equal(1);
+				expect(stats.patterns.size).to.be.above(0);
+			});
+		});
+
+		describe('clearCache()', () => {
+
+			it('should remove all cached entries', () => {
+				const filename = path.resolve(basePath, 'foo.js');
+				const config = configs.getConfig(filename);
+
+				configs.isExplicitMatch(filename);
+				configs.clearCache();
+
+				const stats = configs.getCacheStats();
+
+				expect(stats.configs.size).to.equal(0);
+				expect(stats.explicitMatches.size).to.equal(0);
+				expect(stats.directoryMatches.size).to.equal(0);
+				expect(stats.patterns.size).to.equal(0);
+
+				const newConfig = configs.getConfig(filename);
+
+				expect(newConfig).to.not.equal(config);
+				expect(newConfig).to.deep.equal(config);
+			});
+		});
+
+		describe('config index', () => {
+
+			/*
+			 * A glob matcher with the same behavior as the default one. Using a
+			 * custom glob matcher disables the config index, so the results can
+			 * be compared to make sure the index doesn't change any behavior.
+			 */
+			function createMinimatchGlobMatcher(options) {
+				return {
+					compile(pattern) {
+						const matcher = new minimatch.Minimatch(pattern, {
+							dot: true,
+							...options,
+							flipNegate: true
+						});
+
+						return {
+							negated: Boolean(matcher.negate),
+							test: filePath => matcher.match(filePath)
+						};
+					}
+				};
+			}
+
+			const indexedConfigs = [
+				{
+					files: ['**/*.js'],
+					defs: { js: true }
+				},
+				{
+					files: ['*.test.js'],
+					defs: { test: true }
+				},
+				{
+					files: ['src/**/*.ts', 'lib/**'],
+					defs: { srcOrLib: true }
+				},
+				{
+					files: [['src/**', '**/*.md']],
+					defs: { srcMarkdown: true }
+				},
+				{
+					files: ['src/**/*'],
+					defs: { src: true }
+				},
+				{
+					files: ['README.md'],
+					defs: { readme: true }
+				},
+				{
+					files: ['!**/*.json'],
+					defs: { notJson: true }
+				},
+				{
+					files: ['**/.*rc'],
+					defs: { rc: true }
+				},
+				{
+					files: ['*.{css,scss}'],
+					defs: { styles: true }
+				},
+				{
+					files: [filePath => filePath.endsWith('.html')],
+					defs: { html: true }
+				},
+				{
+					ignores: ['**/*.min.js'],
+					defs: { notMinified: true }
+				},
+				{
+					files: ['docs/**/*.md'],
+					ignores: ['docs/drafts/**'],
+					defs: { docs: true }
+				},
+				{
+					ignores: ['dist/']
+				}
+			];
+
+			const indexedFilenames = [
+				'foo.js',
+				'foo.test.js',
+				'lib/foo.test.js',
+				'foo.min.js',
+				'.js',
+				'src/foo.ts',
+				'src/foo.md',
+				'src/a/b/foo.css',
+				'lib/foo.txt',
+				'README.md',
+				'docs/README.md',
+				'docs/drafts/foo.md',
+				'package.json',
+				'.eslintrc',
+				'a/.babelrc',
+				'foo.css',
+				'foo.scss',
+				'foo.html',
+				'Foo.JS',
+				'SRC/foo.ts',
+				'dist/foo.js'
+			].map(filename => path.resolve(basePath, filename));
+
+			[
+				['default options', {}],
+				['nocase', { nocase: true }],
+				['matchBase', { matchBase: true }]
+			].forEach(([title, minimatchOptions]) => {
+
+				it(`should return the same configs as without an index with ${title}`, () => {
+					const indexed = new ConfigArray(indexedConfigs, { basePath, schema, minimatchOptions });
+					const unindexed = new ConfigArray(indexedConfigs, {
+						basePath,
+						schema,
+						globMatcher: createMinimatchGlobMatcher(minimatchOptions)
+					});
+
+					indexed.normalizeSync();
+					unindexed.normalizeSync();
+
+					for (const filename of indexedFilenames) {
+						expect(indexed.getConfig(filename), filename).to.deep.equal(unindexed.getConfig(filename));
+						expect(indexed.isExplicitMatch(filename), filename).to.equal(unindexed.isExplicitMatch(filename));
+					}
+				});
+			});
+
+			it('should only check configs that can match the file', () => {
+				const checkedConfigs = [];
+
+				configs = new ConfigArray([
+					{
+						files: ['**/*.js'],
+						defs: { js: true }
+					},
+					{
+						files: ['**/*.css'],
+						defs: { css: true }
+					},
+					{
+						files: ['docs/**'],
+						defs: { docs: true }
+					}
+				], { basePath, schema });
+
+				configs.normalizeSync();
+
+				// spy on the files of each config
+				configs.forEach((config, index) => {
+					const files = config.files;
+
+					config.files = files.map(pattern => pattern);
+					config.files.filter = function(...args) {
+						checkedConfigs.push(index);
+						return files.filter(...args);
+					};
+				});
+
+				configs.getConfig(path.resolve(basePath, 'foo.js'));
+
+				expect(checkedConfigs).to.not.include(1);
+				expect(checkedConfigs).to.not.include(2);
+			});
+		});
+
+		describe('derive()', () => {
+
+			function createNamedConfigArray() {
+				const configArray = new ConfigArray([
+					{ name: 'base', files: ['**/*.js'], defs: { base: true } },
+					{ name: 'tests', files: ['tests/**/*.js'], defs: { tests: true } }
+				], { basePath, schema, extraConfigTypes: ['array', 'function'] });
+
+				configArray.normalizeSync();
+
+				return configArray;
+			}
+
+			const override = { name: 'override', files: ['**/*.js'], defs: { override: true } };
+
+			it('should throw an error when not normalized', async () => {
+				let actualError;
+
+				try {
+					await unnormalizedConfigs.derive([override]);
+				} catch (error) {
+					actualError = error;
+				}
+
+				expect(actualError.message).to.match(/normalized/);
+			});
+
+			it('should append configs to a new normalized ConfigArray', async () => {
+				const base = createNamedConfigArray();
+				const derived = await base.derive([override]);
+
+				expect(derived).to.be.instanceOf(ConfigArray);
+				expect(derived).to.not.equal(base);
+				expect(derived.isNormalized()).to.be.true;
+				expect(Object.isFrozen(derived)).to.be.true;
+				expect(derived.map(config => config.name)).to.deep.equal(['base', 'tests', 'override']);
+				expect(derived.getConfig(path.resolve(basePath, 'foo.js')).defs).to.deep.equal({ base: true, override: true });
+				expect(base.map(config => config.name)).to.deep.equal(['base', 'tests']);
+				expect(derived.basePath).to.equal(base.basePath);
+			});
+
+			it('should reuse the existing config objects', async () => {
+				const base = createNamedConfigArray();
+				const derived = await base.derive(override);
+
+				expect(derived[0]).to.equal(base[0]);
+				expect(derived[1]).to.equal(base[1]);
+			});
+
+			it('should prepend configs', async () => {
+				const derived = await createNamedConfigArray().derive([override], { prepend: true });
+
+				expect(derived.map(config => config.name)).to.deep.equal(['override', 'base', 'tests']);
+			});
+
+			it('should insert configs before a named config', async () => {
+				const derived = await createNamedConfigArray().derive([override], { before: 'tests' });
+
+				expect(derived.map(config => config.name)).to.deep.equal(['base', 'override', 'tests']);
+			});
+
+			it('should insert configs after a named config', async () => {
+				const derived = await createNamedConfigArray().derive([override], { after: 'base' });
+
+				expect(derived.map(config => config.name)).to.deep.equal(['base', 'override', 'tests']);
+			});
+
+			it('should throw an error when no config has the name', async () => {
+				let actualError;
+
+				try {
+					await createNamedConfigArray().derive([override], { after: 'missing' });
+				} catch (error) {
+					actualError = error;
+				}
+
+				expect(actualError.message).to.equal('No config named "missing" was found.');
+			});
+
+			it('should throw an error when more than one position is given', async () => {
+				let actualError;
+
+				try {
+					await createNamedConfigArray().derive([override], { prepend: true, after: 'base' });
+				} catch (error) {
+					actualError = error;
+				}
+
+				expect(actualError).to.be.instanceOf(TypeError);
+				expect(actualError.message).to.equal('Only one of prepend, before, and after can be used.');
+			});
+
+			it('should normalize config functions using the context', async () => {
+				const derived = await createNamedConfigArray().derive([
+					async context => ({ name: context.name, files: ['**/*.md'] })
+				], { context: { name: 'from-context' } });
+
+				expect(derived[2].name).to.equal('from-context');
+				expect(derived.getConfigOrigin(2).description).to.equal('configs[0] -> function result added by derive()');
+				expect(derived.getConfigOrigin(1).description).to.equal('configs[1]');
+			});
+
+			it('should mark the origins of added configs', () => {
+				const derived = createNamedConfigArray().deriveSync([override], { prepend: true });
+
+				expect(derived.getConfigOrigin(0)).to.deep.equal({
+					path: [{ index: 0, functionResult: false }],
+					filePath: undefined,
+					addedBy: 'deriveSync()',
+					description: 'configs[0] added by deriveSync()'
+				});
+				expect(derived.getConfigOrigin(1).description).to.equal('configs[0]');
+				expect(derived.serialize().origins).to.deep.equal([
+					'configs[0] added by deriveSync()',
+					'configs[0]',
+					'configs[1]'
+				]);
+			});
+
+			it('should throw an error when an added config is invalid', async () => {
+				let actualError;
+
+				try {
+					await createNamedConfigArray().derive([{ files: [] }]);
+				} catch (error) {
+					actualError = error;
+				}
+
+				expect(actualError.message).to.equal('Config (unnamed) (configs[0] added by derive()): Key "files": Expected value to be a non-empty array.');
+				expect(actualError.index).to.equal(2);
+			});
+
+			it('should share compiled patterns with the existing ConfigArray', async () => {
+				const base = createNamedConfigArray();
+
+				base.getConfig(path.resolve(basePath, 'foo.js'));
+
+				const derived = await base.derive([override]);
+
+				expect(derived.getCacheStats().patterns.size).to.equal(base.getCacheStats().patterns.size);
+				expect(derived.getCacheStats().configs.size).to.equal(0);
+			});
+
+			it('should keep the prototype and properties of a subclass', async () => {
+				class MyConfigArray extends ConfigArray {
+					constructor(configs, { language, ...options }) {
+						super(configs, options);
+						this.language = language;
+					}
+
+					[ConfigArraySymbol.preprocessConfig](config) {
+						return { ...config, defs: { ...config.defs, preprocessed: true } };
+					}
+				}
+
+				const base = new MyConfigArray([{ files: ['**/*.js'] }], { basePath, schema, language: 'js' });
+
+				base.normalizeSync();
+
+				const derived = base.deriveSync({ files: ['**/*.md'] });
+
+				expect(derived).to.be.instanceOf(MyConfigArray);
+				expect(derived.language).to.equal('js');
+				expect(derived[1].defs).to.deep.equal({ preprocessed: true });
+			});
+		});
+
+		describe('deriveSync()', () => {
+
+			it('should add configs synchronously', () => {
+				const derived = configs.deriveSync([{ files: ['**/*.foo'], defs: { foo: true } }]);
+
+				expect(derived).to.have.lengthOf(configs.length + 1);
+				expect(derived.getConfig(path.resolve(basePath, 'a.foo')).defs.foo).to.be.true;
+				expect(configs.getConfig(path.resolve(basePath, 'a.foo')).defs.foo).to.be.undefined;
+			});
+
+			it('should throw an error for async config functions', () => {
+				expect(() => {
+					configs.deriveSync([async () => ({})]);
+				})
+					.to
+					.throw('Async config functions are not supported.');
+			});
+		});
+
+		describe('named configs', () => {
+
+			function createNamedConfigArray(options) {
+				const configArray = new ConfigArray([
+					{ name: 'base', files: ['**/*.js'], defs: { base: true } },
+					{ files: ['**/*.md'] },
+					{ name: 'plugin/recommended', files: ['**/*.js'], defs: { plugin: true } },
+					{ name: 'tests', files: ['tests/**/*.js'], defs: { tests: true } }
+				], { basePath, schema, extraConfigTypes: ['array', 'function'], ...options });
+
+				configArray.normalizeSync();
+
+				return configArray;
+			}
+
+			describe('getByName()', () => {
+
+				it('should throw an error when not normalized', () => {
+					expect(() => {
+						unnormalizedConfigs.getByName('base');
+					})
+						.to
+						.throw(/normalized/);
+				});
+
+				it('should return the config with the name', () => {
+					const configArray = createNamedConfigArray();
+
+					expect(configArray.getByName('plugin/recommended')).to.equal(configArray[2]);
+				});
+
+				it('should return undefined when no config has the name', () => {
+					expect(createNamedConfigArray().getByName('missing')).to.be.undefined;
+				});
+			});
+
+			describe('indexOfName()', () => {
+
+				it('should return the index of the config with the name', () => {
+					expect(createNamedConfigArray().indexOfName('tests')).to.equal(3);
+				});
+
+				it('should return -1 when no config has the name', () => {
+					expect(createNamedConfigArray().indexOfName('missing')).to.equal(-1);
+				});
+			});
+
+			describe('withoutNames()', () => {
+
+				it('should return a new ConfigArray without the named configs', () => {
+					const configArray = createNamedConfigArray();
+					const result = configArray.withoutNames(['plugin/recommended', 'missing']);
+
+					expect(result).to.not.equal(configArray);
+					expect(result.isNormalized()).to.be.true;
+					expect(result.map(config => config.name)).to.deep.equal(['base', undefined, 'tests']);
+					expect(result.getConfig(path.resolve(basePath, 'foo.js')).defs).to.deep.equal({ base: true });
+					expect(configArray).to.have.lengthOf(4);
+				});
+
+				it('should keep the origins of the remaining configs', () => {
+					const result = createNamedConfigArray().withoutNames(['base']);
+
+					expect(result.getConfigOrigin(2).description).to.equal('configs[3]');
+				});
+			});
+
+			describe('replaceByName()', () => {
+
+				it('should return a new ConfigArray with the named config replaced', () => {
+					const configArray = createNamedConfigArray();
+					const result = configArray.replaceByName('plugin/recommended', {
+						name: 'plugin/custom',
+						files: ['**/*.js'],
+						defs: { custom: true }
+					});
+
+					expect(result.map(config => config.name)).to.deep.equal(['base', undefined, 'plugin/custom', 'tests']);
+					expect(result.getConfig(path.resolve(basePath, 'foo.js')).defs).to.deep.equal({ base: true, custom: true });
+					expect(configArray[2].name).to.equal('plugin/recommended');
+				});
+
+				it('should allow a replacement that expands into several configs', () => {
+					const result = createNamedConfigArray().replaceByName('base', context => [
+						{ name: `${context.name}/one` },
+						{ name: `${context.name}/two` }
+					], { context: { name: 'preset' } });
+
+					expect(result.map(config => config.name)).to.deep.equal(['preset/one', 'preset/two', undefined, 'plugin/recommended', 'tests']);
+				});
+
+				it('should throw an error when no config has the name', () => {
+					expect(() => {
+						createNamedConfigArray().replaceByName('missing', {});
+					})
+						.to
+						.throw('No config named "missing" was found.');
+				});
+			});
+
+			describe('uniqueNames', () => {
+
+				it('should allow duplicate names by default', () => {
+					configs = new ConfigArray([{ name: 'a' }, { name: 'a' }], { basePath });
+
+					expect(() => {
+						configs.normalizeSync();
+					}).not.to.throw();
+				});
+
+				it('should throw an error for duplicate names when normalizing', async () => {
+					configs = new ConfigArray([{ name: 'a' }, [{ name: 'b' }, { name: 'a' }]], {
+						basePath,
+						extraConfigTypes: ['array'],
+						uniqueNames: true
+					});
+
+					let actualError;
+
+					try {
+						await configs.normalize();
+					} catch (error) {
+						actualError = error;
+					}
+
+					expect(actualError.name).to.equal('ConfigError');
+					expect(actualError.code).to.equal('DUPLICATE_NAME');
+					expect(actualError.index).to.equal(2);
+					expect(actualError.message).to.equal('Config "a" (configs[1][1]): Name is already used by the config at index 0.');
+				});
+
+				it('should throw an error for duplicate names when deriving', () => {
+					const configArray = createNamedConfigArray({ uniqueNames: true });
+
+					expect(() => {
+						configArray.deriveSync({ name: 'tests' });
+					})
+						.to
+						.throw('Config "tests" (configs[0] added by deriveSync()): Name is already used by the config at index 3.');
+				});
+
+				it('should report the added config when a duplicate name is added before the existing one', () => {
+					const configArray = createNamedConfigArray({ uniqueNames: true });
+					let actualError;
+
+					try {
+						configArray.deriveSync({ name: 'tests' }, { prepend: true });
+					} catch (error) {
+						actualError = error;
+					}
+
+					expect(actualError.index).to.equal(0);
+					expect(actualError.origin.addedBy).to.equal('deriveSync()');
+					expect(actualError.message).to.equal('Config "tests" (configs[0] added by deriveSync()): Name is already used by the config at index 4 (configs[3]).');
+				});
+
+				it('should throw an error for duplicate names when replacing', () => {
+					const configArray = createNamedConfigArray({ uniqueNames: true });
+
+					expect(() => {
+						configArray.replaceByName('tests', [{ name: 'x' }, { name: 'x' }]);
+					})
+						.to
+						.throw('Config "x" (configs[1] added by replaceByName()): Name is already used by the config at index 3 (configs[0] added by replaceByName()).');
+
+					expect(configArray.replaceByName('tests', { name: 'tests' }).uniqueNames).to.be.true;
+				});
+			});
+		});
+
+		describe('getConfigOrigin()', () => {
+
+			it('should throw an error when not normalized', () => {
+				expect(() => {
+					unnormalizedConfigs.getConfigOrigin(0);
+				})
+					.to
+					.throw(/normalized/);
+			});
+
+			it('should return the index in the original array', () => {
+				expect(configs.getConfigOrigin(0)).to.deep.equal({
+					path: [{ index: 0, functionResult: false }],
+					filePath: undefined,
+					addedBy: undefined,
+					description: 'configs[0]'
+				});
+				expect(configs.getConfigOrigin(17).description).to.equal('configs[16]');
+			});
+
+			it('should describe objects returned by config functions', () => {
+				expect(configs.getConfigOrigin(11)).to.deep.equal({
+					path: [
+						{ index: 11, functionResult: false },
+						{ index: undefined, functionResult: true }
+					],
+					filePath: undefined,
+					addedBy: undefined,
+					description: 'configs[11] -> function result'
+				});
+			});
+
+			it('should describe arrays returned by config functions', () => {
+				expect(configs.getConfigOrigin(12).description).to.equal('configs[12] -> function result[0]');
+				expect(configs.getConfigOrigin(13).description).to.equal('configs[12] -> function result[1]');
+			});
+
+			it('should describe nested arrays and functions', async () => {
+				configs = new ConfigArray([
+					{},
+					[
+						{},
+						() => [{}, () => ({})]
+					]
+				], { basePath, extraConfigTypes: ['array', 'function'] });
+
+				await configs.normalize();
+
+				expect(configs.map((config, index) => configs.getConfigOrigin(index).description)).to.deep.equal([
+					'configs[0]',
+					'configs[1][0]',
+					'configs[1][1] -> function result[0]',
+					'configs[1][1] -> function result[1] -> function result'
+				]);
+			});
+
+			it('should include the file of the nearest ancestor', () => {
+				const preset = setConfigFile([
+					{},
+					setConfigFile(() => ({}), '/presets/function.js')
+				], '/presets/array.js');
+
+				configs = new ConfigArray([{}, preset], { basePath, extraConfigTypes: ['array', 'function'] });
+				configs.normalizeSync();
+
+				expect(configs.getConfigOrigin(0).filePath).to.be.undefined;
+				expect(configs.getConfigOrigin(1).filePath).to.equal('/presets/array.js');
+				expect(configs.getConfigOrigin(1).description).to.equal('configs[1][0] (from /presets/array.js)');
+				expect(configs.getConfigOrigin(2).description).to.equal('configs[1][1] -> function result (from /presets/function.js)');
+			});
+
+			it('should use the index for configs that were already normalized', () => {
+				configs = new ConfigArray([{ files: ['*.js'] }, { files: ['*.md'] }], { basePath, normalized: true });
+
+				expect(configs.getConfigOrigin(1).description).to.equal('configs[1]');
+				expect(configs.getConfigExplanation(path.resolve(basePath, 'foo.md')).configs[1].origin).to.equal('configs[1]');
+			});
+
+			it('should return undefined for an index that does not exist', () => {
+				expect(configs.getConfigOrigin(100)).to.be.undefined;
+			});
+
+			it('should include the origin in error messages when it differs from the index', () => {
+				configs = new ConfigArray([
+					[
+						{ files: ['*.js'] },
+						() => [{ name: 'bad', files: '*.js' }]
+					]
+				], { basePath, extraConfigTypes: ['array', 'function'] });
+
+				let actualError;
+
+				try {
+					configs.normalizeSync();
+				} catch (error) {
+					actualError = error;
+				}
+
+				expect(actualError.message).to.equal('Config "bad" (configs[0][1] -> function result[0]): Key "files": Expected value to be a non-empty array.');
+				expect(actualError.index).to.equal(1);
+				expect(actualError.origin.description).to.equal('configs[0][1] -> function result[0]');
+			});
+
+			it('should include the origin in errors thrown by getConfig()', () => {
+				configs = new ConfigArray([
+					() => ({ files: ['**/*.js'], defs: 'foo' })
+				], { basePath, schema, extraConfigTypes: ['function'] });
+				configs.normalizeSync();
+
+				expect(() => {
+					configs.getConfig(path.resolve(basePath, 'foo.js'));
+				})
+					.to
+					.throw('Config (unnamed) (configs[0] -> function result): Key "defs": Object expected.');
+			});
+		});
+
+		describe('setConfigFile()', () => {
+
+			it('should return the value', () => {
+				const config = {};
+
+				expect(setConfigFile(config, '/foo.js')).to.equal(config);
+			});
+
+			it('should throw an error when the value cannot be tracked', () => {
+				expect(() => {
+					setConfigFile('foo', '/foo.js');
+				})
+					.to
+					.throw('Only objects, arrays, and functions can have a config file.');
+			});
+
+			it('should throw an error when the file path is not a string', () => {
+				expect(() => {
+					setConfigFile({}, null);
+				})
+					.to
+					.throw('Config file path must be a string.');
+			});
+		});
+
+		describe('toJSONSchema()', () => {
+
+			it('should include the base schema and allow any value for custom validate() methods', () => {
+				const jsonSchema = configs.toJSONSchema();
+
+				expect(jsonSchema).to.deep.equal({
+					$schema: 'http://json-schema.org/draft-07/schema#',
+					type: 'object',
+					properties: {
+						language: {},
+						defs: {},
+						name: { type: 'string' },
+						files: {
+							type: 'array',
+							minItems: 1,
+							items: {
+								anyOf: [
+									{ type: 'string' },
+									{ type: 'array', items: { type: 'string' } }
+								]
+							}
+						},
+						ignores: { type: 'array', items: { type: 'string' } }
+					},
+					additionalProperties: false
+				});
+			});
+
+			it('should use declared fragments, descriptions, built-in validation strategies, and nested schemas', () => {
+				const jsonSchema = new ConfigArray([], {
+					basePath,
+					schema: {
+						level: {
+							required: true,
+							description: 'The level to use.',
+							jsonSchema: { enum: ['low', 'high'] },
+							merge: 'replace',
+							validate() {}
+						},
+						label: {
+							merge: 'replace',
+							validate: 'string!'
+						},
+						options: {
+							schema: {
+								enabled: {
+									merge: 'replace',
+									validate: 'boolean'
+								}
+							}
+						}
+					}
+				}).toJSONSchema({ title: 'My Config' });
+
+				expect(jsonSchema.title).to.equal('My Config');
+				expect(jsonSchema.required).to.deep.equal(['level']);
+				expect(jsonSchema.properties.level).to.deep.equal({
+					enum: ['low', 'high'],
+					description: 'The level to use.'
+				});
+				expect(jsonSchema.properties.label).to.deep.equal({ type: 'string', minLength: 1 });
+				expect(jsonSchema.properties.options).to.deep.equal({
+					type: 'object',
+					properties: {
+						enabled: { type: 'boolean' }
+					},
+					additionalProperties: false
+				});
+			});
+
+			it('should describe an array of config objects when array is true', () => {
+				const jsonSchema = configs.toJSONSchema({ array: true });
+
+				expect(jsonSchema.type).to.equal('array');
+				expect(jsonSchema.items).to.deep.equal({ $ref: '#/definitions/config' });
+				expect(jsonSchema.definitions.config.properties).to.have.keys('language', 'defs', 'name', 'files', 'ignores');
+			});
+
+			it('should return a copy of declared fragments', () => {
+				const jsonSchema = unnormalizedConfigs.toJSONSchema();
+
+				jsonSchema.properties.ignores.items.type = 'number';
+
+				expect(unnormalizedConfigs.toJSONSchema().properties.ignores.items.type).to.equal('string');
+			});
+
+			it('should throw an error when a declared fragment isn\'t an object', () => {
+				const configArray = new ConfigArray([], {
+					basePath,
+					schema: {
+						level: {
+							jsonSchema: 'string',
+							merge: 'replace',
+							validate() {}
+						}
+					}
+				});
+
+				expect(() => {
+					configArray.toJSONSchema();
+				})
+					.to
+					.throw('Definition for key "level" must have a jsonSchema object.');
+			});
+		});
+
+		describe('serialize()', () => {
+
+			it('should throw an error when not normalized', () => {
+				expect(() => {
+					unnormalizedConfigs.serialize();
+				})
+					.to
+					.throw(/normalized/);
+			});
+
+			it('should include the options, config objects, and origins', () => {
+				const serialized = configs.serialize();
+
+				expect(serialized.basePath).to.equal(basePath);
+				expect(serialized.extraConfigTypes).to.deep.equal(['array', 'function']);
+				expect(serialized.gitignoreMode).to.be.false;
+				expect(serialized.uniqueNames).to.be.false;
+				expect(serialized.configs).to.have.lengthOf(configs.length);
+				expect(serialized.configs[5]).to.deep.equal({ files: ['!*.css'], defs: { css: false } });
+				expect(serialized.origins[13]).to.equal('configs[12] -> function result[1]');
+			});
+
+			it('should replace function matchers, classes, symbols, and objects with a custom prototype with placeholders', () => {
+				const serialized = configs.serialize();
+
+				expect(serialized.configs[0].language).to.deep.equal({ $type: 'class', name: 'JSLanguage' });
+
+				const configArray = new ConfigArray([
+					{
+						files: [filePath => filePath.endsWith('.js'), ['*.md', function isTest() {}]],
+						defs: {
+							parser: new (class Parser {
+								constructor() {
+									this.meta = { name: 'my-parser', version: '1.0.0' };
+									this.parse = () => {};
+								}
+							})(),
+							pattern: /foo/u,
+							values: new Set([1, NaN]),
+							missing: undefined,
+							symbols: [Symbol('foo'), Symbol('(bar)'), Symbol()]
+						}
 					}
+				], { basePath, schema });
 
-					return config;
-				};
+				configArray.normalizeSync();
 
-				await configs.normalize({
-					name: 'from-context'
+				expect(configArray.serialize().configs[0]).to.deep.equal({
+					files: [
+						{ $type: 'function' },
+						['*.md', { $type: 'function', name: 'isTest' }]
+					],
+					defs: {
+						parser: {
+							$type: 'object',
+							constructor: 'Parser',
+							name: 'my-parser',
+							version: '1.0.0',
+							keys: ['meta', 'parse']
+						},
+						pattern: { $type: 'RegExp', value: '/foo/u' },
+						values: { $type: 'Set', values: [1, { $type: 'number', value: 'NaN' }] },
+						missing: { $type: 'undefined' },
+						symbols: [
+							{ $type: 'symbol', description: 'foo' },
+							{ $type: 'symbol', description: '(bar)' },
+							{ $type: 'symbol' }
+						]
+					}
 				});
-
-				const filename = path.resolve(basePath, 'foo.js');
-				const config = configs.getConfig(filename);
-				expect(config.defs.name).to.equal('foo:bar');
 			});
 
-			it('should have "this" inside of function be equal to config array when calling normalize()', async () => {
+			it('should replace plain objects that are parsers or plugins with placeholders', () => {
+				const configArray = new ConfigArray([
+					{
+						defs: {
+							parser: { parse() {}, meta: { name: 'plain-parser', version: '2.0.0' } },
+							plugins: {
+								example: {
+									meta: { name: 'eslint-plugin-example' },
+									rules: { 'no-foo': { create() {} } }
+								}
+							},
+							settings: { nested: { value: 1 } }
+						}
+					}
+				], { basePath, schema });
 
-				configs = createConfigArray();
-				configs.push('foo:bar');
-				let internalThis;
+				configArray.normalizeSync();
 
-				configs[ConfigArraySymbol.preprocessConfig] = function(config) {
-					internalThis = this;
+				expect(configArray.serialize().configs[0].defs).to.deep.equal({
+					parser: { $type: 'object', name: 'plain-parser', version: '2.0.0', keys: ['parse', 'meta'] },
+					plugins: {
+						example: { $type: 'object', name: 'eslint-plugin-example', keys: ['meta', 'rules'] }
+					},
+					settings: { nested: { value: 1 } }
+				});
+			});
 
-					if (config === 'foo:bar') {
-						return {
-							defs: {
-								name: 'foo:bar'
-							}
-						};
+			it('should recognize plugins without meta and keep other plain objects with methods', () => {
+				const configArray = new ConfigArray([
+					{
+						defs: {
+							plugins: {
+								example: { rules: { 'no-foo': { create() {} } } }
+							},
+							settings: { max: 3, format() {} }
+						}
 					}
+				], { basePath, schema });
 
-					return config;
-				};
+				configArray.normalizeSync();
 
-				await configs.normalize({
-					name: 'from-context'
+				expect(configArray.serialize().configs[0].defs).to.deep.equal({
+					plugins: {
+						example: { $type: 'object', keys: ['rules'] }
+					},
+					settings: { max: 3, format: { $type: 'function', name: 'format' } }
 				});
-
-				expect(internalThis).to.equal(configs);
 			});
 
-			it('should have "this" inside of function be equal to config array when calling normalizeSync()', async () => {
-
-				configs = createConfigArray();
-				configs.push('foo:bar');
-				let internalThis;
+			it('should replace circular references with placeholders and keep shared references', () => {
+				const shared = { value: 1 };
+				const defs = { first: shared, second: shared };
 
-				configs[ConfigArraySymbol.preprocessConfig] = function(config) {
-					internalThis = this;
+				defs.self = defs;
 
-					if (config === 'foo:bar') {
-						return {
-							defs: {
-								name: 'foo:bar'
-							}
-						};
-					}
+				const configArray = new ConfigArray([{ defs }], { basePath, schema });
 
-					return config;
-				};
+				configArray.normalizeSync();
 
-				configs.normalizeSync({
-					name: 'from-context'
+				expect(configArray.serialize().configs[0].defs).to.deep.equal({
+					first: { value: 1 },
+					second: { value: 1 },
+					self: { $type: 'circular', path: 'configs[0].defs' }
 				});
+			});
+		});
 
-				expect(internalThis).to.equal(configs);
+		describe('toJSON()', () => {
+
+			it('should be used by JSON.stringify()', () => {
+				expect(JSON.parse(JSON.stringify(configs))).to.deep.equal(configs.serialize());
 			});
 
-		});
+			it('should return the config objects as an array when not normalized', () => {
+				const configArray = new ConfigArray([{ name: 'foo' }, { files: ['*.js'] }], { basePath });
 
-		describe('basePath', () => {
-			it('should store basePath property when basePath is provided', () => {
-				expect(unnormalizedConfigs.basePath).to.equal(basePath);
-				expect(configs.basePath).to.equal(basePath);
+				expect(JSON.parse(JSON.stringify(configArray))).to.deep.equal([{ name: 'foo' }, { files: ['*.js'] }]);
 			});
 		});
 
@@ -973,6 +3066,410 @@ describe('ConfigArray', () => {
 
 		});
 
+		describe('getConfigs()', () => {
+
+			const filenames = [
+				'foo.js',
+				'bar.js',
+				'.foo.js',
+				'foo.css',
+				'foo.exe',
+				'tests/foo.js',
+				'tests/bar.js',
+				'tests/.bar/foo.xyz',
+				'fixtures/test.xsl',
+				'node_modules/foo.js',
+				'node_modules/bar/foo.js',
+				'foo.gitignore',
+				'../foo.js'
+			].map(filename => path.resolve(basePath, filename));
+
+			it('should throw an error when not normalized', () => {
+				expect(() => {
+					unnormalizedConfigs.getConfigs(filenames);
+				})
+					.to
+					.throw(/normalized/);
+			});
+
+			it('should return the same configs as getConfig()', () => {
+				const expectedConfigs = createConfigArray();
+				expectedConfigs.normalizeSync({ name: 'from-context' });
+
+				const results = configs.getConfigs(filenames);
+
+				expect([...results.keys()]).to.deep.equal(filenames);
+
+				for (const filename of filenames) {
+					expect(results.get(filename), filename).to.deep.equal(expectedConfigs.getConfig(filename));
+					expect(results.get(filename), filename).to.equal(configs.getConfig(filename));
+				}
+			});
+
+			it('should check each directory only once', () => {
+				const checkedDirectories = [];
+
+				configs = new ConfigArray([{ files: ['**/*.js'] }], { basePath });
+				configs.isDirectoryIgnored = function(directoryPath) {
+					checkedDirectories.push(directoryPath);
+					return ConfigArray.prototype.isDirectoryIgnored.call(this, directoryPath);
+				};
+				configs.normalizeSync();
+
+				configs.getConfigs([
+					path.resolve(basePath, 'src/foo.js'),
+					path.resolve(basePath, 'src/bar.js'),
+					path.resolve(basePath, 'src/baz.css')
+				]);
+
+				expect(checkedDirectories).to.deep.equal([path.resolve(basePath, 'src')]);
+			});
+
+			it('should only match patterns once for files in the same directory with the same extension', () => {
+
+				/**
+				 * Creates a normalized config array whose patterns all match
+				 * the same way for every `.js` file in a directory.
+				 * @returns {ConfigArray} The config array.
+				 */
+				function createGroupConfigArray() {
+					return new ConfigArray([
+						{ ignores: ['**/node_modules/**'] },
+						{ files: ['**/*.js'], defs: { js: true } },
+						{ files: ['src/**/*.js'], defs: { src: true } }
+					], { basePath, schema }).normalizeSync();
+				}
+
+				/**
+				 * Counts the times a config array looked up a pattern.
+				 * @param {ConfigArray} configArray The config array.
+				 * @returns {number} The number of lookups.
+				 */
+				function countPatternLookups(configArray) {
+					const { hits, misses } = configArray.getCacheStats().patterns;
+
+					return hits + misses;
+				}
+
+				const filePaths = ['src/a.js', 'src/b.js', 'src/c.js'].map(filename => path.resolve(basePath, filename));
+				const single = createGroupConfigArray();
+				const batched = createGroupConfigArray();
+				const unbatched = createGroupConfigArray();
+
+				single.getConfigs(filePaths.slice(0, 1));
+				batched.getConfigs(filePaths);
+				filePaths.forEach(filePath => unbatched.getConfig(filePath));
+
+				expect(countPatternLookups(batched)).to.equal(countPatternLookups(single));
+				expect(countPatternLookups(unbatched)).to.be.above(countPatternLookups(single));
+				expect([...batched.getConfigs(filePaths).values()]).to.deep.equal(filePaths.map(filePath => unbatched.getConfig(filePath)));
+			});
+		});
+
+		describe('iterateConfigs()', () => {
+
+			it('should yield file paths and configs in order', () => {
+				const filenames = ['foo.js', 'node_modules/foo.js', 'foo.css']
+					.map(filename => path.resolve(basePath, filename));
+
+				const results = [...configs.iterateConfigs(filenames)];
+
+				expect(results).to.deep.equal(filenames.map(filename => [filename, configs.getConfig(filename)]));
+			});
+
+			it('should calculate configs lazily', () => {
+				const iterator = configs.iterateConfigs([
+					path.resolve(basePath, 'foo.js'),
+					path.resolve(basePath, 'foo.css')
+				]);
+
+				iterator.next();
+
+				expect(configs.getCacheStats().configs.size).to.equal(2);
+			});
+		});
+
+		describe('getConfigExplanation()', () => {
+
+			it('should throw an error when not normalized', () => {
+				const filename = path.resolve(basePath, 'foo.js');
+
+				expect(() => {
+					unnormalizedConfigs.getConfigExplanation(filename);
+				})
+					.to
+					.throw(/normalized/);
+			});
+
+			it('should report the status of each config when passed JS filename', () => {
+				const filename = path.resolve(basePath, 'foo.js');
+				const explanation = configs.getConfigExplanation(filename);
+
+				expect(explanation.filePath).to.equal(filename);
+				expect(explanation.ignored).to.be.false;
+				expect(explanation.ignoreReason).to.be.undefined;
+				expect(explanation.configs).to.have.length(configs.length);
+				expect(explanation.configs[0]).to.deep.equal({ index: 0, name: undefined, origin: 'configs[0]', status: 'matched', applied: true });
+				expect(explanation.configs[1]).to.deep.equal({ index: 1, name: undefined, origin: 'configs[1]', status: 'skipped', applied: false });
+				expect(explanation.configs[4].status).to.equal('anonymous');
+				expect(explanation.configs[4].applied).to.be.true;
+				expect(explanation.configs[9].status).to.equal('global-ignores');
+				expect(explanation.configs[9].applied).to.be.false;
+				expect(explanation.configs[17].status).to.equal('universal');
+				expect(explanation.configs[17].applied).to.be.true;
+			});
+
+			it('should report configs whose ignores exclude the file as excluded', () => {
+				const filename = path.resolve(basePath, 'tests/fixtures/foo.js');
+				const explanation = configs.getConfigExplanation(filename);
+
+				expect(explanation.ignored).to.be.false;
+				expect(explanation.configs[8].status).to.equal('excluded');
+				expect(explanation.configs[8].applied).to.be.false;
+			});
+
+			it('should report a config that matches files and ignores as excluded', () => {
+				configs = new ConfigArray([
+					{
+						name: 'xsl',
+						files: ['**/*.xsl'],
+						ignores: ['fixtures/test.xsl'],
+						defs: {
+							xsl: true
+						}
+					}
+				], { basePath, schema });
+
+				configs.normalizeSync();
+				const explanation = configs.getConfigExplanation(path.resolve(basePath, 'fixtures/test.xsl'));
+
+				expect(explanation.ignored).to.be.true;
+				expect(explanation.ignoreReason).to.equal('unmatched');
+				expect(explanation.configs).to.deep.equal([
+					{ index: 0, name: 'xsl', origin: 'configs[0]', status: 'excluded', applied: false }
+				]);
+			});
+
+			it('should not apply universal configs when no other config matches', () => {
+				configs = new ConfigArray([
+					{
+						files: ['**/*.js']
+					},
+					{
+						files: ['**/*'],
+						defs: {
+							universal: true
+						}
+					}
+				], { basePath, schema });
+
+				configs.normalizeSync();
+				const explanation = configs.getConfigExplanation(path.resolve(basePath, 'foo.txt'));
+
+				expect(explanation.ignored).to.be.true;
+				expect(explanation.ignoreReason).to.equal('unmatched');
+				expect(explanation.configs[1].status).to.equal('universal');
+				expect(explanation.configs[1].applied).to.be.false;
+			});
+
+			it('should report a file ignored by global ignores', () => {
+				const filename = path.resolve(basePath, 'foo.gitignore');
+				const explanation = configs.getConfigExplanation(filename);
+
+				expect(explanation.ignored).to.be.true;
+				expect(explanation.ignoreReason).to.equal('ignores');
+				expect(explanation.configs.every(({ applied }) => !applied)).to.be.true;
+			});
+
+			it('should report a file ignored because of its directory', () => {
+				const filename = path.resolve(basePath, 'node_modules/foo.js');
+				const explanation = configs.getConfigExplanation(filename);
+
+				expect(explanation.ignored).to.be.true;
+				expect(explanation.ignoreReason).to.equal('directory');
+			});
+
+			it('should report a file outside of the base path', () => {
+				const filename = path.resolve(basePath, '../foo.js');
+				const explanation = configs.getConfigExplanation(filename);
+
+				expect(explanation.ignored).to.be.true;
+				expect(explanation.ignoreReason).to.equal('basePath');
+			});
+
+			it('should agree with getConfig() about which configs are applied', () => {
+				const filenames = [
+					'foo.js',
+					'foo.css',
+					'foo.exe',
+					'tests/.bar/foo.xyz',
+					'fixtures/test.xsl',
+					'foo.and.js',
+					'node_modules/foo.js'
+				].map(filename => path.resolve(basePath, filename));
+
+				for (const filename of filenames) {
+					const explanation = configs.getConfigExplanation(filename);
+
+					expect(explanation.ignored, filename).to.equal(configs.isFileIgnored(filename));
+				}
+			});
+		});
+
+		describe('getConfigWithProvenance()', () => {
+
+			it('should throw an error when not normalized', () => {
+				const filename = path.resolve(basePath, 'foo.js');
+
+				expect(() => {
+					unnormalizedConfigs.getConfigWithProvenance(filename);
+				})
+					.to
+					.throw(/normalized/);
+			});
+
+			it('should return the same config as getConfig()', () => {
+				const filename = path.resolve(basePath, 'foo.js');
+				const { config } = configs.getConfigWithProvenance(filename);
+
+				expect(config).to.equal(configs.getConfig(filename));
+			});
+
+			it('should report which configs contributed each key when passed JS filename', () => {
+				const filename = path.resolve(basePath, 'foo.js');
+				const { provenance } = configs.getConfigWithProvenance(filename);
+
+				expect(provenance.get('language')).to.deep.equal([{ index: 0, name: undefined, origin: 'configs[0]' }]);
+				expect(provenance.get('defs').map(({ index }) => index)).to.deep.equal([5, 8, 17]);
+				expect(provenance.get('defs.css')).to.deep.equal([{ index: 5, name: undefined, origin: 'configs[5]' }]);
+				expect(provenance.get('defs.name')).to.deep.equal([{ index: 8, name: undefined, origin: 'configs[8]' }]);
+				expect(provenance.get('defs.universal')).to.deep.equal([{ index: 17, name: undefined, origin: 'configs[16]' }]);
+				expect(provenance.has('files')).to.be.false;
+				expect(provenance.has('ignores')).to.be.false;
+			});
+
+			it('should report overridden keys in the order they were merged', () => {
+				configs = new ConfigArray([
+					{
+						name: 'team/base',
+						files: ['**/*.js'],
+						defs: {
+							semi: 'error',
+							quotes: 'single'
+						}
+					},
+					{
+						name: 'project/tests',
+						files: ['tests/**/*.js'],
+						defs: {
+							semi: 'off'
+						}
+					}
+				], { basePath, schema });
+
+				configs.normalizeSync();
+
+				const { config, provenance } = configs.getConfigWithProvenance(path.resolve(basePath, 'tests/foo.js'));
+
+				expect(config.defs).to.deep.equal({ semi: 'off', quotes: 'single' });
+				expect(provenance.get('defs.semi')).to.deep.equal([
+					{ index: 0, name: 'team/base', origin: 'configs[0]' },
+					{ index: 1, name: 'project/tests', origin: 'configs[1]' }
+				]);
+				expect(provenance.get('defs.quotes')).to.deep.equal([
+					{ index: 0, name: 'team/base', origin: 'configs[0]' }
+				]);
+				expect(provenance.has('name')).to.be.false;
+			});
+
+			it('should not report nested keys when the schema does not merge objects', () => {
+				configs = new ConfigArray([
+					{
+						files: ['**/*.js'],
+						language: JSLanguage
+					}
+				], { basePath, schema });
+
+				configs.normalizeSync();
+
+				const { provenance } = configs.getConfigWithProvenance(path.resolve(basePath, 'foo.js'));
+
+				expect([...provenance.keys()]).to.deep.equal(['language']);
+			});
+
+			it('should only report the last config for keys that the schema replaces', () => {
+				configs = new ConfigArray([
+					{
+						name: 'base',
+						files: ['**/*.js'],
+						settings: { a: 1, nested: { x: 1 } },
+						options: { a: 1, nested: { x: 1 } },
+						parserOptions: { sourceType: 'module', features: { jsx: true } }
+					},
+					{
+						name: 'override',
+						files: ['**/*.js'],
+						settings: { b: 2, nested: { y: 2 } },
+						options: { b: 2, nested: { y: 2 } },
+						parserOptions: { features: { globalReturn: true } }
+					}
+				], {
+					basePath,
+					schema: {
+						settings: { merge: 'replace', validate: 'object' },
+						options: { merge: 'assign', validate: 'object' },
+						parserOptions: {
+							schema: {
+								sourceType: { merge: 'replace', validate: 'string' },
+								features: { merge: 'assign', validate: 'object' }
+							}
+						}
+					}
+				});
+
+				configs.normalizeSync();
+
+				const { config, provenance } = configs.getConfigWithProvenance(path.resolve(basePath, 'foo.js'));
+				const getNames = keyPath => provenance.get(keyPath).map(({ name }) => name);
+
+				expect(config.settings).to.deep.equal({ b: 2, nested: { y: 2 } });
+				expect([...provenance.keys()].sort()).to.deep.equal([
+					'options',
+					'options.a',
+					'options.b',
+					'options.nested',
+					'parserOptions',
+					'parserOptions.features',
+					'parserOptions.features.globalReturn',
+					'parserOptions.features.jsx',
+					'parserOptions.sourceType',
+					'settings'
+				]);
+				expect(getNames('settings')).to.deep.equal(['override']);
+				expect(getNames('options')).to.deep.equal(['base', 'override']);
+				expect(getNames('options.nested')).to.deep.equal(['override']);
+				expect(getNames('parserOptions.features')).to.deep.equal(['base', 'override']);
+				expect(getNames('parserOptions.sourceType')).to.deep.equal(['base']);
+			});
+
+			it('should report the origin of configs created by config functions', () => {
+				const { provenance } = configs.getConfigWithProvenance(path.resolve(basePath, 'boom.test.js'));
+
+				expect(provenance.get('defs.name').map(({ origin }) => origin)).to.deep.equal([
+					'configs[8]',
+					'configs[12] -> function result[1]'
+				]);
+			});
+
+			it('should return an empty provenance when the file is ignored', () => {
+				const filename = path.resolve(basePath, 'node_modules/foo.js');
+				const { config, provenance } = configs.getConfigWithProvenance(filename);
+
+				expect(config).to.be.undefined;
+				expect(provenance.size).to.equal(0);
+			});
+		});
+
 		describe('isIgnored()', () => {
 
 			it('should throw an error when not normalized', () => {
@@ -2044,6 +4541,97 @@ describe('ConfigArray', () => {
 
 					expect(configs.isDirectoryIgnored(directoryPath)).to.be.true;
 				});
+
+				describe('with gitignoreMode', () => {
+
+					it('should return false when all descendant subdirectories are ignored and then one is negated', () => {
+						configs = new ConfigArray([
+							{
+								ignores: [
+									'**/node_modules/**',
+									'!**/node_modules/foo/'
+								],
+							}
+						], { basePath, gitignoreMode: true });
+
+						configs.normalizeSync();
+
+						expect(configs.isDirectoryIgnored(path.resolve(basePath, 'node_modules'))).to.be.false;
+						expect(configs.isDirectoryIgnored(path.resolve(basePath, 'node_modules/foo'))).to.be.false;
+						expect(configs.isDirectoryIgnored(path.resolve(basePath, 'node_modules/bar'))).to.be.true;
+					});
+
+					it('should still ignore files inside of a negated directory that match an ignore pattern', () => {
+						configs = new ConfigArray([
+							{
+								files: ['**/*.js']
+							},
+							{
+								ignores: [
+									'build/**',
+									'!build/keep/'
+								],
+							}
+						], { basePath, gitignoreMode: true });
+
+						configs.normalizeSync();
+
+						expect(configs.isDirectoryIgnored(path.resolve(basePath, 'build/keep'))).to.be.false;
+						expect(configs.isFileIgnored(path.resolve(basePath, 'build/keep/foo.js'))).to.be.true;
+					});
+
+					it('should unignore files inside of a negated directory when they are also negated', () => {
+						configs = new ConfigArray([
+							{
+								files: ['**/*.js']
+							},
+							{
+								ignores: [
+									'build/**',
+									'!build/keep/',
+									'!build/keep/**'
+								],
+							}
+						], { basePath, gitignoreMode: true });
+
+						configs.normalizeSync();
+
+						expect(configs.isFileIgnored(path.resolve(basePath, 'build/keep/foo.js'))).to.be.false;
+						expect(configs.isFileIgnored(path.resolve(basePath, 'build/keep/sub/foo.js'))).to.be.false;
+						expect(configs.isFileIgnored(path.resolve(basePath, 'build/other/foo.js'))).to.be.true;
+					});
+
+					it('should return true when a subdirectory is negated but its parent directory is ignored', () => {
+						configs = new ConfigArray([
+							{
+								ignores: [
+									'build/',
+									'!build/keep/'
+								],
+							}
+						], { basePath, gitignoreMode: true });
+
+						configs.normalizeSync();
+
+						expect(configs.isDirectoryIgnored(path.resolve(basePath, 'build'))).to.be.true;
+						expect(configs.isDirectoryIgnored(path.resolve(basePath, 'build/keep'))).to.be.true;
+					});
+
+					it('should return true when all descendants are ignored and a descendant directory is negated only for its contents', () => {
+						configs = new ConfigArray([
+							{
+								ignores: [
+									'**/node_modules/**',
+									'!**/node_modules/foo/**'
+								],
+							}
+						], { basePath, gitignoreMode: true });
+
+						configs.normalizeSync();
+
+						expect(configs.isDirectoryIgnored(path.resolve(basePath, 'node_modules/foo'))).to.be.true;
+					});
+				});
 			});
 
 		});
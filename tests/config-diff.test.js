@@ -0,0 +1,251 @@
+/**
+ * @fileoverview Tests for config diff utilities.
+ * @author Nicholas C. Zakas
+ */
+
+//-----------------------------------------------------------------------------
+// Imports
+//-----------------------------------------------------------------------------
+
+import { diffConfigs, diffConfigArrays } from '../src/config-diff.js';
+import { ConfigArray } from '../src/config-array.js';
+import { createSetUnionStrategy } from '../src/merge-strategies.js';
+import path from 'path';
+import chai from 'chai';
+
+const expect = chai.expect;
+
+//-----------------------------------------------------------------------------
+// Helpers
+//-----------------------------------------------------------------------------
+
+const basePath = __dirname;
+
+const schema = {
+	defs: {
+		required: false,
+		validate(value) {
+			if (!value || typeof value !== 'object') {
+				throw new TypeError('Object expected.');
+			}
+		},
+		merge(a, b) {
+			return {
+				...a,
+				...b
+			};
+		}
+	}
+};
+
+/**
+ * Creates a normalized config array.
+ * @param {Array<Object>} configs The config objects.
+ * @returns {ConfigArray} The normalized config array.
+ */
+function createConfigArray(configs) {
+	return new ConfigArray(configs, { basePath, schema }).normalizeSync();
+}
+
+//-----------------------------------------------------------------------------
+// Tests
+//-----------------------------------------------------------------------------
+
+describe('config diff', () => {
+
+	describe('diffConfigs()', () => {
+
+		it('should report added, removed, and changed keys with nested paths', () => {
+			const parser = {};
+			const changes = diffConfigs(
+				{ defs: { a: 1, b: { c: [1, 2] }, d: parser }, name: 'old' },
+				{ defs: { a: 1, b: { c: [1, 3] }, d: parser, e: true } }
+			);
+
+			expect(changes).to.deep.equal([
+				{ type: 'changed', path: ['defs', 'b', 'c'], before: [1, 2], after: [1, 3] },
+				{ type: 'added', path: ['defs', 'e'], before: undefined, after: true },
+				{ type: 'removed', path: ['name'], before: 'old', after: undefined }
+			]);
+		});
+
+		it('should compare values by contents for arrays and plain objects and by identity otherwise', () => {
+			expect(diffConfigs({ a: [{ b: NaN }] }, { a: [{ b: NaN }] })).to.deep.equal([]);
+			expect(diffConfigs({ a: new Date(0) }, { a: new Date(0) })).to.have.lengthOf(1);
+		});
+
+		it('should compare sets by their members and maps by their entries', () => {
+			expect(diffConfigs({ a: new Set([1, 2]) }, { a: new Set([2, 1]) })).to.deep.equal([]);
+			expect(diffConfigs({ a: new Set([1, 2]) }, { a: new Set([1, 3]) })).to.have.lengthOf(1);
+			expect(diffConfigs({ a: new Map([['b', [1]]]) }, { a: new Map([['b', [1]]]) })).to.deep.equal([]);
+			expect(diffConfigs({ a: new Map([['b', 1]]) }, { a: new Map([['b', 2]]) })).to.have.lengthOf(1);
+			expect(diffConfigs({ a: new Map([['b', 1]]) }, { a: new Map([['c', 1]]) })).to.have.lengthOf(1);
+		});
+
+		it('should treat a missing config as an empty object', () => {
+			expect(diffConfigs(undefined, { defs: { a: 1 } })).to.deep.equal([
+				{ type: 'added', path: ['defs'], before: undefined, after: { a: 1 } }
+			]);
+			expect(diffConfigs(undefined, undefined)).to.deep.equal([]);
+		});
+	});
+
+	describe('diffConfigArrays()', () => {
+
+		it('should throw an error when an argument isn\'t a normalized ConfigArray', () => {
+			const normalized = createConfigArray([]);
+
+			expect(() => {
+				diffConfigArrays(normalized, []);
+			})
+				.to
+				.throw('Expected a ConfigArray.');
+
+			expect(() => {
+				diffConfigArrays(new ConfigArray([], { basePath }), normalized);
+			})
+				.to
+				.throw('ConfigArray must be normalized to perform this operation.');
+		});
+
+		it('should match config objects by name and by position among unnamed config objects', () => {
+			const before = createConfigArray([
+				{ name: 'base', defs: { a: 1 } },
+				{ files: ['**/*.js'], defs: { b: 1 } },
+				{ name: 'legacy', defs: { c: 1 } }
+			]);
+			const after = createConfigArray([
+				{ name: 'new', defs: { d: 1 } },
+				{ name: 'base', defs: { a: 2 } },
+				{ files: ['**/*.js'], defs: { b: 1 } }
+			]);
+
+			expect(diffConfigArrays(before, after).configs).to.deep.equal([
+				{
+					type: 'changed',
+					name: 'base',
+					beforeIndex: 0,
+					afterIndex: 1,
+					changes: [{ type: 'changed', path: ['defs', 'a'], before: 1, after: 2 }]
+				},
+				{
+					type: 'removed',
+					name: 'legacy',
+					beforeIndex: 2,
+					afterIndex: undefined,
+					changes: [
+						{ type: 'removed', path: ['name'], before: 'legacy', after: undefined },
+						{ type: 'removed', path: ['defs'], before: { c: 1 }, after: undefined }
+					]
+				},
+				{
+					type: 'added',
+					name: 'new',
+					beforeIndex: undefined,
+					afterIndex: 0,
+					changes: [
+						{ type: 'added', path: ['name'], before: undefined, after: 'new' },
+						{ type: 'added', path: ['defs'], before: undefined, after: { d: 1 } }
+					]
+				}
+			]);
+		});
+
+		it('should match unnamed config objects by their contents before their position', () => {
+			const before = createConfigArray([
+				{ files: ['**/*.js'], defs: { a: 1 } },
+				{ files: ['**/*.md'], defs: { b: 1 } },
+				{ files: ['**/*.css'], defs: { c: 1 } },
+				{ files: ['**/*.ts'], defs: { d: 1 } }
+			]);
+			const after = createConfigArray([
+				{ files: ['**/*.json'] },
+				{ files: ['**/*.js'], defs: { a: 1 } },
+				{ files: ['**/*.css'], defs: { c: 1 } },
+				{ files: ['**/*.md'], defs: { b: 1 } },
+				{ files: ['**/*.ts'], defs: { d: 2 } }
+			]);
+
+			expect(diffConfigArrays(before, after).configs).to.deep.equal([
+				{
+					type: 'changed',
+					name: undefined,
+					beforeIndex: 3,
+					afterIndex: 4,
+					changes: [{ type: 'changed', path: ['defs', 'd'], before: 1, after: 2 }]
+				},
+				{
+					type: 'added',
+					name: undefined,
+					beforeIndex: undefined,
+					afterIndex: 0,
+					changes: [{ type: 'added', path: ['files'], before: undefined, after: ['**/*.json'] }]
+				}
+			]);
+		});
+
+		it('should report files whose config changes or that become ignored or unignored', () => {
+			const before = createConfigArray([
+				{ files: ['**/*.js'], defs: { js: true } },
+				{ files: ['**/*.md'] },
+				{ ignores: ['**/*.md'] }
+			]);
+			const after = createConfigArray([
+				{ files: ['**/*.js'], defs: { js: true, strict: true } },
+				{ files: ['**/*.ts'] },
+				{ files: ['**/*.md'] },
+				{ ignores: ['**/*.ts'] }
+			]);
+			const jsFile = path.join(basePath, 'foo.js');
+			const tsFile = path.join(basePath, 'foo.ts');
+			const mdFile = path.join(basePath, 'foo.md');
+			const cssFile = path.join(basePath, 'foo.css');
+
+			expect(diffConfigArrays(before, after, { filePaths: [jsFile, tsFile, mdFile, cssFile] }).files).to.deep.equal([
+				{
+					filePath: jsFile,
+					type: 'changed',
+					changes: [{ type: 'added', path: ['defs', 'strict'], before: undefined, after: true }]
+				},
+				{
+					filePath: mdFile,
+					type: 'unignored',
+					changes: []
+				}
+			]);
+		});
+
+		it('should not report changes for identical config arrays that merge into new sets', () => {
+
+			/**
+			 * Creates a config array whose configs contain sets.
+			 * @returns {ConfigArray} The normalized config array.
+			 */
+			function createSetConfigArray() {
+				return new ConfigArray([
+					{ files: ['**/*.js'], globals: ['window'] },
+					{ files: ['**/*.js'], globals: ['document'] }
+				], { basePath, schema: { globals: createSetUnionStrategy() } }).normalizeSync();
+			}
+
+			const jsFile = path.join(basePath, 'foo.js');
+
+			expect(diffConfigArrays(createSetConfigArray(), createSetConfigArray(), { filePaths: [jsFile] }))
+				.to.deep.equal({ configs: [], files: [] });
+		});
+
+		it('should report files that become ignored with the removed config', () => {
+			const before = createConfigArray([{ files: ['**/*.js'], defs: { js: true } }]);
+			const after = createConfigArray([{ files: ['**/*.js'], defs: { js: true } }, { ignores: ['**/*.js'] }]);
+			const jsFile = path.join(basePath, 'foo.js');
+
+			expect(diffConfigArrays(before, after, { filePaths: [jsFile] }).files).to.deep.equal([
+				{
+					filePath: jsFile,
+					type: 'ignored',
+					changes: [{ type: 'removed', path: ['defs'], before: { js: true }, after: undefined }]
+				}
+			]);
+		});
+	});
+});
@@ -0,0 +1,217 @@
+/**
+ * @fileoverview Tests for the file system and path implementations.
+ * @author Nicholas C. Zakas
+ */
+
+//-----------------------------------------------------------------------------
+// Imports
+//-----------------------------------------------------------------------------
+
+import { nodeFileSystem, createMemoryFileSystem } from '../src/file-system.js';
+import { ConfigArray } from '../src/config-array.js';
+import path from 'path';
+import chai from 'chai';
+
+const expect = chai.expect;
+
+//-----------------------------------------------------------------------------
+// Helpers
+//-----------------------------------------------------------------------------
+
+const basePath = '/virtual/project';
+
+/**
+ * Creates a path implementation that records the name of each method that
+ * is called.
+ * @returns {Object} The path implementation and the names of the methods
+ *      that were called.
+ */
+function createRecordingPath() {
+	const calls = [];
+	const recordingPath = { sep: path.posix.sep };
+
+	for (const methodName of ['join', 'resolve', 'relative', 'dirname', 'isAbsolute']) {
+		recordingPath[methodName] = (...args) => {
+			calls.push(methodName);
+			return path.posix[methodName](...args);
+		};
+	}
+
+	return { calls, path: recordingPath };
+}
+
+/**
+ * Gets the names of directory entries and whether they are directories.
+ * @param {Array<Object>} entries The directory entries.
+ * @returns {Array<string>} The names, with a trailing slash for directories.
+ */
+function describeEntries(entries) {
+	return entries.map(entry => (entry.isDirectory() ? `${entry.name}/` : entry.name));
+}
+
+/**
+ * Collects the values of an async iterator.
+ * @param {AsyncIterable} iterable The iterable.
+ * @returns {Promise<Array>} The values.
+ */
+async function toArray(iterable) {
+	const values = [];
+
+	for await (const value of iterable) {
+		values.push(value);
+	}
+
+	return values;
+}
+
+//-----------------------------------------------------------------------------
+// Tests
+//-----------------------------------------------------------------------------
+
+describe('file system', () => {
+
+	describe('nodeFileSystem', () => {
+
+		it('should read directories from disk', async () => {
+			const entries = await nodeFileSystem.readdir(__dirname);
+
+			expect(describeEntries(entries)).to.include('file-system.test.js');
+			expect(describeEntries(nodeFileSystem.readdirSync(__dirname))).to.include('file-system.test.js');
+		});
+	});
+
+	describe('createMemoryFileSystem()', () => {
+
+		let fileSystem;
+
+		beforeEach(() => {
+			fileSystem = createMemoryFileSystem([
+				`${basePath}/a.js`,
+				`${basePath}/src/b.js`,
+				`${basePath}/src/lib/c.js`
+			], { path: path.posix });
+		});
+
+		it('should create a directory for each file', async () => {
+			expect(describeEntries(await fileSystem.readdir(basePath))).to.deep.equal(['a.js', 'src/']);
+			expect(describeEntries(fileSystem.readdirSync(`${basePath}/src`))).to.deep.equal(['b.js', 'lib/']);
+			expect(describeEntries(fileSystem.readdirSync('/'))).to.deep.equal(['virtual/']);
+		});
+
+		it('should resolve directory paths', () => {
+			expect(describeEntries(fileSystem.readdirSync(`${basePath}/src/lib/..`))).to.deep.equal(['b.js', 'lib/']);
+		});
+
+		it('should throw errors like Node.js\'s fs module', async () => {
+			expect(() => fileSystem.readdirSync(`${basePath}/missing`))
+				.to.throw(`ENOENT: no such file or directory, scandir '${basePath}/missing'`)
+				.with.property('code', 'ENOENT');
+			expect(() => fileSystem.readdirSync(`${basePath}/a.js`))
+				.to.throw(`ENOTDIR: not a directory, scandir '${basePath}/a.js'`)
+				.with.property('code', 'ENOTDIR');
+
+			let error;
+
+			try {
+				await fileSystem.readdir(`${basePath}/missing`);
+			} catch (caught) {
+				error = caught;
+			}
+
+			expect(error.code).to.equal('ENOENT');
+			expect(error.path).to.equal(`${basePath}/missing`);
+		});
+
+		it('should throw an error when a path isn\'t absolute', () => {
+			expect(() => createMemoryFileSystem(['a.js']))
+				.to.throw('Memory file system paths must be absolute: a.js');
+		});
+	});
+
+	describe('with ConfigArray', () => {
+
+		/**
+		 * Creates a normalized config array that uses the given options.
+		 * @param {Object} options The options for the config array.
+		 * @returns {ConfigArray} The config array.
+		 */
+		function createConfigArray(options) {
+			return new ConfigArray([
+				{ ignores: ['vendor/'] },
+				{ files: ['**/*.js'] }
+			], { basePath, path: path.posix, ...options }).normalizeSync();
+		}
+
+		it('should walk files in the given file system', async () => {
+			const configs = createConfigArray({
+				fs: createMemoryFileSystem([
+					`${basePath}/a.js`,
+					`${basePath}/b.txt`,
+					`${basePath}/vendor/c.js`,
+					`${basePath}/src/d.js`
+				], { path: path.posix })
+			});
+
+			expect(await toArray(configs.walkFiles())).to.deep.equal([
+				`${basePath}/a.js`,
+				`${basePath}/src/d.js`
+			]);
+			expect([...configs.walkFilesSync()]).to.deep.equal([
+				`${basePath}/a.js`,
+				`${basePath}/src/d.js`
+			]);
+		});
+
+		it('should prefer a file system passed to walkFiles()', () => {
+			const configs = createConfigArray({ fs: createMemoryFileSystem([], { path: path.posix }) });
+			const fileSystem = createMemoryFileSystem([`${basePath}/a.js`], { path: path.posix });
+
+			expect([...configs.walkFilesSync({ fs: fileSystem })]).to.deep.equal([`${basePath}/a.js`]);
+		});
+
+		it('should use the given path implementation for every operation', async () => {
+			const { calls, path: recordingPath } = createRecordingPath();
+			const configs = createConfigArray({
+				path: recordingPath,
+				fs: createMemoryFileSystem([`${basePath}/a.js`], { path: recordingPath })
+			});
+
+			calls.length = 0;
+
+			expect(configs.getConfig(`${basePath}/src/a.js`)).to.be.an('object');
+			expect(configs.isExplicitMatch(`${basePath}/src/b.js`)).to.be.true;
+			expect(configs.isDirectoryIgnored(`${basePath}/vendor`)).to.be.true;
+			expect(configs.getConfigExplanation(`${basePath}/vendor/c.js`).ignoreReason).to.equal('directory');
+			expect([...configs.iterateConfigs([`${basePath}/c.js`])]).to.have.lengthOf(1);
+			expect(await toArray(configs.walkFiles({ roots: ['.', 'src'] }))).to.deep.equal([`${basePath}/a.js`]);
+
+			expect(calls).to.include.members(['join', 'resolve', 'relative', 'dirname', 'isAbsolute']);
+		});
+
+		it('should keep the file system and path implementation in derived config arrays', () => {
+			const { calls, path: recordingPath } = createRecordingPath();
+			const fileSystem = createMemoryFileSystem([`${basePath}/a.md`], { path: path.posix });
+			const derived = createConfigArray({ path: recordingPath, fs: fileSystem })
+				.deriveSync({ files: ['**/*.md'] });
+
+			calls.length = 0;
+
+			expect([...derived.walkFilesSync()]).to.deep.equal([`${basePath}/a.md`]);
+			expect(calls).to.include('relative');
+		});
+
+		it('should throw an error when fs isn\'t an object', () => {
+			expect(() => new ConfigArray([], { fs: 'fs' }))
+				.to.throw('fs must be an object.');
+		});
+
+		it('should throw an error when path is missing a property', () => {
+			expect(() => new ConfigArray([], { path: null }))
+				.to.throw('path must be an object.');
+			expect(() => new ConfigArray([], { path: { ...path.posix, sep: '' } }))
+				.to.throw('path must have a sep property.');
+			expect(() => new ConfigArray([], { path: { ...path.posix, dirname: undefined } }))
+				.to.throw('path must have a dirname() method.');
+		});
+	});
+});
@@ -0,0 +1,255 @@
+/**
+ * @fileoverview Tests for walking the files matched by a ConfigArray.
+ * @author Nicholas C. Zakas
+ */
+
+//-----------------------------------------------------------------------------
+// Imports
+//-----------------------------------------------------------------------------
+
+import { ConfigArray } from '../src/config-array.js';
+import { createMemoryFileSystem } from '../src/file-system.js';
+import path from 'path';
+import chai from 'chai';
+
+const expect = chai.expect;
+
+//-----------------------------------------------------------------------------
+// Helpers
+//-----------------------------------------------------------------------------
+
+/**
+ * Creates an in-memory file system with the given files.
+ * @param {string} directory The directory to create the files in.
+ * @param {Array<string>} files The relative paths of the files.
+ * @returns {Object} The file system.
+ */
+function createFiles(directory, files) {
+	return createMemoryFileSystem(files.map(file => path.join(directory, file)));
+}
+
+/**
+ * Creates a file system whose directories are described by an object, where
+ * each key is the name of an entry and each value is either an object (a
+ * directory) or a string (a file).
+ * @param {string} root The absolute path of the root directory.
+ * @param {Object} tree The contents of the root directory.
+ * @returns {Object} The file system and the directories that were read.
+ */
+function createTreeFileSystem(root, tree) {
+	const reads = [];
+
+	/**
+	 * Reads the entries in a directory.
+	 * @param {string} directoryPath The absolute path of the directory.
+	 * @returns {Array<Object>} The directory entries.
+	 */
+	function readdirSync(directoryPath) {
+		reads.push(path.relative(root, directoryPath));
+
+		const directory = path.relative(root, directoryPath)
+			.split(path.sep)
+			.filter(Boolean)
+			.reduce((entries, name) => entries[name], tree);
+
+		return Object.keys(directory).map(name => ({
+			name,
+			isFile: () => typeof directory[name] === 'string',
+			isDirectory: () => typeof directory[name] === 'object'
+		}));
+	}
+
+	return {
+		reads,
+		fs: {
+			readdir: async directoryPath => readdirSync(directoryPath),
+			readdirSync
+		}
+	};
+}
+
+/**
+ * Collects the values of an async iterator.
+ * @param {AsyncIterable} iterable The iterable.
+ * @returns {Promise<Array>} The values.
+ */
+async function toArray(iterable) {
+	const values = [];
+
+	for await (const value of iterable) {
+		values.push(value);
+	}
+
+	return values;
+}
+
+//-----------------------------------------------------------------------------
+// Tests
+//-----------------------------------------------------------------------------
+
+describe('walking files', () => {
+
+	const basePath = path.resolve('/project');
+	const fileSystem = createFiles(basePath, [
+		'a.js',
+		'b.md',
+		'src/c.js',
+		'src/d.txt',
+		'src/vendor/e.js',
+		'node_modules/f/index.js',
+		'tests/g.js'
+	]);
+
+	/**
+	 * Creates a normalized config array for the temp directory.
+	 * @returns {ConfigArray} The config array.
+	 */
+	function createConfigArray() {
+		return new ConfigArray([
+			{ ignores: ['**/node_modules/', 'src/vendor/'] },
+			{ files: ['**/*.js'] },
+			{ files: ['**/*.md'] },
+			{ name: 'universal', files: ['**/*'] }
+		], { basePath, fs: fileSystem }).normalizeSync();
+	}
+
+	describe('walkFiles()', () => {
+
+		it('should yield the files that have a config in order by name', async () => {
+			const files = await toArray(createConfigArray().walkFiles());
+
+			expect(files).to.deep.equal([
+				path.join(basePath, 'a.js'),
+				path.join(basePath, 'b.md'),
+				path.join(basePath, 'src/c.js'),
+				path.join(basePath, 'tests/g.js')
+			]);
+		});
+
+		it('should only walk the given roots', async () => {
+			const files = await toArray(createConfigArray().walkFiles({ roots: ['tests', 'src', path.join(basePath, 'src')] }));
+
+			expect(files).to.deep.equal([
+				path.join(basePath, 'tests/g.js'),
+				path.join(basePath, 'src/c.js')
+			]);
+		});
+
+		it('should skip roots that are ignored or inside of other roots', async () => {
+			const files = await toArray(createConfigArray().walkFiles({ roots: ['src/vendor', 'src', '.'] }));
+
+			expect(files).to.deep.equal([
+				path.join(basePath, 'a.js'),
+				path.join(basePath, 'b.md'),
+				path.join(basePath, 'src/c.js'),
+				path.join(basePath, 'tests/g.js')
+			]);
+		});
+
+		it('should only yield explicit matches when explicitOnly is true', async () => {
+			class MarkdownOnlyConfigArray extends ConfigArray {
+				isExplicitMatch(filePath) {
+					return filePath.endsWith('.md') && super.isExplicitMatch(filePath);
+				}
+			}
+
+			const configs = new MarkdownOnlyConfigArray([
+				{ files: ['**/*.js'] },
+				{ files: ['**/*.md'] }
+			], { basePath, fs: fileSystem }).normalizeSync();
+
+			expect(await toArray(configs.walkFiles({ roots: ['.', 'src'] }))).to.have.lengthOf(6);
+			expect(await toArray(configs.walkFiles({ roots: ['.', 'src'], explicitOnly: true }))).to.deep.equal([
+				path.join(basePath, 'b.md')
+			]);
+		});
+
+		it('should not read ignored directories from the given file system', async () => {
+			const { fs: treeFileSystem, reads } = createTreeFileSystem(basePath, {
+				'index.js': '',
+				node_modules: { foo: { 'index.js': '' } },
+				lib: { 'util.js': '', 'notes.txt': '' }
+			});
+
+			const files = await toArray(createConfigArray().walkFiles({ fs: treeFileSystem }));
+
+			expect(files).to.deep.equal([
+				path.join(basePath, 'index.js'),
+				path.join(basePath, 'lib/util.js')
+			]);
+			expect(reads).to.deep.equal(['', 'lib']);
+		});
+
+		it('should throw an error when not normalized', () => {
+			expect(() => {
+				new ConfigArray([], { basePath }).walkFiles();
+			})
+				.to
+				.throw('ConfigArray must be normalized to perform this operation.');
+		});
+
+		it('should throw an error when the file system has no readdir() method', () => {
+			expect(() => {
+				createConfigArray().walkFiles({ fs: { readdirSync() {} } });
+			})
+				.to
+				.throw('fs must have a readdir() method.');
+		});
+
+		it('should throw an error when a root isn\'t a string', () => {
+			expect(() => {
+				createConfigArray().walkFiles({ roots: [1] });
+			})
+				.to
+				.throw('Roots must be strings.');
+		});
+
+		it('should reject when a directory can\'t be read', async () => {
+			let error;
+
+			try {
+				await toArray(createConfigArray().walkFiles({ roots: ['missing'] }));
+			} catch (caught) {
+				error = caught;
+			}
+
+			expect(error.code).to.equal('ENOENT');
+		});
+	});
+
+	describe('walkFilesSync()', () => {
+
+		it('should yield the files that have a config in order by name', () => {
+			const files = [...createConfigArray().walkFilesSync()];
+
+			expect(files).to.deep.equal([
+				path.join(basePath, 'a.js'),
+				path.join(basePath, 'b.md'),
+				path.join(basePath, 'src/c.js'),
+				path.join(basePath, 'tests/g.js')
+			]);
+		});
+
+		it('should use the given file system', () => {
+			const { fs: treeFileSystem, reads } = createTreeFileSystem(basePath, {
+				src: { 'z.js': '', 'a.md': '', vendor: { 'e.js': '' } }
+			});
+
+			const files = [...createConfigArray().walkFilesSync({ fs: treeFileSystem })];
+
+			expect(files).to.deep.equal([
+				path.join(basePath, 'src/a.md'),
+				path.join(basePath, 'src/z.js')
+			]);
+			expect(reads).to.deep.equal(['', 'src']);
+		});
+
+		it('should throw an error when the file system has no readdirSync() method', () => {
+			expect(() => {
+				createConfigArray().walkFilesSync({ fs: { async readdir() {} } });
+			})
+				.to
+				.throw('fs must have a readdirSync() method.');
+		});
+	});
+});
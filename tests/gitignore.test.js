@@ -0,0 +1,189 @@
+/**
+ * @fileoverview Tests for gitignore utilities.
+ * @author Nicholas C. Zakas
+ */
+
+//-----------------------------------------------------------------------------
+// Imports
+//-----------------------------------------------------------------------------
+
+import { parseGitignore, createGitignoreConfig } from '../src/gitignore.js';
+import { ConfigArray } from '../src/config-array.js';
+import path from 'path';
+import chai from 'chai';
+
+const expect = chai.expect;
+
+//-----------------------------------------------------------------------------
+// Helpers
+//-----------------------------------------------------------------------------
+
+const basePath = __dirname;
+
+//-----------------------------------------------------------------------------
+// Tests
+//-----------------------------------------------------------------------------
+
+describe('gitignore', () => {
+
+	describe('parseGitignore()', () => {
+
+		it('should skip blank lines and comments', () => {
+			const patterns = parseGitignore('# comment\n\n   \nfoo\r\n');
+
+			expect(patterns).to.deep.equal(['**/foo']);
+		});
+
+		it('should keep escaped leading hashes and exclamation marks', () => {
+			const patterns = parseGitignore('\\#foo\n\\!bar');
+
+			expect(patterns).to.deep.equal(['**/\\#foo', '**/\\!bar']);
+		});
+
+		it('should remove trailing spaces unless they are escaped', () => {
+			const patterns = parseGitignore('foo   \nbar\\ \nbaz\\\\ ');
+
+			expect(patterns).to.deep.equal(['**/foo', '**/bar[ ]', '**/baz\\\\']);
+		});
+
+		it('should anchor patterns that contain a slash', () => {
+			const patterns = parseGitignore('/foo\nfoo/bar\n**/baz/qux');
+
+			expect(patterns).to.deep.equal(['foo', 'foo/bar', '**/baz/qux']);
+		});
+
+		it('should keep the trailing slash for directory-only patterns', () => {
+			const patterns = parseGitignore('build/\n/dist/\nlib/cache/');
+
+			expect(patterns).to.deep.equal(['**/build/', 'dist/', 'lib/cache/']);
+		});
+
+		it('should keep negated patterns', () => {
+			const patterns = parseGitignore('*.log\n!important.log\n!/keep/');
+
+			expect(patterns).to.deep.equal(['**/*.log', '!**/important.log', '!keep/']);
+		});
+
+		it('should make patterns relative to the directory of the ignore file', () => {
+			const patterns = parseGitignore('*.log\n/dist\n!keep/', {
+				directory: 'packages\\app\\'
+			});
+
+			expect(patterns).to.deep.equal([
+				'packages/app/**/*.log',
+				'packages/app/dist',
+				'!packages/app/**/keep/'
+			]);
+		});
+
+		it('should treat "." as the base path', () => {
+			const patterns = parseGitignore('/dist', { directory: '.' });
+
+			expect(patterns).to.deep.equal(['dist']);
+		});
+	});
+
+	describe('createGitignoreConfig()', () => {
+
+		it('should create a global ignores config', () => {
+			const config = createGitignoreConfig('node_modules/\n*.log');
+
+			expect(config).to.deep.equal({
+				ignores: ['**/node_modules/', '**/*.log']
+			});
+		});
+
+		it('should include the name when provided', () => {
+			const config = createGitignoreConfig('dist', { name: '.gitignore' });
+
+			expect(config).to.deep.equal({
+				name: '.gitignore',
+				ignores: ['**/dist']
+			});
+		});
+
+		describe('with ConfigArray', () => {
+
+			function createConfigs(...ignoreConfigs) {
+				const configs = new ConfigArray([
+					{
+						files: ['**/*.js', '**/*.log', '**/build']
+					},
+					...ignoreConfigs
+				], {
+					basePath,
+					gitignoreMode: true
+				});
+
+				configs.normalizeSync();
+
+				return configs;
+			}
+
+			it('should ignore files and directories matching unanchored patterns at any level', () => {
+				const configs = createConfigs(createGitignoreConfig('node_modules/\n*.log'));
+
+				expect(configs.isDirectoryIgnored(path.join(basePath, 'node_modules'))).to.be.true;
+				expect(configs.isDirectoryIgnored(path.join(basePath, 'a/b/node_modules'))).to.be.true;
+				expect(configs.isFileIgnored(path.join(basePath, 'a/node_modules/foo.js'))).to.be.true;
+				expect(configs.isFileIgnored(path.join(basePath, 'a/b/debug.log'))).to.be.true;
+				expect(configs.isFileIgnored(path.join(basePath, 'a/b/debug.js'))).to.be.false;
+			});
+
+			it('should only ignore anchored patterns relative to the base path', () => {
+				const configs = createConfigs(createGitignoreConfig('/dist'));
+
+				expect(configs.isFileIgnored(path.join(basePath, 'dist/foo.js'))).to.be.true;
+				expect(configs.isFileIgnored(path.join(basePath, 'src/dist/foo.js'))).to.be.false;
+			});
+
+			it('should keep escaped trailing spaces', () => {
+				const configs = createConfigs({ files: ['**/foo*'] }, createGitignoreConfig('foo\\ '));
+
+				expect(configs.isFileIgnored(path.join(basePath, 'foo '))).to.be.true;
+				expect(configs.isFileIgnored(path.join(basePath, 'foo'))).to.be.false;
+				expect(configs.isDirectoryIgnored(path.join(basePath, 'a/foo '))).to.be.true;
+				expect(configs.isDirectoryIgnored(path.join(basePath, 'a/foo'))).to.be.false;
+			});
+
+			it('should not ignore files when a directory-only pattern has the same name', () => {
+				const configs = createConfigs(createGitignoreConfig('build/'));
+
+				expect(configs.isFileIgnored(path.join(basePath, 'build'))).to.be.false;
+				expect(configs.isFileIgnored(path.join(basePath, 'build/foo.js'))).to.be.true;
+			});
+
+			it('should unignore files with negated patterns', () => {
+				const configs = createConfigs(createGitignoreConfig('*.log\n!important.log'));
+
+				expect(configs.isFileIgnored(path.join(basePath, 'debug.log'))).to.be.true;
+				expect(configs.isFileIgnored(path.join(basePath, 'a/important.log'))).to.be.false;
+			});
+
+			it('should unignore a directory whose contents are ignored', () => {
+				const configs = createConfigs(createGitignoreConfig('/build/*\n!/build/keep/'));
+
+				expect(configs.isFileIgnored(path.join(basePath, 'build/foo.js'))).to.be.true;
+				expect(configs.isFileIgnored(path.join(basePath, 'build/keep/foo.js'))).to.be.false;
+			});
+
+			it('should not unignore a directory whose parent is ignored', () => {
+				const configs = createConfigs(createGitignoreConfig('/build/\n!/build/keep/'));
+
+				expect(configs.isFileIgnored(path.join(basePath, 'build/keep/foo.js'))).to.be.true;
+			});
+
+			it('should apply nested ignore files relative to their own directory', () => {
+				const configs = createConfigs(
+					createGitignoreConfig('*.log'),
+					createGitignoreConfig('!keep.log\n/generated', { directory: 'packages/app' })
+				);
+
+				expect(configs.isFileIgnored(path.join(basePath, 'keep.log'))).to.be.true;
+				expect(configs.isFileIgnored(path.join(basePath, 'packages/app/src/keep.log'))).to.be.false;
+				expect(configs.isFileIgnored(path.join(basePath, 'packages/app/generated/foo.js'))).to.be.true;
+				expect(configs.isFileIgnored(path.join(basePath, 'generated/foo.js'))).to.be.false;
+			});
+		});
+	});
+});
@@ -0,0 +1,52 @@
+/**
+ * @fileoverview Tests for the package API.
+ * @author Nicholas C. Zakas
+ */
+
+//-----------------------------------------------------------------------------
+// Imports
+//-----------------------------------------------------------------------------
+
+import {
+	ConfigArray,
+	ConfigError,
+	ConfigValidationError,
+	ConfigErrorCode
+} from '../src/index.js';
+import chai from 'chai';
+
+const expect = chai.expect;
+
+//-----------------------------------------------------------------------------
+// Tests
+//-----------------------------------------------------------------------------
+
+describe('Package API', () => {
+
+	describe('errors', () => {
+
+		it('should export the errors thrown by validate()', () => {
+			const configs = new ConfigArray([null, { foo: true }], { basePath: __dirname });
+			let actualError;
+
+			try {
+				configs.normalizeSync({}, { validate: true });
+			} catch (error) {
+				actualError = error;
+			}
+
+			expect(actualError).to.be.an.instanceOf(ConfigValidationError);
+			expect(actualError.errors).to.have.lengthOf(2);
+			expect(actualError.errors[0]).to.be.an.instanceOf(ConfigError);
+			expect(actualError.errors.map(error => error.code)).to.deep.equal([
+				ConfigErrorCode.invalidConfig,
+				ConfigErrorCode.unexpectedKey
+			]);
+		});
+
+		it('should export error codes that can\'t be changed', () => {
+			expect(Object.isFrozen(ConfigErrorCode)).to.be.true;
+			expect(ConfigErrorCode.missingKey).to.equal('MISSING_KEY');
+		});
+	});
+});
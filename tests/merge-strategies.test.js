@@ -0,0 +1,255 @@
+/**
+ * @fileoverview Tests for merge strategy factories.
+ * @author Nicholas C. Zakas
+ */
+
+//-----------------------------------------------------------------------------
+// Imports
+//-----------------------------------------------------------------------------
+
+import {
+	createDeepMergeStrategy,
+	createShallowMergeStrategy,
+	createConcatStrategy,
+	createConcatUniqueStrategy,
+	createLastWinsStrategy,
+	createSetUnionStrategy,
+	createRulesStrategy
+} from '../src/merge-strategies.js';
+import { ConfigArray } from '../src/config-array.js';
+import path from 'path';
+import chai from 'chai';
+
+const expect = chai.expect;
+
+//-----------------------------------------------------------------------------
+// Helpers
+//-----------------------------------------------------------------------------
+
+const basePath = __dirname;
+
+//-----------------------------------------------------------------------------
+// Tests
+//-----------------------------------------------------------------------------
+
+describe('merge strategies', () => {
+
+	it('should not require the key unless asked to', () => {
+		expect(createShallowMergeStrategy().required).to.be.false;
+		expect(createShallowMergeStrategy({ required: true }).required).to.be.true;
+	});
+
+	it('should keep the first value when the second config doesn\'t have the key', () => {
+		const first = { foo: 1 };
+
+		expect(createDeepMergeStrategy().merge(first, undefined)).to.equal(first);
+		expect(createConcatStrategy().merge([1], undefined)).to.deep.equal([1]);
+	});
+
+	describe('createDeepMergeStrategy()', () => {
+
+		const strategy = createDeepMergeStrategy();
+
+		it('should merge nested objects without changing either value', () => {
+			const first = { a: { b: 1, c: [1] }, d: 1 };
+			const second = { a: { c: [2], e: { f: 1 } } };
+			const result = strategy.merge(first, second);
+
+			expect(result).to.deep.equal({ a: { b: 1, c: [2], e: { f: 1 } }, d: 1 });
+			expect(first).to.deep.equal({ a: { b: 1, c: [1] }, d: 1 });
+			expect(result.a.e).to.not.equal(second.a.e);
+		});
+
+		it('should copy the second value when only it is present', () => {
+			const second = { a: { b: 1 } };
+			const result = strategy.merge(undefined, second);
+
+			expect(result).to.deep.equal(second);
+			expect(result.a).to.not.equal(second.a);
+		});
+
+		it('should only accept plain objects', () => {
+			expect(() => strategy.validate({})).to.not.throw();
+			expect(() => strategy.validate([])).to.throw('Expected an object.');
+			expect(() => strategy.validate(null)).to.throw('Expected an object.');
+			expect(() => strategy.validate(new Map())).to.throw('Expected an object.');
+		});
+	});
+
+	describe('createShallowMergeStrategy()', () => {
+
+		const strategy = createShallowMergeStrategy();
+
+		it('should replace top-level properties', () => {
+			expect(strategy.merge({ a: { b: 1 }, c: 1 }, { a: { d: 1 } })).to.deep.equal({ a: { d: 1 }, c: 1 });
+		});
+
+		it('should only accept plain objects', () => {
+			expect(() => strategy.validate('foo')).to.throw('Expected an object.');
+		});
+	});
+
+	describe('createConcatStrategy()', () => {
+
+		it('should add the second items after the first', () => {
+			expect(createConcatStrategy().merge([1, 2], [2, 3])).to.deep.equal([1, 2, 2, 3]);
+		});
+
+		it('should validate each item', () => {
+			const strategy = createConcatStrategy({
+				validateItem(item) {
+					if (typeof item !== 'string') {
+						throw new TypeError('Expected a string.');
+					}
+				}
+			});
+
+			expect(() => strategy.validate(['a'])).to.not.throw();
+			expect(() => strategy.validate(['a', 1])).to.throw('Expected a string.');
+			expect(() => strategy.validate('a')).to.throw('Expected an array.');
+		});
+	});
+
+	describe('createConcatUniqueStrategy()', () => {
+
+		it('should only keep the first occurrence of each item', () => {
+			expect(createConcatUniqueStrategy().merge([1, 2, 1], [3, 2])).to.deep.equal([1, 2, 3]);
+		});
+	});
+
+	describe('createLastWinsStrategy()', () => {
+
+		it('should use the second value', () => {
+			const strategy = createLastWinsStrategy();
+
+			expect(strategy.merge('a', 'b')).to.equal('b');
+			expect(strategy.merge(true, false)).to.be.false;
+		});
+
+		it('should only accept the given types', () => {
+			const strategy = createLastWinsStrategy({ types: ['number'] });
+
+			expect(() => strategy.validate(1)).to.not.throw();
+			expect(() => strategy.validate('1')).to.throw('Expected a value of type "number".');
+			expect(() => createLastWinsStrategy().validate({})).to.throw('Expected a value of type "string", "number", "boolean".');
+		});
+	});
+
+	describe('createSetUnionStrategy()', () => {
+
+		const strategy = createSetUnionStrategy();
+
+		it('should combine sets and arrays into a new set', () => {
+			const first = new Set(['a', 'b']);
+			const result = strategy.merge(first, ['b', 'c']);
+
+			expect(result).to.be.an.instanceOf(Set);
+			expect([...result]).to.deep.equal(['a', 'b', 'c']);
+			expect(result).to.not.equal(first);
+			expect([...strategy.merge(undefined, ['a'])]).to.deep.equal(['a']);
+		});
+
+		it('should only accept sets and arrays', () => {
+			expect(() => strategy.validate(new Set())).to.not.throw();
+			expect(() => strategy.validate([])).to.not.throw();
+			expect(() => strategy.validate({})).to.throw('Expected a Set or an array.');
+		});
+	});
+
+	describe('createRulesStrategy()', () => {
+
+		const strategy = createRulesStrategy();
+
+		it('should normalize severities', () => {
+			expect(strategy.merge(undefined, { a: 'error', b: ['warn', 'always'], c: 'off' })).to.deep.equal({
+				a: [2],
+				b: [1, 'always'],
+				c: [0]
+			});
+		});
+
+		it('should keep earlier options when only the severity changes', () => {
+			const first = { a: ['error', 'always', { b: true }], c: 1 };
+			const second = { a: 'warn', c: ['error', 'never'] };
+
+			expect(strategy.merge(first, second)).to.deep.equal({
+				a: [1, 'always', { b: true }],
+				c: [2, 'never']
+			});
+		});
+
+		it('should validate severities', () => {
+			expect(() => strategy.validate({ a: 0, b: ['error', {}] })).to.not.throw();
+			expect(() => strategy.validate({ a: 'on' })).to.throw('Rule "a": Expected severity of "off", 0, "warn", 1, "error", or 2.');
+			expect(() => strategy.validate({ a: [3] })).to.throw('Rule "a": Expected severity');
+			expect(() => strategy.validate([])).to.throw('Expected an object.');
+		});
+	});
+
+	describe('JSON Schema', () => {
+
+		it('should declare a fragment for each strategy', () => {
+			expect(createDeepMergeStrategy().jsonSchema).to.deep.equal({ type: 'object' });
+			expect(createConcatUniqueStrategy().jsonSchema).to.deep.equal({ type: 'array' });
+			expect(createLastWinsStrategy({ types: ['number', 'boolean'] }).jsonSchema).to.deep.equal({ type: ['number', 'boolean'] });
+			expect(createLastWinsStrategy({ types: ['string', 'object'] }).jsonSchema).to.deep.equal({ type: ['string', 'object', 'array', 'null'] });
+			expect(createLastWinsStrategy({ types: ['function'] }).jsonSchema).to.deep.equal({});
+			expect(createSetUnionStrategy().jsonSchema).to.deep.equal({ type: 'array', uniqueItems: true });
+		});
+
+		it('should be used by toJSONSchema()', () => {
+			const jsonSchema = new ConfigArray([], {
+				basePath,
+				schema: { rules: createRulesStrategy() }
+			}).toJSONSchema();
+
+			expect(jsonSchema.properties.rules.type).to.equal('object');
+			expect(jsonSchema.properties.rules.additionalProperties.anyOf[0]).to.deep.equal({
+				enum: ['off', 'warn', 'error', 0, 1, 2]
+			});
+		});
+	});
+
+	describe('with ConfigArray', () => {
+
+		const schema = {
+			settings: createDeepMergeStrategy(),
+			plugins: createConcatUniqueStrategy(),
+			rules: createRulesStrategy()
+		};
+
+		it('should merge matching config objects', () => {
+			const configs = new ConfigArray([
+				{ settings: { a: { b: 1 } }, plugins: ['x'], rules: { semi: ['error', 'always'] } },
+				{ files: ['**/*.js'], settings: { a: { c: 1 } }, plugins: ['x', 'y'], rules: { semi: 'warn' } }
+			], { basePath, schema });
+
+			configs.normalizeSync();
+
+			const config = configs.getConfig(path.join(basePath, 'foo.js'));
+
+			expect(config.settings).to.deep.equal({ a: { b: 1, c: 1 } });
+			expect(config.plugins).to.deep.equal(['x', 'y']);
+			expect(config.rules).to.deep.equal({ semi: [1, 'always'] });
+		});
+
+		it('should report invalid values with the strategy\'s description', () => {
+			const configs = new ConfigArray([
+				{ rules: { semi: 'on' } }
+			], { basePath, schema });
+
+			configs.normalizeSync();
+
+			let error;
+
+			try {
+				configs.validate();
+			} catch (caught) {
+				error = caught;
+			}
+
+			expect(error.errors[0].message).to.include('Key "rules": Rule "semi": Expected severity of "off", 0, "warn", 1, "error", or 2.');
+			expect(error.errors[0].expected).to.equal('an object of rule severities and options');
+		});
+	});
+});
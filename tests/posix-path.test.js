@@ -0,0 +1,82 @@
+/**
+ * @fileoverview Tests for the POSIX path implementation.
+ * @author Nicholas C. Zakas
+ */
+
+//-----------------------------------------------------------------------------
+// Imports
+//-----------------------------------------------------------------------------
+
+import { posixPath } from '../src/posix-path.js';
+import path from 'path';
+import chai from 'chai';
+
+const expect = chai.expect;
+
+//-----------------------------------------------------------------------------
+// Helpers
+//-----------------------------------------------------------------------------
+
+const PATHS = [
+	'',
+	'.',
+	'..',
+	'/',
+	'//',
+	'//a',
+	'///a/b',
+	'a',
+	'a/',
+	'a//b',
+	'a/./b/../c',
+	'../a/b',
+	'./a/../../b/',
+	'/a/b/c.js',
+	'/a/b/',
+	'/a/../../b',
+	'/a/b/../../..',
+	'/a/.b/c'
+];
+
+//-----------------------------------------------------------------------------
+// Tests
+//-----------------------------------------------------------------------------
+
+describe('posixPath', () => {
+
+	it('should use a forward slash as the separator', () => {
+		expect(posixPath.sep).to.equal('/');
+	});
+
+	for (const methodName of ['dirname', 'isAbsolute', 'resolve']) {
+		it(`should return the same result as Node.js for ${methodName}()`, () => {
+			for (const filePath of PATHS) {
+				expect(posixPath[methodName](filePath), filePath).to.equal(path.posix[methodName](filePath));
+			}
+		});
+	}
+
+	for (const methodName of ['join', 'relative', 'resolve']) {
+		it(`should return the same result as Node.js for ${methodName}() with two paths`, () => {
+			for (const first of PATHS) {
+				for (const second of PATHS) {
+					expect(posixPath[methodName](first, second), `${first}, ${second}`)
+						.to.equal(path.posix[methodName](first, second));
+				}
+			}
+		});
+	}
+
+	it('should return the same result as Node.js for join() and resolve() with any number of paths', () => {
+		expect(posixPath.join()).to.equal(path.posix.join());
+		expect(posixPath.resolve()).to.equal(path.posix.resolve());
+		expect(posixPath.join('a', '', 'b/', '../c/')).to.equal(path.posix.join('a', '', 'b/', '../c/'));
+		expect(posixPath.resolve('/a', 'b', '/c', 'd/..', 'e/')).to.equal(path.posix.resolve('/a', 'b', '/c', 'd/..', 'e/'));
+	});
+
+	it('should throw an error when a path isn\'t a string', () => {
+		expect(() => posixPath.join('a', 1)).to.throw('Path must be a string.');
+		expect(() => posixPath.relative('/a')).to.throw('Path must be a string.');
+		expect(() => posixPath.dirname(null)).to.throw('Path must be a string.');
+	});
+});
@@ -0,0 +1,167 @@
+/**
+ * @fileoverview Tests for TypeScript declaration generation.
+ * @author Nicholas C. Zakas
+ */
+
+//-----------------------------------------------------------------------------
+// Imports
+//-----------------------------------------------------------------------------
+
+import { createTypeDeclarations } from '../src/type-declarations.js';
+import { createLastWinsStrategy, createRulesStrategy } from '../src/merge-strategies.js';
+import chai from 'chai';
+
+const expect = chai.expect;
+
+//-----------------------------------------------------------------------------
+// Helpers
+//-----------------------------------------------------------------------------
+
+/**
+ * Gets the body of the config object interface from declarations.
+ * @param {string} declarations The generated declarations.
+ * @param {string} [typeName="Config"] The name of the interface.
+ * @returns {string} The lines between the braces of the interface.
+ */
+function getInterfaceBody(declarations, typeName = 'Config') {
+	const start = declarations.indexOf(`export interface ${typeName} {\n`);
+	const end = declarations.indexOf('\n}\n', start);
+
+	return declarations.slice(declarations.indexOf('\n', start) + 1, end + 1);
+}
+
+//-----------------------------------------------------------------------------
+// Tests
+//-----------------------------------------------------------------------------
+
+describe('createTypeDeclarations()', () => {
+
+	it('should always include name, files, and ignores', () => {
+		const body = getInterfaceBody(createTypeDeclarations());
+
+		expect(body).to.equal([
+			'\tname?: string;',
+			'\tfiles?: Array<string | ((filePath: string) => boolean) | Array<string | ((filePath: string) => boolean)>>;',
+			'\tignores?: Array<string | ((filePath: string) => boolean)>;',
+			''
+		].join('\n'));
+	});
+
+	it('should use type annotations, descriptions, built-in validation strategies, and nested schemas', () => {
+		const body = getInterfaceBody(createTypeDeclarations({
+			language: {
+				required: true,
+				description: 'The language\nto use.',
+				tsType: 'Language',
+				merge: 'replace',
+				validate() {}
+			},
+			'parser-options': {
+				schema: {
+					ecmaVersion: {
+						merge: 'replace',
+						validate: 'number'
+					},
+					sourceType: {
+						merge: 'replace',
+						validate: 'string!'
+					}
+				}
+			},
+			defs: {
+				merge: 'assign',
+				validate() {}
+			}
+		}));
+
+		expect(body).to.equal([
+			'\t/**',
+			'\t * The language',
+			'\t * to use.',
+			'\t */',
+			'\tlanguage: Language;',
+			'\t"parser-options"?: {',
+			'\t\tecmaVersion?: number;',
+			'\t\tsourceType?: string;',
+			'\t};',
+			'\tdefs?: unknown;',
+			'\tname?: string;',
+			'\tfiles?: Array<string | ((filePath: string) => boolean) | Array<string | ((filePath: string) => boolean)>>;',
+			'\tignores?: Array<string | ((filePath: string) => boolean)>;',
+			''
+		].join('\n'));
+	});
+
+	it('should use the types declared by the built-in merge strategies', () => {
+		const body = getInterfaceBody(createTypeDeclarations({
+			level: createLastWinsStrategy({ types: ['number', 'string'] }),
+			rules: createRulesStrategy()
+		}));
+
+		expect(body).to.include('\tlevel?: number | string;\n');
+		expect(body).to.include('\trules?: Record<string, "off" | "warn" | "error" | 0 | 1 | 2 | ["off" | "warn" | "error" | 0 | 1 | 2, ...unknown[]]>;\n');
+	});
+
+	it('should declare ConfigArray and ConfigArraySymbol with the config object type', () => {
+		const declarations = createTypeDeclarations({}, { typeName: 'MyConfig' });
+
+		expect(declarations).to.include('export interface MyConfig {\n');
+		expect(declarations).to.include('export declare const ConfigArraySymbol: {\n');
+		expect(declarations).to.include('export declare class ConfigArray extends Array<MyConfig> {\n');
+		expect(declarations).to.include('\tgetConfig(filePath: string): MyConfig | undefined;\n');
+		expect(declarations).to.include('\t[ConfigArraySymbol.finalizeConfig](config: MyConfig): MyConfig;\n');
+	});
+
+	it('should accept array literals of config items so their values are contextually typed', () => {
+		const declarations = createTypeDeclarations({}, { typeName: 'MyConfig' });
+
+		// TypeScript doesn't contextually type array literals through Iterable<T>
+		expect(declarations).to.include('export type ConfigItem = MyConfig | ConfigFunction | readonly ConfigItem[] | Iterable<ConfigItem>;\n');
+	});
+
+	it('should wrap the declarations in a module declaration when moduleName is provided', () => {
+		const declarations = createTypeDeclarations({}, { moduleName: '@humanwhocodes/config-array' });
+
+		expect(declarations.startsWith('declare module "@humanwhocodes/config-array" {\n\texport interface Config {\n\t\tname?: string;\n')).to.be.true;
+		expect(declarations.endsWith('\t}\n}\n')).to.be.true;
+	});
+
+	it('should not use declare inside of the module declaration', () => {
+		const declarations = createTypeDeclarations({}, { moduleName: '@humanwhocodes/config-array' });
+		const lines = declarations.split('\n').slice(1);
+
+		expect(lines.filter(line => /\bdeclare\b/.test(line))).to.deep.equal([]);
+		expect(declarations).to.include('\texport class ConfigArray extends Array<Config> {');
+		expect(declarations).to.include('\tconst isNormalizedSymbol: unique symbol;');
+	});
+
+	it('should throw an error when typeName isn\'t a valid identifier', () => {
+		expect(() => {
+			createTypeDeclarations({}, { typeName: 'my-config' });
+		})
+			.to
+			.throw('typeName must be a valid TypeScript identifier.');
+	});
+
+	it('should throw an error when moduleName isn\'t a string', () => {
+		expect(() => {
+			createTypeDeclarations({}, { moduleName: true });
+		})
+			.to
+			.throw('moduleName must be a string.');
+	});
+
+	it('should throw an error when a tsType isn\'t a non-empty string', () => {
+		expect(() => {
+			createTypeDeclarations({
+				level: {
+					tsType: '',
+					merge: 'replace',
+					validate() {}
+				}
+			});
+		})
+			.to
+			.throw('Definition for key "level" must have a tsType string.');
+	});
+});